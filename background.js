@@ -9,6 +9,14 @@ try {
   console.error("Failed to load JSZip:", error);
 }
 
+// Import timing helpers used by the scripts below
+try {
+  self.importScripts('timing.js');
+  console.log("Timing helpers loaded successfully in background");
+} catch (error) {
+  console.error("Failed to load timing helpers:", error);
+}
+
 // Import scrapers registry
 try {
   self.importScripts('scrapers.js');
@@ -17,473 +25,1063 @@ try {
   console.error("Failed to load scrapers:", error);
 }
 
+// Import full-page screenshot helpers
+try {
+  self.importScripts('screenshot.js');
+  console.log("Screenshot helpers loaded successfully in background");
+} catch (error) {
+  console.error("Failed to load screenshot helpers:", error);
+}
+
+// Import CSV and XLSX output for scraper results
+try {
+  self.importScripts('tabular.js');
+  console.log("Tabular output loaded successfully in background");
+} catch (error) {
+  console.error("Failed to load tabular output:", error);
+}
+
+// Import multi-page scraper runner
+try {
+  self.importScripts('pagination.js');
+  console.log("Pagination loaded successfully in background");
+} catch (error) {
+  console.error("Failed to load pagination:", error);
+}
+
+// Import IndexedDB capture store
+try {
+  self.importScripts('captureStore.js');
+  console.log("Capture store loaded successfully in background");
+} catch (error) {
+  console.error("Failed to load capture store:", error);
+}
+
+// Register user-defined scrapers every time the service worker starts
+const customScrapersReady = loadCustomScrapers();
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[CUSTOM_SCRAPERS_KEY]) {
+    console.log("Custom scrapers changed, re-registering");
+    registerCustomScrapers(scraperRegistry, changes[CUSTOM_SCRAPERS_KEY].newValue);
+  }
+});
+
+// Import scraper result validation
+try {
+  self.importScripts('resultSchema.js');
+  console.log("Result schema validation loaded successfully in background");
+} catch (error) {
+  console.error("Failed to load result schema validation:", error);
+}
+
+// Import cross-run scraper datasets (uses the capture database)
+try {
+  self.importScripts('datasetStore.js');
+  console.log("Dataset store loaded successfully in background");
+} catch (error) {
+  console.error("Failed to load dataset store:", error);
+}
+
+// Import page change monitoring (compares captures of watched pages as they are saved)
+try {
+  self.importScripts('diff.js', 'changeMonitor.js');
+  console.log("Change monitor loaded successfully in background");
+} catch (error) {
+  console.error("Failed to load change monitor:", error);
+}
+
+// Import multi-tab capture
+try {
+  self.importScripts('tabCapture.js');
+  console.log("Tab capture loaded successfully in background");
+} catch (error) {
+  console.error("Failed to load tab capture:", error);
+}
+
+// Import request routing and the uniform error responses
+try {
+  self.importScripts('rpc.js');
+  console.log("RPC router loaded successfully in background");
+} catch (error) {
+  console.error("Failed to load RPC router:", error);
+}
+
+// Import URL list crawler
+try {
+  self.importScripts('crawler.js');
+  console.log("Crawler loaded successfully in background");
+} catch (error) {
+  console.error("Failed to load crawler:", error);
+}
+
+// Import scheduled captures (uses the crawler's background tabs)
+try {
+  self.importScripts('cron.js', 'scheduler.js');
+  console.log("Scheduler loaded successfully in background");
+} catch (error) {
+  console.error("Failed to load scheduler:", error);
+}
+
+// Import the page context menu entries (uses the capture and scraper functions below)
+try {
+  self.importScripts('contextMenus.js');
+  console.log("Context menus loaded successfully in background");
+} catch (error) {
+  console.error("Failed to load context menus:", error);
+}
+
 // Clean up any temporary storage on startup
 chrome.runtime.onStartup.addListener(() => {
   cleanupTemporaryStorage();
+  openCaptureStore();
 });
 
 chrome.runtime.onInstalled.addListener(() => {
   cleanupTemporaryStorage();
+  openCaptureStore();
 });
 
-// Listen for messages from other parts of the extension (e.g., popup.js)
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  console.log("Background received message:", request.action, request);
-  
-  // Helper function to safely send a response
-  const safeResponse = (response) => {
-    try {
-      console.log("Attempting to send response:", response);
-      // Check if we can still send a response
-      if (chrome.runtime.lastError) {
-        console.warn("Cannot send response:", chrome.runtime.lastError);
-        return;
+// Message handlers for the extension pages (e.g., popup.js), see rpc.js
+const router = new MessageRouter();
+router.listen();
+
+// Payload schemas shared by several actions
+const CAPTURE_OPTIONS_SCHEMA = { type: 'object' };
+const SAVE_MODE_SCHEMA = { enum: ['direct', 'batch'] };
+const CAPTURE_IDS_SCHEMA = { type: 'array', items: { type: 'integer' } };
+
+// Capture the active tab and save it to the batch, or download it
+router.register('saveDOM', async ({ saveMode, options }) => {
+  return saveTabDOM(await getActiveTab(), saveMode, options);
+}, {
+  schema: { type: 'object', properties: { saveMode: SAVE_MODE_SCHEMA, options: CAPTURE_OPTIONS_SCHEMA } }
+});
+
+// Save every tab in the current window, or the highlighted ones, to the batch.
+// Progress is reported through storage (see tabCapture.js).
+router.register('captureTabs', async ({ scope, options, runScrapers }) => {
+  await customScrapersReady;
+  const query = scope === 'highlighted' ? { currentWindow: true, highlighted: true } : { currentWindow: true };
+  const tabs = await chrome.tabs.query(query)
+    .catch(rethrowAs(RPC_ERRORS.NO_ACTIVE_TAB, "Could not get tabs: "));
+  if (tabs.length === 0) {
+    throw new RpcError(RPC_ERRORS.NO_ACTIVE_TAB, "No tabs to save.");
+  }
+  return captureTabs(tabs, { scope, options, runScrapers });
+}, {
+  schema: {
+    type: 'object',
+    required: ['scope'],
+    properties: { scope: { enum: ['window', 'highlighted'] }, options: CAPTURE_OPTIONS_SCHEMA, runScrapers: { type: 'boolean' } }
+  }
+});
+
+// URL list crawler (see crawler.js). The crawl queue page reads progress from storage.
+const CRAWL_SETTINGS_SCHEMA = {
+  type: 'object',
+  properties: {
+    mode: { enum: ['page', 'scrapers', 'both'] },
+    settleDelay: { type: 'number', minimum: 0, maximum: 300 },
+    pageDelay: { type: 'number', minimum: 0, maximum: 3600 },
+    maxRetries: { type: 'integer', minimum: 0, maximum: 10 },
+    concurrency: { type: 'integer', minimum: 1, maximum: CRAWL_MAX_CONCURRENCY }
+  },
+  additionalProperties: false
+};
+
+router.register('getCrawlQueue', async () => {
+  const queue = await getCrawlQueue();
+  return { queue, summary: summarizeCrawlQueue(queue) };
+});
+
+router.register('addCrawlUrls', async ({ text }) => {
+  const { added, duplicates, invalid } = await addCrawlUrls(text);
+  let message = `Added ${added} URLs to the queue`;
+  if (duplicates) {
+    message += `, ${duplicates} already queued`;
+  }
+  if (invalid.length) {
+    message += `, ${invalid.length} lines without a URL`;
+  }
+  return { message, added, duplicates, invalid };
+}, {
+  schema: { type: 'object', required: ['text'], properties: { text: { type: 'string', minLength: 1 } } }
+});
+
+router.register('startCrawl', async ({ settings }) => {
+  const queue = await startCrawl(settings);
+  return { message: "Crawl started", summary: summarizeCrawlQueue(queue) };
+}, {
+  schema: { type: 'object', properties: { settings: CRAWL_SETTINGS_SCHEMA } }
+});
+
+router.register('pauseCrawl', async () => {
+  await pauseCrawl();
+  return { message: "Crawl paused. Pages already open will finish." };
+});
+
+router.register('retryCrawlFailures', async () => {
+  const { requeued } = await retryFailedCrawlItems();
+  return { message: `${requeued} failed pages queued again`, requeued };
+});
+
+router.register('clearCrawlQueue', async ({ finishedOnly }) => {
+  const { removed } = await clearCrawlQueue({ finishedOnly });
+  return { message: `Removed ${removed} pages from the queue`, removed };
+}, {
+  schema: { type: 'object', properties: { finishedOnly: { type: 'boolean' } } }
+});
+
+// Scheduled captures (see scheduler.js). The jobs page reads last runs from storage.
+const SCHEDULED_JOB_SCHEMA = {
+  type: 'object',
+  required: ['url', 'action', 'schedule'],
+  properties: {
+    id: { type: 'integer' },
+    name: { type: 'string' },
+    url: { type: 'string', minLength: 1 },
+    action: { enum: ['page', 'scraper'] },
+    scraperId: { type: 'string' },
+    // minutes for an interval, expression for cron; checked by the scheduler
+    schedule: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { enum: ['interval', 'cron'] },
+        minutes: { type: 'number', minimum: SCHEDULE_MIN_INTERVAL_MINUTES },
+        expression: { type: 'string' }
+      },
+      additionalProperties: false
+    },
+    settleDelay: { type: 'number', minimum: 0, maximum: 300 },
+    enabled: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+const SCHEDULED_JOB_ID_SCHEMA = { type: 'object', required: ['id'], properties: { id: { type: 'integer' } } };
+
+router.register('getScheduledJobs', async () => {
+  const { jobs } = await getScheduledJobs();
+  return { jobs };
+});
+
+router.register('saveScheduledJob', async ({ job }) => {
+  const saved = await saveScheduledJob(job);
+  return { message: `Saved "${saved.name}"`, job: saved };
+}, {
+  schema: { type: 'object', required: ['job'], properties: { job: SCHEDULED_JOB_SCHEMA } }
+});
+
+router.register('deleteScheduledJob', async ({ id }) => {
+  await deleteScheduledJob(id);
+  return { message: "Scheduled job deleted" };
+}, {
+  schema: SCHEDULED_JOB_ID_SCHEMA
+});
+
+// Run a job straight away; the response waits for the run to finish
+router.register('runScheduledJob', async ({ id }) => {
+  const job = await runScheduledJob(id, { manual: true });
+  return { message: job.lastRun.message, job };
+}, {
+  schema: SCHEDULED_JOB_ID_SCHEMA
+});
+
+// Watched pages (see changeMonitor.js). Change summaries are stored with the captures.
+const WATCH_SCHEMA = {
+  type: 'object',
+  required: ['url'],
+  properties: {
+    id: { type: 'integer' },
+    url: { type: 'string', minLength: 1 },
+    compare: { enum: ['text', 'dom'] },
+    key: { type: 'string' },
+    ignorePattern: { type: 'string' },
+    minChanges: { type: 'integer', minimum: 1 },
+    notify: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+
+router.register('getWatches', async () => {
+  const { watches } = await getWatchList();
+  return { watches };
+});
+
+router.register('saveWatch', async ({ watch }) => {
+  const saved = await saveWatch(watch);
+  return { message: `Watching ${saved.url} for changes`, watch: saved };
+}, {
+  schema: { type: 'object', required: ['watch'], properties: { watch: WATCH_SCHEMA } }
+});
+
+router.register('deleteWatch', async ({ id }) => {
+  await deleteWatch(id);
+  return { message: "Stopped watching the page" };
+}, {
+  schema: { type: 'object', required: ['id'], properties: { id: { type: 'integer' } } }
+});
+
+// Capture the active tab and return it to the caller (used for direct downloads from the popup)
+router.register('captureDOM', async ({ options }) => {
+  const activeTab = await getActiveTab();
+  const { content, format, frames, screenshot } = await capturePageDOM(activeTab, options)
+    .catch(rethrowAs(RPC_ERRORS.CAPTURE_FAILED, "Failed to get DOM content. "));
+  if (!content) {
+    throw new RpcError(RPC_ERRORS.CAPTURE_FAILED, "No DOM content received.");
+  }
+  const filename = buildCaptureFilename(activeTab.url, format.extension);
+  return {
+    filename,
+    mimeType: format.mimeType,
+    content,
+    frames,
+    attachments: buildAttachments(filename, screenshot),
+    ...screenshotWarning(screenshot)
+  };
+}, {
+  schema: { type: 'object', properties: { options: CAPTURE_OPTIONS_SCHEMA } }
+});
+
+// Fetch a page resource for self-contained captures. The background has host
+// permissions, so it can read resources the page's CORS rules would block.
+// The fetch sends the user's cookies, so only a page that is being serialized may
+// ask, and only while it is
+router.register('fetchResource', ({ url, responseType }, sender) => {
+  if (!sender.tab || !serializingTabs.has(sender.tab.id)) {
+    throw new RpcError(RPC_ERRORS.FORBIDDEN, "Resources can only be fetched for a page being captured");
+  }
+  return fetchResource(url, responseType).catch(rethrowAs(RPC_ERRORS.CAPTURE_FAILED));
+}, {
+  schema: {
+    type: 'object',
+    required: ['url'],
+    properties: { url: { type: 'string', minLength: 1 }, responseType: { enum: ['text', 'dataUrl'] } }
+  }
+});
+
+// Return the given captures, or the whole batch, for the caller to build a ZIP or WARC
+router.register('exportZIP', async ({ ids }) => {
+  const captures = await (ids ? captureStore.getCapturesByIds(ids) : captureStore.getAllCaptures())
+    .catch(rethrowAs(RPC_ERRORS.STORAGE_FAILED, "Failed to export captures: "));
+  if (captures.length === 0) {
+    throw new RpcError(RPC_ERRORS.NOT_FOUND, "No captures available to export");
+  }
+  console.log(`Sending ${captures.length} captures back for export`);
+  return { captures };
+}, {
+  schema: { type: 'object', properties: { ids: CAPTURE_IDS_SCHEMA } }
+});
+
+// Return the saved captures (or just their metadata) and their count
+router.register('getCaptures', async ({ summaryOnly }) => {
+  const captures = await (summaryOnly ? captureStore.getCaptureSummaries() : captureStore.getAllCaptures())
+    .catch(rethrowAs(RPC_ERRORS.STORAGE_FAILED, "Failed to get captures: "));
+  console.log("Retrieved captures, count:", captures.length);
+  return { captures, count: captures.length };
+}, {
+  schema: { type: 'object', properties: { summaryOnly: { type: 'boolean' } } }
+});
+
+router.register('clearCaptures', async () => {
+  await captureStore.clearCaptures()
+    .catch(rethrowAs(RPC_ERRORS.STORAGE_FAILED, "Failed to clear captures: "));
+  console.log("Captures cleared successfully");
+  return { message: "All captures cleared" };
+});
+
+// Store a capture produced by an extension page, e.g. offline scraper results
+router.register('addCapture', async ({ capture }) => {
+  const id = await captureStore.addCapture(capture)
+    .catch(rethrowAs(RPC_ERRORS.STORAGE_FAILED, "Failed to save capture: "));
+  return { message: "Capture saved to batch", id };
+}, {
+  schema: {
+    type: 'object',
+    required: ['capture'],
+    properties: {
+      capture: {
+        type: 'object',
+        required: ['filename', 'content'],
+        properties: { filename: { type: 'string', minLength: 1 }, content: { type: 'string' } }
       }
-      sendResponse(response);
-      console.log("Response sent successfully");
-    } catch (err) {
-      console.warn("Error sending response:", err);
     }
+  }
+});
+
+// Return a single capture with its content
+router.register('getCapture', async ({ id }) => {
+  const capture = await captureStore.getCapture(id)
+    .catch(rethrowAs(RPC_ERRORS.STORAGE_FAILED, "Failed to get capture: "));
+  if (!capture) {
+    throw new RpcError(RPC_ERRORS.NOT_FOUND, "Capture not found");
+  }
+  return { capture };
+}, {
+  schema: { type: 'object', required: ['id'], properties: { id: { type: 'integer' } } }
+});
+
+router.register('deleteCaptures', async ({ ids }) => {
+  await captureStore.deleteCaptures(ids)
+    .catch(rethrowAs(RPC_ERRORS.STORAGE_FAILED, "Failed to delete captures: "));
+  console.log("Captures deleted:", ids.length);
+  return { message: `Deleted ${ids.length} captures` };
+}, {
+  schema: { type: 'object', required: ['ids'], properties: { ids: { ...CAPTURE_IDS_SCHEMA, minItems: 1 } } }
+});
+
+// List the persistent scraper datasets
+router.register('getDatasets', async () => {
+  const datasets = await datasetStore.getDatasetSummaries()
+    .catch(rethrowAs(RPC_ERRORS.STORAGE_FAILED, "Failed to get datasets: "));
+  return { datasets };
+});
+
+// Return a whole dataset as one scraper-style result
+router.register('exportDataset', async ({ id }) => {
+  const dataset = await datasetStore.getDataset(id)
+    .catch(rethrowAs(RPC_ERRORS.STORAGE_FAILED, "Failed to export dataset: "));
+  if (!dataset) {
+    throw new RpcError(RPC_ERRORS.NOT_FOUND, "Dataset not found");
+  }
+  return { result: datasetToResult(dataset) };
+}, {
+  schema: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } }
+});
+
+router.register('deleteDataset', async ({ id }) => {
+  await datasetStore.deleteDataset(id)
+    .catch(rethrowAs(RPC_ERRORS.STORAGE_FAILED, "Failed to delete dataset: "));
+  return { message: "Dataset deleted" };
+}, {
+  schema: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } }
+});
+
+// List the scrapers matching the active tab
+router.register('getAvailableScrapers', async () => {
+  await customScrapersReady;
+  const activeTab = await getActiveTab();
+  const availableScrapers = scraperRegistry.findMatchingScrapers(activeTab.url);
+  console.log(`Found ${availableScrapers.length} available scrapers for ${activeTab.url}`);
+  return {
+    scrapers: availableScrapers.map(s => ({
+      id: s.id,
+      name: s.name,
+      description: s.description,
+      paginated: !!s.pagination
+    }))
   };
+});
 
-  // Handle saving the DOM content
-  if (request.action === "saveDOM") {
-    console.log("Processing saveDOM action");
-    // Query for the currently active tab in the current window
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-      console.log("Got active tabs:", tabs);
-      if (chrome.runtime.lastError || !tabs || tabs.length === 0) {
-        console.error("Error querying tabs:", chrome.runtime.lastError?.message);
-        safeResponse({ status: "error", message: "Could not get active tab." });
-        return;
+// Open the point-and-click scraper builder in the active tab
+router.register('startPicker', async () => {
+  const activeTab = await getActiveTab();
+  try {
+    // scrapers.js lets the picker preview its results with the declarative scraper
+    await injectScraperRegistry(activeTab.id);
+    await chrome.scripting.executeScript({ target: { tabId: activeTab.id }, files: ['picker.js'] });
+    await chrome.scripting.executeScript({
+      target: { tabId: activeTab.id },
+      function: function() {
+        startScraperPicker();
       }
+    });
+  } catch (error) {
+    throw new RpcError(RPC_ERRORS.CAPTURE_FAILED, "Failed to open the scraper builder: " + error.message);
+  }
+  return { message: "Scraper builder opened" };
+});
+
+// Save a scraper built with the picker
+router.register('saveCustomScraper', async ({ definition, overwrite }) => {
+  await saveCustomScraper(definition, overwrite).catch(error => {
+    throw error instanceof RpcError ? error : new RpcError(RPC_ERRORS.INVALID_REQUEST, error.message);
+  });
+  return { message: `Saved scraper "${definition.name}"` };
+}, {
+  schema: {
+    type: 'object',
+    required: ['definition'],
+    properties: { definition: { type: 'object' }, overwrite: { type: 'boolean' } }
+  }
+});
+
+// Run a scraper on the active tab and save the results to the batch, or download them
+router.register('executeScraper', async ({ scraperId, saveMode, options }) => {
+  await customScrapersReady;
+  const scraper = scraperRegistry.getScraper(scraperId);
+  if (!scraper) {
+    throw new RpcError(RPC_ERRORS.NOT_FOUND, "Scraper not found");
+  }
+  return runScraperAndSave(await getActiveTab(), scraper, saveMode, options);
+}, {
+  schema: {
+    type: 'object',
+    required: ['scraperId'],
+    properties: { scraperId: { type: 'string' }, saveMode: SAVE_MODE_SCHEMA, options: CAPTURE_OPTIONS_SCHEMA }
+  }
+});
+
+// Capture a tab and save it to the batch, or download it. Used by the saveDOM
+// handler and the page context menu.
+async function saveTabDOM(tab, saveMode, options) {
+  console.log("Capturing DOM in tab:", tab.url);
+  const capture = await capturePageDOM(tab, options)
+    .catch(rethrowAs(RPC_ERRORS.CAPTURE_FAILED, "Failed to get DOM content. "));
+  console.log("DOM content received, length:", capture.content ? capture.content.length : 0);
+  if (!capture.content) {
+    throw new RpcError(RPC_ERRORS.CAPTURE_FAILED, "No DOM content received.");
+  }
+
+  // Generate filename (e.g., domain-timestamp.html)
+  const filename = buildCaptureFilename(tab.url, capture.format.extension);
+  const attachments = buildAttachments(filename, capture.screenshot);
+
+  if (saveMode === "batch") {
+    console.log("Batch save mode, storing to capture database");
+    await savePageCapture(tab, capture, filename, attachments)
+      .catch(rethrowAs(RPC_ERRORS.STORAGE_FAILED, "Failed to save capture: "));
+    console.log("DOM capture stored successfully");
+    return { message: "Capture saved to batch", ...screenshotWarning(capture.screenshot) };
+  }
+
+  console.log("Direct save mode, initiating download");
+  await downloadBlob(new Blob([capture.content], { type: capture.format.mimeType }), filename);
+  downloadAttachments(attachments);
+  return screenshotWarning(capture.screenshot);
+}
+
+// Run a scraper on a tab and save the results to the batch, or download them.
+// Used by the executeScraper handler and the "Run scraper" context menu.
+async function runScraperAndSave(tab, scraper, saveMode, options) {
+  console.log("Capturing DOM for scraper execution:", tab.url);
+
+  // Optionally scroll and click "Show more" so lazy content is rendered
+  await expandPageIfEnabled(tab.id, options);
+  // Before a paginated scraper moves on, so the screenshot shows the page at the result's url
+  const screenshot = await captureScreenshotIfEnabled(tab, options);
+  const result = await runScraperOnTab(tab, scraper)
+    .catch(rethrowAs(RPC_ERRORS.SCRAPER_FAILED));
+  console.log("Scraper execution result:", result);
+
+  const filename = buildScraperFilename(scraper);
+  const attachments = buildAttachments(filename, screenshot);
+
+  if (saveMode === "batch") {
+    await saveScraperCapture(tab, scraper, result, filename, attachments, screenshot)
+      .catch(rethrowAs(RPC_ERRORS.STORAGE_FAILED, "Failed to save results: "));
+    return { message: "Scraper results saved to batch", result, ...screenshotWarning(screenshot) };
+  }
+
+  // Direct download, as JSON or converted to the chosen spreadsheet format
+  const scraperFormat = (options && options.scraperFormat) || 'json';
+  const output = await buildScraperOutput(result, scraperFormat, scraper.columns);
+  const blob = output.content instanceof Blob ? output.content : new Blob([output.content], { type: output.mimeType });
+  await downloadBlob(blob, companionFilename(filename, output.extension));
+  downloadAttachments(attachments);
+  return { message: "Scraper results downloaded", result, ...screenshotWarning(screenshot) };
+}
+
+// The active tab of the current window
+async function getActiveTab() {
+  const tabs = await chrome.tabs.query({ active: true, currentWindow: true }).catch(error => {
+    console.error("Error querying tabs:", error.message);
+    return [];
+  });
+  if (!tabs || tabs.length === 0) {
+    throw new RpcError(RPC_ERRORS.NO_ACTIVE_TAB, "Could not get active tab.");
+  }
+  return tabs[0];
+}
+
+// Download a Blob with a save dialog. Service workers can't create object URLs,
+// so it goes through a data URL.
+async function downloadBlob(blob, filename) {
+  const url = await blobToDataURL(blob);
+  const downloadId = await chrome.downloads.download({ url, filename, saveAs: true })
+    .catch(rethrowAs(RPC_ERRORS.DOWNLOAD_FAILED, "Download failed: "));
+  if (!downloadId) {
+    throw new RpcError(RPC_ERRORS.DOWNLOAD_FAILED, "Download did not start.");
+  }
+  console.log("Download initiated with ID:", downloadId);
+  return downloadId;
+}
+
+// Read user-defined scrapers from storage and add them to the registry
+async function loadCustomScrapers() {
+  try {
+    const stored = await chrome.storage.local.get(CUSTOM_SCRAPERS_KEY);
+    registerCustomScrapers(scraperRegistry, stored[CUSTOM_SCRAPERS_KEY]);
+    console.log("Custom scrapers loaded:", (stored[CUSTOM_SCRAPERS_KEY] || []).length);
+  } catch (error) {
+    console.error("Error loading custom scrapers:", error);
+  }
+}
+
+// Add a user-defined scraper, or replace the one with the same id when overwrite
+// is set. The storage listener registers it.
+async function saveCustomScraper(definition, overwrite = false) {
+  const errors = validateScraperDefinition(definition);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  const existing = scraperRegistry.getScraper(definition.id);
+  if (existing && !existing.declarative) {
+    throw new Error(`"${definition.id}" is the id of a built-in scraper`);
+  }
+
+  const stored = await chrome.storage.local.get(CUSTOM_SCRAPERS_KEY);
+  const storedDefinitions = stored[CUSTOM_SCRAPERS_KEY] || [];
+  if (!overwrite && storedDefinitions.some(other => other.id === definition.id)) {
+    // The details let the picker offer to replace it
+    throw new RpcError(RPC_ERRORS.INVALID_REQUEST,
+      `A custom scraper with the id "${definition.id}" already exists`, { existingId: definition.id });
+  }
+  const definitions = storedDefinitions.filter(other => other.id !== definition.id);
+  definitions.push(definition);
+  await chrome.storage.local.set({ [CUSTOM_SCRAPERS_KEY]: definitions });
+  console.log("Custom scraper saved:", definition.id);
+}
+
+// Open the capture database early so legacy captures are migrated on first run
+function openCaptureStore() {
+  captureStore.open()
+    .then(() => console.log("Capture store ready"))
+    .catch(error => console.error("Error opening capture store:", error));
+}
+
+// File formats a page can be captured in
+const CAPTURE_FORMATS = {
+  html: { extension: 'html', mimeType: 'text/html' },
+  mhtml: { extension: 'mhtml', mimeType: 'multipart/related' }
+};
 
-      const activeTab = tabs[0];
-      console.log("Active tab:", activeTab.url);
+// Capture a tab's page in the format the options ask for (HTML by default).
+// HTML is serialized by the injected page serializer; with includeFrames, every
+// frame is serialized and stitched into its parent. MHTML comes from Chrome's
+// page capture. Resolves with { content, format, frames, expansion, screenshot }
+// where frames is the captured frame tree and the others describe the optional
+// expand and screenshot steps.
+async function capturePageDOM(tab, options = {}) {
+  const format = CAPTURE_FORMATS[options.format] || CAPTURE_FORMATS.html;
+  const expansion = await expandPageIfEnabled(tab.id, options);
+  const capture = format === CAPTURE_FORMATS.mhtml
+    ? { content: await capturePageMHTML(tab.id), frames: null }
+    : await serializePageDOM(tab.id, options);
+  const screenshot = await captureScreenshotIfEnabled(tab, options);
+  return { ...capture, format, expansion, screenshot };
+}
+
+// Store a page captured with capturePageDOM in the batch. A part of a page
+// (see contextMenus.js) is stored with its fragment kind, and a failed
+// screenshot with its error.
+function savePageCapture(tab, capture, filename, attachments = []) {
+  const { content, frames, resources, expansion, fragment, screenshot } = capture;
+  return addCaptureWithChangeCheck({
+    filename,
+    content,
+    url: tab.url,
+    title: tab.title,
+    frames,
+    resources,
+    expansion,
+    fragment,
+    screenshotError: screenshot ? screenshot.error : undefined,
+    attachments
+  });
+}
+
+// Save the tab as a single MHTML file with its resources
+async function capturePageMHTML(tabId) {
+  console.log("Capturing MHTML for tab:", tabId);
+  const blob = await chrome.pageCapture.saveAsMHTML({ tabId });
+  if (!blob) {
+    throw new Error("Page capture returned no data.");
+  }
+  // MHTML is 7-bit text (binary parts are base64 encoded), so it can be stored as a string
+  return blob.text();
+}
+
+// Serializations running per tab id, see the fetchResource handler
+const serializingTabs = new Map();
+
+async function serializePageDOM(tabId, options) {
+  serializingTabs.set(tabId, (serializingTabs.get(tabId) || 0) + 1);
+  try {
+    return await runPageSerializer(tabId, options);
+  } finally {
+    const remaining = serializingTabs.get(tabId) - 1;
+    if (remaining > 0) {
+      serializingTabs.set(tabId, remaining);
+    } else {
+      serializingTabs.delete(tabId);
+    }
+  }
+}
+
+function runPageSerializer(tabId, options) {
+  const target = { tabId, allFrames: !!options.includeFrames };
+  return new Promise((resolve, reject) => {
+    chrome.scripting.executeScript({
+      target,
+      files: ['pageSerializer.js']
+    }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
 
-      // Inject a script into the active tab to get its DOM content
-      console.log("Executing script in tab...");
       chrome.scripting.executeScript({
-        target: { tabId: activeTab.id },
-        function: getPageDOM // The function to execute in the tab's context
+        target,
+        function: getPageDOM, // The function to execute in the tab's context
+        args: [options]
       }, (injectionResults) => {
-        console.log("Script execution complete, results:", injectionResults ? "received" : "none");
-        
+        console.log("Script execution complete, results:", injectionResults ? injectionResults.length : "none");
         if (chrome.runtime.lastError || !injectionResults || injectionResults.length === 0) {
-          console.error("Error injecting script:", chrome.runtime.lastError?.message);
-          safeResponse({ status: "error", message: "Failed to get DOM content. " + (chrome.runtime.lastError?.message || "") });
+          reject(new Error(chrome.runtime.lastError?.message || "No injection results."));
           return;
         }
-
-        // The result from the injected script is an array, we take the first element's result
-        const domContent = injectionResults[0].result;
-        console.log("DOM content received, length:", domContent ? domContent.length : 0);
-
-        if (domContent) {
-          // Generate filename (e.g., domain-timestamp.html)
-          let filename = "page_dom.html";
-          try {
-            const tabUrl = new URL(activeTab.url);
-            const hostname = tabUrl.hostname.replace(/^www\./, ''); // Remove www.
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            filename = `${hostname}_${timestamp}.html`;
-            console.log("Generated filename:", filename);
-          } catch (e) {
-            // If URL parsing fails, use a generic name
-            console.warn("Could not parse URL for filename:", activeTab.url, e);
-          }
-
-          if (request.saveMode === "batch") {
-            console.log("Batch save mode, storing to local storage");
-            // Save to chrome.storage.local
-            storeDOMCapture(filename, domContent, activeTab.url, activeTab.title)
-              .then(() => {
-                console.log("DOM capture stored successfully");
-                safeResponse({ status: "success", message: "Capture saved to batch" });
-              })
-              .catch(error => {
-                console.error("Error storing DOM capture:", error);
-                safeResponse({ status: "error", message: "Failed to save capture: " + error.message });
-              });
-          } else {
-            console.log("Direct save mode, initiating download");
-            // Direct download mode (original behavior)
-            // Create a Blob with the DOM content
-            const blob = new Blob([domContent], { type: 'text/html' });
-            console.log("Blob created for HTML content");
-
-            // Convert Blob to data URI with FileReader
-            console.log("Converting blob to data URI");
-            const reader = new FileReader();
-            reader.onload = function() {
-              const dataUrl = reader.result;
-              console.log("Data URI created, initiating download");
-              
-              // Use the chrome.downloads API to trigger a download
-              chrome.downloads.download({
-                url: dataUrl,
-                filename: filename,
-                saveAs: true // Prompts the user to choose the save location
-              }, (downloadId) => {
-                if (chrome.runtime.lastError) {
-                  console.error("Download failed:", chrome.runtime.lastError.message);
-                  safeResponse({ status: "error", message: "Download failed: " + chrome.runtime.lastError.message });
-                } else if (downloadId) {
-                  console.log("Download initiated with ID:", downloadId);
-                  // Immediate response to help ensure popup gets it
-                  safeResponse({ status: "success" });
-                } else {
-                  console.error("Download did not start, no ID received.");
-                  safeResponse({ status: "error", message: "Download did not start." });
-                }
-              });
-            };
-            
-            reader.onerror = function() {
-              console.error("FileReader error:", reader.error);
-              safeResponse({ status: "error", message: "Failed to read HTML content: " + reader.error });
-            };
-            
-            reader.readAsDataURL(blob);
-          }
-        } else {
-          console.error("No DOM content received from page");
-          safeResponse({ status: "error", message: "No DOM content received." });
+        try {
+          resolve(stitchFrames(injectionResults));
+        } catch (error) {
+          reject(error);
         }
       });
     });
-    console.log("Returning true to keep message channel open");
-    return true; // Indicates that sendResponse will be called asynchronously
-  }
-  
-  // Handle exporting all saved captures as a ZIP
-  else if (request.action === "exportZIP") {
-    console.log("Processing exportZIP action");
-    getSavedCaptures()
-      .then(captures => {
-        if (captures.length === 0) {
-          safeResponse({ 
-            status: "error", 
-            message: "No captures available to export" 
-          });
-          return;
-        }
-        
-        console.log(`Sending ${captures.length} captures back to popup for ZIP creation`);
-        // Just send the captures data back to the popup where JSZip is loaded in browser context
-        safeResponse({ 
-          status: "success", 
-          captures: captures
-        });
-      })
-      .catch(error => {
-        console.error("Error exporting ZIP:", error);
-        safeResponse({ status: "error", message: "Failed to export captures: " + error.message });
-      });
-    return true; // Indicates that sendResponse will be called asynchronously
-  }
-  
-  // Handle getting the count of saved captures
-  else if (request.action === "getCaptures") {
-    console.log("Processing getCaptures action");
-    getSavedCaptures()
-      .then(captures => {
-        console.log("Retrieved captures, count:", captures.length);
-        safeResponse({ 
-          status: "success", 
-          captures: captures,
-          count: captures.length
-        });
-      })
-      .catch(error => {
-        console.error("Error getting captures:", error);
-        safeResponse({ status: "error", message: "Failed to get captures: " + error.message });
-      });
-    return true; // Indicates that sendResponse will be called asynchronously
+  });
+}
+
+// Run the expand step if the capture options enable it. Expansion problems are
+// logged and the capture goes ahead with whatever content is loaded.
+async function expandPageIfEnabled(tabId, options) {
+  if (!options || !options.expand || !options.expand.enabled) {
+    return null;
+  }
+  try {
+    const expansion = await expandPage(tabId, options.expand);
+    console.log("Page expanded:", expansion);
+    return expansion;
+  } catch (error) {
+    console.warn("Could not expand page:", error.message);
+    return { error: error.message };
+  }
+}
+
+// Take a full-page screenshot if the capture options ask for one. A failed
+// screenshot resolves with { error } rather than failing the capture; the error
+// is stored with the capture and reported to the caller (see screenshotWarning).
+async function captureScreenshotIfEnabled(tab, options) {
+  if (!options || !options.screenshot) {
+    return null;
+  }
+  try {
+    return await captureFullPageScreenshot(tab);
+  } catch (error) {
+    console.warn("Could not capture screenshot:", error.message);
+    return { error: error.message };
   }
-  
-  // Handle clearing all saved captures
-  else if (request.action === "clearCaptures") {
-    console.log("Processing clearCaptures action");
-    chrome.storage.local.set({ domCaptures: [] }, () => {
+}
+
+// The warning for a screenshot that was asked for but failed, to add to a
+// handler's response
+function screenshotWarning(screenshot) {
+  return screenshot && screenshot.error ? { warning: "Screenshot failed: " + screenshot.error } : {};
+}
+
+// Companion files stored and exported next to a capture, e.g. foo.html and foo.png
+function buildAttachments(filename, screenshot) {
+  if (!screenshot || !screenshot.dataUrl) {
+    return [];
+  }
+  return [{
+    filename: companionFilename(filename, 'png'),
+    mimeType: 'image/png',
+    content: screenshot.dataUrl,
+    width: screenshot.width,
+    height: screenshot.height,
+    truncated: screenshot.truncated
+  }];
+}
+
+// Download a capture's companion files next to it
+function downloadAttachments(attachments) {
+  (attachments || []).forEach(attachment => {
+    chrome.downloads.download({ url: attachment.content, filename: attachment.filename }, () => {
       if (chrome.runtime.lastError) {
-        console.error("Error clearing captures:", chrome.runtime.lastError);
-        safeResponse({ status: "error", message: "Failed to clear captures: " + chrome.runtime.lastError.message });
-      } else {
-        console.log("Captures cleared successfully");
-        safeResponse({ status: "success", message: "All captures cleared" });
+        console.error("Companion download failed:", attachment.filename, chrome.runtime.lastError.message);
       }
     });
-    return true; // Indicates that sendResponse will be called asynchronously
-  }
-  
-  // Handle getting available scrapers for current page
-  else if (request.action === "getAvailableScrapers") {
-    console.log("Processing getAvailableScrapers action");
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-      if (chrome.runtime.lastError || !tabs || tabs.length === 0) {
-        console.error("Error querying tabs:", chrome.runtime.lastError?.message);
-        safeResponse({ status: "error", message: "Could not get active tab." });
+  });
+}
+
+// Run a function in a tab's top frame and resolve with its result
+function runInTab(tabId, func, args = []) {
+  return new Promise((resolve, reject) => {
+    chrome.scripting.executeScript({
+      target: { tabId },
+      function: func,
+      args
+    }, (injectionResults) => {
+      if (chrome.runtime.lastError || !injectionResults || injectionResults.length === 0) {
+        reject(new Error(chrome.runtime.lastError?.message || "No result from tab."));
         return;
       }
-
-      const activeTab = tabs[0];
-      const availableScrapers = scraperRegistry.findMatchingScrapers(activeTab.url);
-      
-      console.log(`Found ${availableScrapers.length} available scrapers for ${activeTab.url}`);
-      safeResponse({ 
-        status: "success", 
-        scrapers: availableScrapers.map(s => ({
-          id: s.id,
-          name: s.name,
-          description: s.description
-        }))
-      });
+      resolve(injectionResults[0].result);
     });
-    return true;
-  }
-  
-  // Handle executing a specific scraper
-  else if (request.action === "executeScraper") {
-    console.log("Processing executeScraper action:", request.scraperId);
-    const scraper = scraperRegistry.getScraper(request.scraperId);
-    
-    if (!scraper) {
-      safeResponse({ status: "error", message: "Scraper not found" });
-      return;
+  });
+}
+
+// Attach the validation report (if the scraper declares a schema or expectations)
+// to the result, so it is saved with the data
+function addValidationReport(scraper, result) {
+  const validation = validateScraperResult(scraper, result);
+  if (validation) {
+    result.validation = validation;
+    if (!validation.valid) {
+      console.warn(`Scraper ${scraper.id} result failed validation:`, validation.warnings);
     }
-    
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-      if (chrome.runtime.lastError || !tabs || tabs.length === 0) {
-        console.error("Error querying tabs:", chrome.runtime.lastError?.message);
-        safeResponse({ status: "error", message: "Could not get active tab." });
-        return;
-      }
+  }
+  return result;
+}
+
+// Run a scraper on a tab: extract from this page and, if the scraper paginates,
+// the following pages, check the result against the scraper's declared schema
+// and expectations, and merge the rows into its dataset if it keeps one
+async function runScraperOnTab(tab, scraper) {
+  const result = await runScraperPages(tab, scraper);
+  addValidationReport(scraper, result);
+  await updateScraperDataset(scraper, result, tab.url);
+  return result;
+}
 
-      const activeTab = tabs[0];
-      console.log("Capturing DOM for scraper execution:", activeTab.url);
-      
-      // Step 1: Inject scrapers.js and execute scraper in content script context
+// e.g. linkedin-company-people_2024-01-01T00-00-00-000Z.json
+function buildScraperFilename(scraper) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return `${scraper.id}_${timestamp}.json`;
+}
+
+// Store a scraper result in the batch as a JSON capture
+function saveScraperCapture(tab, scraper, result, filename, attachments = [], screenshot = null) {
+  return addCaptureWithChangeCheck({
+    filename, content: JSON.stringify(result, null, 2), url: tab.url, title: tab.title,
+    scraperId: scraper.id, columns: scraper.columns, attachments,
+    screenshotError: screenshot ? screenshot.error : undefined
+  });
+}
+
+// Record a run in the scraper's persistent dataset. The summary is added to the
+// result; a failure is logged rather than losing the scraped data.
+async function updateScraperDataset(scraper, result, url) {
+  if (!scraper.dataset) {
+    return;
+  }
+  try {
+    result.dataset = await datasetStore.recordRun(scraper, result, url);
+  } catch (error) {
+    console.error("Error updating dataset:", error);
+    result.dataset = { error: error.message };
+  }
+}
+
+// Run a scraper's extract function on the page currently loaded in the tab
+function extractScraperPage(tab, scraper) {
+  return new Promise((resolve, reject) => {
+    // Inject scrapers.js and execute scraper in content script context
+    injectScraperRegistry(tab.id).then(() => {
+      // Now execute the scraper using the injected registry
       chrome.scripting.executeScript({
-        target: { tabId: activeTab.id },
-        files: ['scrapers.js']
-      }, () => {
-        if (chrome.runtime.lastError) {
-          console.error("Error injecting scrapers.js:", chrome.runtime.lastError.message);
-          safeResponse({ status: "error", message: "Failed to load scrapers." });
-          return;
-        }
+        target: { tabId: tab.id },
+        function: function(scraperId, pageUrl, pageTitle, definition) {
+          // This runs in the page context where DOM is available and scrapers.js is loaded
+          try {
+            console.log('Executing scraper:', scraperId);
 
-        // Now execute the scraper using the injected registry
-        chrome.scripting.executeScript({
-          target: { tabId: activeTab.id },
-          function: function(scraperId, pageUrl, pageTitle) {
-            // This runs in the page context where DOM is available and scrapers.js is loaded
-            try {
-              console.log('Executing scraper:', scraperId);
-              
-              // Use the injected scraper registry
-              if (typeof scraperRegistry === 'undefined') {
-                return { error: 'Scraper registry not available' };
-              }
-              
-              const scraper = scraperRegistry.getScraper(scraperId);
-              if (!scraper) {
-                return { error: 'Scraper not found: ' + scraperId };
-              }
-              
-              // Execute scraper on live document
-              const result = scraper.extract(document, pageUrl, pageTitle);
-              return { success: true, result: result };
-              
-            } catch (error) {
-              console.error('Scraper execution error:', error);
-              return { error: error.message };
+            // Use the injected scraper registry
+            if (typeof scraperRegistry === 'undefined') {
+              return { error: 'Scraper registry not available' };
             }
-          },
-          args: [request.scraperId, activeTab.url, activeTab.title]
-        }, (injectionResults) => {
+
+            // User-defined scrapers only exist in storage, so compile them here too
+            if (definition) {
+              scraperRegistry.register(createDeclarativeScraper(definition));
+            }
+
+            const scraper = scraperRegistry.getScraper(scraperId);
+            if (!scraper) {
+              return { error: 'Scraper not found: ' + scraperId };
+            }
+
+            // Execute scraper on live document
+            const result = scraper.extract(document, pageUrl, pageTitle);
+            return { success: true, result: result };
+
+          } catch (error) {
+            console.error('Scraper execution error:', error);
+            return { error: error.message };
+          }
+        },
+        args: [scraper.id, tab.url, tab.title, scraper.declarative ? scraper.definition : null]
+      }, (injectionResults) => {
         if (chrome.runtime.lastError || !injectionResults || injectionResults.length === 0) {
           console.error("Error executing scraper:", chrome.runtime.lastError?.message);
-          safeResponse({ status: "error", message: "Failed to execute scraper." });
+          reject(new Error("Failed to execute scraper."));
           return;
         }
 
         const scriptResult = injectionResults[0].result;
         if (!scriptResult) {
-          safeResponse({ status: "error", message: "No result from scraper execution." });
-          return;
-        }
-
-        if (scriptResult.error) {
-          safeResponse({ status: "error", message: scriptResult.error });
-          return;
-        }
-
-        if (scriptResult.success) {
-          const result = scriptResult.result;
-          console.log("Scraper execution result:", result);
-          
-          // Handle results
-          const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-          const filename = `${scraper.id}_${timestamp}.json`;
-          const content = JSON.stringify(result, null, 2);
-          
-          if (request.saveMode === "batch") {
-            storeDOMCapture(filename, content, activeTab.url, activeTab.title)
-              .then(() => {
-                safeResponse({ 
-                  status: "success", 
-                  message: "Scraper results saved to batch",
-                  result: result
-                });
-              })
-              .catch(error => {
-                safeResponse({ status: "error", message: "Failed to save results: " + error.message });
-              });
-          } else {
-            // Direct download
-            const blob = new Blob([content], { type: 'application/json' });
-            const reader = new FileReader();
-            reader.onload = function() {
-              const dataUrl = reader.result;
-              chrome.downloads.download({
-                url: dataUrl,
-                filename: filename,
-                saveAs: true
-              }, (downloadId) => {
-                if (chrome.runtime.lastError) {
-                  safeResponse({ status: "error", message: "Download failed: " + chrome.runtime.lastError.message });
-                } else {
-                  safeResponse({ 
-                    status: "success", 
-                    message: "Scraper results downloaded",
-                    result: result
-                  });
-                }
-              });
-            };
-            reader.readAsDataURL(blob);
-          }
+          reject(new Error("No result from scraper execution."));
+        } else if (scriptResult.error) {
+          reject(new Error(scriptResult.error));
+        } else {
+          resolve(scriptResult.result);
         }
-        });
       });
+    }, error => {
+      console.error("Error injecting scrapers.js:", error.message);
+      reject(new Error("Failed to load scrapers."));
     });
-    return true;
-  }
-});
-
-// Store a DOM capture in chrome.storage.local
-async function storeDOMCapture(filename, content, url, title) {
-  console.log("Storing DOM capture:", filename);
-  // Get existing captures
-  const data = await chrome.storage.local.get('domCaptures');
-  const captures = data.domCaptures || [];
-  console.log("Current capture count:", captures.length);
-  
-  // Add new capture
-  captures.push({
-    filename,
-    content,
-    url,
-    title,
-    timestamp: new Date().toISOString()
   });
-  
-  // Save back to storage
-  console.log("Saving updated captures, new count:", captures.length);
-  await chrome.storage.local.set({ domCaptures: captures });
-  console.log("Capture saved successfully");
-  
-  return true;
-}
-
-// Get all saved captures
-async function getSavedCaptures() {
-  console.log("Getting saved captures");
-  const data = await chrome.storage.local.get('domCaptures');
-  console.log("Retrieved captures from storage:", data.domCaptures ? data.domCaptures.length : 0);
-  return data.domCaptures || [];
-}
-
-// Export all saved captures as a ZIP file
-async function exportCapturesAsZIP() {
-  console.log("Starting ZIP export");
-  // Get all saved captures
-  const captures = await getSavedCaptures();
-  console.log("Retrieved", captures.length, "captures for ZIP export");
-  
-  if (captures.length === 0) {
-    console.error("No captures available to export");
-    throw new Error("No captures available to export");
-  }
-  
-  // Create a new JSZip instance
-  console.log("Creating new JSZip instance");
-  const zip = new JSZip();
-  
-  // Add each capture to the ZIP
-  console.log("Adding files to ZIP");
-  captures.forEach(capture => {
-    console.log("Adding file to ZIP:", capture.filename);
-    zip.file(capture.filename, capture.content);
+}
+
+// scrapers.js declares top-level classes and constants, which a page can't declare
+// twice (e.g. on every round of infinite-scroll pagination), so it is only
+// injected into pages that don't have the registry yet
+async function injectScraperRegistry(tabId) {
+  const loaded = await runInTab(tabId, function() {
+    return typeof scraperRegistry !== 'undefined';
   });
-  
-  // Generate the ZIP file
-  console.log("Generating ZIP blob");
-  const zipBlob = await zip.generateAsync({ type: 'blob' });
-  console.log("ZIP blob generated, size:", zipBlob.size);
-  
-  // Create a timestamp for the ZIP filename
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const zipFilename = `dom_captures_${timestamp}.zip`;
-  console.log("ZIP filename:", zipFilename);
-  
-  // Convert Blob to base64 data URI
+  if (!loaded) {
+    await chrome.scripting.executeScript({ target: { tabId }, files: ['scrapers.js'] });
+  }
+}
+
+// Inject the page expander into the top frame and scroll/click until the page stops growing
+function expandPage(tabId, expandOptions) {
   return new Promise((resolve, reject) => {
-    console.log("Converting blob to data URI");
-    const reader = new FileReader();
-    reader.onload = function() {
-      const dataUrl = reader.result;
-      console.log("Data URI created, length:", dataUrl.length);
-      
-      console.log("Initiating ZIP download with data URI");
-      chrome.downloads.download({
-        url: dataUrl,
-        filename: zipFilename,
-        saveAs: true
-      }, (downloadId) => {
-        if (chrome.runtime.lastError) {
-          console.error("Download failed:", chrome.runtime.lastError);
-          reject(new Error("Download failed: " + chrome.runtime.lastError.message));
-        } else {
-          console.log("ZIP download initiated, ID:", downloadId);
-          resolve(downloadId);
+    chrome.scripting.executeScript({
+      target: { tabId },
+      files: ['pageExpander.js']
+    }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+
+      chrome.scripting.executeScript({
+        target: { tabId },
+        function: function(options) {
+          return new PageExpander(window, options).expand();
+        },
+        args: [expandOptions]
+      }, (injectionResults) => {
+        if (chrome.runtime.lastError || !injectionResults || injectionResults.length === 0) {
+          reject(new Error(chrome.runtime.lastError?.message || "No expansion result."));
+          return;
         }
+        resolve(injectionResults[0].result);
       });
-    };
-    
-    reader.onerror = function() {
-      console.error("FileReader error:", reader.error);
-      reject(new Error("Failed to read ZIP blob: " + reader.error));
-    };
-    
-    reader.readAsDataURL(zipBlob);
+    });
   });
 }
 
-// This function will be injected into the web page to retrieve its full HTML (DOM)
-function getPageDOM() {
-  console.log("getPageDOM function executing in page context");
-  // Check if it's an XML document (e.g. RSS feed)
-  if (document.contentType === 'text/xml' || document.contentType === 'application/xml' || document.documentElement.tagName === 'rss' || document.documentElement.tagName === 'feed') {
-    console.log("XML document detected, using XMLSerializer");
-    const serializer = new XMLSerializer();
-    return serializer.serializeToString(document);
+// This function will be injected into the web page to retrieve its full HTML (DOM).
+// It relies on pageSerializer.js having been injected first.
+function getPageDOM(options) {
+  console.log("getPageDOM function executing in page context", options);
+  return new PageSerializer(document, options).capture();
+}
+
+// Combine per-frame serializations into the top frame's HTML. Each child frame
+// is written into its <iframe> as srcdoc, innermost frames first.
+function stitchFrames(injectionResults) {
+  const capturesByFrameId = new Map();
+  const resources = new Map();
+  injectionResults.forEach(injection => {
+    if (injection.result) {
+      capturesByFrameId.set(injection.frameId, injection.result);
+      (injection.result.resources || []).forEach(resource => resources.set(resource.url, resource));
+    }
+  });
+
+  const renderFrame = (frameId, ancestors) => {
+    const capture = capturesByFrameId.get(frameId);
+    let html = capture.html;
+    const node = { frameId, url: capture.url, title: capture.title, captured: true, children: [] };
+
+    capture.childFrames.forEach(child => {
+      const marker = `data-dom-saver-frame-id="${child.frameId}"`;
+      let srcdoc = child.srcdoc;
+
+      if (capturesByFrameId.has(child.frameId) && !ancestors.includes(child.frameId)) {
+        const rendered = renderFrame(child.frameId, ancestors.concat(frameId));
+        srcdoc = rendered.html;
+        node.children.push(rendered.node);
+      } else {
+        // Restricted or failed frames keep their original src
+        node.children.push({ frameId: child.frameId, url: child.src, captured: false, children: [] });
+      }
+
+      if (srcdoc !== null && srcdoc !== undefined) {
+        const frameUrl = node.children[node.children.length - 1].url || '';
+        html = html.replace(marker,
+          () => `${marker} data-dom-saver-frame-url="${escapeHTMLAttribute(frameUrl)}" srcdoc="${escapeHTMLAttribute(srcdoc)}"`);
+      }
+    });
+
+    return { html, node };
+  };
+
+  // The top frame always has frame id 0
+  if (!capturesByFrameId.has(0)) {
+    throw new Error("Top frame returned no DOM content.");
+  }
+  const top = renderFrame(0, []);
+  console.log("Stitched frames, captured:", capturesByFrameId.size);
+  return { content: top.html, frames: top.node, resources: Array.from(resources.values()) };
+}
+
+function escapeHTMLAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+// Generate a capture filename (e.g., domain_timestamp.html)
+function buildCaptureFilename(pageUrl, extension) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  try {
+    const hostname = new URL(pageUrl).hostname.replace(/^www\./, ''); // Remove www.
+    return `${hostname}_${timestamp}.${extension}`;
+  } catch (e) {
+    // If URL parsing fails, use a generic name
+    console.warn("Could not parse URL for filename:", pageUrl, e);
+    return `page_dom.${extension}`;
   }
-  // For HTML documents
-  console.log("HTML document detected, using outerHTML");
-  return document.documentElement.outerHTML;
+}
+
+// Fetch a resource with the extension's host permissions
+async function fetchResource(url, responseType) {
+  const response = await fetch(url, { credentials: 'include' });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} fetching ${url}`);
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (responseType === 'text') {
+    return { url: response.url, contentType, text: await response.text() };
+  }
+  const blob = await response.blob();
+  return { url: response.url, contentType, dataUrl: await blobToDataURL(blob) };
+}
+
+// Convert a Blob to a base64 data URI
+function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error("Failed to read blob: " + reader.error));
+    reader.readAsDataURL(blob);
+  });
 }
 
 // Clean up temporary DOM storage
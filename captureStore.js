@@ -0,0 +1,261 @@
+// captureStore.js
+// IndexedDB-backed storage for batch captures, one record per capture
+
+const CAPTURE_DB_NAME = 'domSaver';
+const CAPTURE_DB_VERSION = 3;
+const CAPTURE_STORE_NAME = 'captures';
+// Scraper datasets merged across runs (see datasetStore.js), added in version 2
+const DATASET_STORE_NAME = 'datasets';
+// Bookkeeping records such as the legacy migration marker, added in version 3
+const META_STORE_NAME = 'meta';
+
+// MIME types of the capture file types the extension writes
+const CAPTURE_MIME_TYPES = {
+  html: 'text/html',
+  json: 'application/json',
+  mhtml: 'multipart/related'
+};
+
+// Key used by older versions that kept every capture in one chrome.storage.local array
+const LEGACY_CAPTURES_KEY = 'domCaptures';
+// Meta record written together with the migrated captures
+const LEGACY_MIGRATION_MARKER = 'legacyCapturesMigrated';
+
+class CaptureStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  // Open (and if needed create or upgrade) the database. Legacy captures are
+  // moved over the first time the database is opened.
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(CAPTURE_DB_NAME, CAPTURE_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(CAPTURE_STORE_NAME)) {
+            console.log("Creating captures object store");
+            const store = db.createObjectStore(CAPTURE_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('url', 'url', { unique: false });
+            store.createIndex('timestamp', 'timestamp', { unique: false });
+            store.createIndex('type', 'type', { unique: false });
+          }
+          if (!db.objectStoreNames.contains(DATASET_STORE_NAME)) {
+            console.log("Creating datasets object store");
+            const store = db.createObjectStore(DATASET_STORE_NAME, { keyPath: 'id' });
+            store.createIndex('scraperId', 'scraperId', { unique: false });
+          }
+          if (!db.objectStoreNames.contains(META_STORE_NAME)) {
+            console.log("Creating meta object store");
+            db.createObjectStore(META_STORE_NAME, { keyPath: 'key' });
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => console.warn("Capture database open is blocked by another connection");
+      })
+        .then(db => this.migrateLegacyCaptures(db).then(() => db))
+        .catch(error => {
+          // Allow the next call to retry instead of caching the failure
+          this.dbPromise = null;
+          throw error;
+        });
+    }
+    return this.dbPromise;
+  }
+
+  // Run a callback against an object store (captures by default) inside one
+  // transaction. Resolves with the result of the request returned by the
+  // callback (if any) once the transaction has committed. With an array of
+  // store names the callback gets one store per name.
+  async withStore(mode, callback, storeName = CAPTURE_STORE_NAME) {
+    const db = await this.open();
+    return this.runTransaction(db, mode, callback, storeName);
+  }
+
+  runTransaction(db, mode, callback, storeName = CAPTURE_STORE_NAME) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const stores = [].concat(storeName).map(name => transaction.objectStore(name));
+      let result;
+
+      const request = callback(...stores);
+      if (request) {
+        request.onsuccess = () => {
+          result = request.result;
+        };
+      }
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Capture transaction aborted'));
+    });
+  }
+
+  // Build the stored record for a capture. Extra properties (e.g. the frame
+  // tree of a DOM capture) are stored alongside the standard fields.
+  createRecord({ filename, content, url, title, timestamp, ...metadata }) {
+    const type = captureTypeFromFilename(filename);
+    return {
+      ...metadata,
+      filename,
+      content,
+      url,
+      title,
+      type,
+      mimeType: metadata.mimeType || CAPTURE_MIME_TYPES[type] || 'application/octet-stream',
+      size: new Blob([content || '']).size,
+      timestamp: timestamp || new Date().toISOString()
+    };
+  }
+
+  // Add a single capture and resolve with its generated id
+  async addCapture(capture) {
+    const record = this.createRecord(capture);
+    console.log("Storing capture:", record.filename, "size:", record.size);
+    const id = await this.withStore('readwrite', store => store.add(record));
+    console.log("Capture stored with id:", id);
+    return id;
+  }
+
+  // Get all captures in the order they were added
+  getAllCaptures() {
+    return this.withStore('readonly', store => store.getAll());
+  }
+
+  getCapture(id) {
+    return this.withStore('readonly', store => store.get(id));
+  }
+
+  // Get several captures by id, skipping ids that no longer exist
+  async getCapturesByIds(ids) {
+    const captures = [];
+    await this.withStore('readonly', store => {
+      ids.forEach(id => {
+        store.get(id).onsuccess = (event) => {
+          if (event.target.result) {
+            captures.push(event.target.result);
+          }
+        };
+      });
+    });
+    // Keep the order the captures were added in
+    return captures.sort((a, b) => a.id - b.id);
+  }
+
+  // The newest capture of a URL that passes the filter, or null
+  async findLatestCapture(url, filter = () => true) {
+    let latest = null;
+    await this.withStore('readonly', store => {
+      store.index('url').openCursor(IDBKeyRange.only(url), 'prev').onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          return;
+        }
+        if (filter(cursor.value)) {
+          latest = cursor.value;
+        } else {
+          cursor.continue();
+        }
+      };
+    });
+    return latest;
+  }
+
+  // List captures without their content, for browsing large batches
+  async getCaptureSummaries() {
+    const summaries = [];
+    await this.withStore('readonly', store => {
+      store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          summaries.push(summarizeCapture(cursor.value));
+          cursor.continue();
+        }
+      };
+    });
+    return summaries;
+  }
+
+  deleteCaptures(ids) {
+    return this.withStore('readwrite', store => {
+      ids.forEach(id => store.delete(id));
+    });
+  }
+
+  countCaptures() {
+    return this.withStore('readonly', store => store.count());
+  }
+
+  clearCaptures() {
+    return this.withStore('readwrite', store => store.clear());
+  }
+
+  // Move captures from the old chrome.storage.local array into the database.
+  // The captures and a marker are written in one transaction, so if removing
+  // the old array fails the next open only retries the removal instead of
+  // copying the captures again.
+  async migrateLegacyCaptures(db) {
+    const data = await chrome.storage.local.get(LEGACY_CAPTURES_KEY);
+    const legacyCaptures = data[LEGACY_CAPTURES_KEY];
+    if (!legacyCaptures) {
+      return;
+    }
+
+    await this.runTransaction(db, 'readwrite', (metaStore, store) => {
+      metaStore.get(LEGACY_MIGRATION_MARKER).onsuccess = (event) => {
+        if (event.target.result) {
+          console.log("Legacy captures were already migrated, removing the old array");
+          return;
+        }
+        console.log(`Migrating ${legacyCaptures.length} legacy captures to IndexedDB`);
+        legacyCaptures.forEach(capture => store.add(this.createRecord(capture)));
+        metaStore.put({ key: LEGACY_MIGRATION_MARKER, count: legacyCaptures.length, timestamp: new Date().toISOString() });
+      };
+    }, [META_STORE_NAME, CAPTURE_STORE_NAME]);
+
+    try {
+      await chrome.storage.local.remove(LEGACY_CAPTURES_KEY);
+    } catch (error) {
+      // The captures are safe in the database; the next open retries this
+      console.warn("Could not remove legacy captures:", error.message);
+      return;
+    }
+    console.log("Legacy capture migration complete");
+  }
+}
+
+// Capture metadata without the (potentially large) content
+function summarizeCapture(capture) {
+  const { content, resources, attachments, ...summary } = capture;
+  return {
+    ...summary,
+    resourceCount: (resources || []).length,
+    attachments: (attachments || []).map(({ content, ...attachment }) => attachment)
+  };
+}
+
+// Derive the capture type from the file extension (e.g. "html", "json")
+function captureTypeFromFilename(filename) {
+  const match = /\.([a-z0-9]+)$/i.exec(filename || '');
+  return match ? match[1].toLowerCase() : 'unknown';
+}
+
+// Global store instance
+const captureStore = new CaptureStore();
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CaptureStore, captureStore, captureTypeFromFilename, summarizeCapture };
+} else if (typeof window !== 'undefined') {
+  // Browser environment
+  window.captureStore = captureStore;
+  window.CaptureStore = CaptureStore;
+} else {
+  // Service worker environment
+  self.captureStore = captureStore;
+  self.CaptureStore = CaptureStore;
+}
@@ -0,0 +1,218 @@
+// changeMonitor.js
+// Watches pages for changes: every capture of a watched URL saved to the batch is
+// compared with the previous capture of the page (see diff.js), the change
+// summary is stored with the new capture and a notification is raised when
+// enough has changed. Loaded into the background service worker.
+//
+// The watch list is kept in chrome.storage.local under WATCH_LIST_KEY. The
+// previous capture is looked up in the batch, so clearing the batch starts a
+// page's history over.
+
+const WATCH_LIST_KEY = 'watchList';
+const CHANGE_NOTIFICATION_PREFIX = 'captureChange:';
+const CHANGE_NOTIFICATION_ICON = 'icons/notification.png';
+
+const DEFAULT_WATCH_SETTINGS = {
+  compare: 'text',     // Page captures: 'text' (visible text) or 'dom' (markup)
+  key: '',             // Scraper results: row field to match rows on; defaults to the scraper's dataset key
+  ignorePattern: '',   // Lines matching this regular expression don't count, e.g. "updated \d+ minutes ago"
+  minChanges: 1,       // Changed lines or rows needed for a notification
+  notify: true
+};
+
+// Storage updates are chained so concurrent changes don't overwrite each other
+let watchListWrite = Promise.resolve();
+
+async function getWatchList() {
+  const stored = await chrome.storage.local.get(WATCH_LIST_KEY);
+  return stored[WATCH_LIST_KEY] || { watches: [], nextWatchId: 1 };
+}
+
+// Read the watch list, let update change it and store it again.
+// Resolves with what update returned.
+function updateWatchList(update) {
+  const run = watchListWrite.then(async () => {
+    const state = await getWatchList();
+    const result = await update(state);
+    await chrome.storage.local.set({ [WATCH_LIST_KEY]: state });
+    return result;
+  });
+  watchListWrite = run.catch(() => {});
+  return run;
+}
+
+// Add a watch, or change the one with definition.id. Watching a URL that is
+// already watched changes that watch.
+async function saveWatch(definition) {
+  const url = normalizeWatchUrl(definition.url);
+  if (!url) {
+    throw new RpcError(RPC_ERRORS.INVALID_REQUEST, "Enter a web address starting with http:// or https://");
+  }
+  if (definition.ignorePattern) {
+    try {
+      new RegExp(definition.ignorePattern);
+    } catch (error) {
+      throw new RpcError(RPC_ERRORS.INVALID_REQUEST, "Invalid ignore pattern: " + error.message);
+    }
+  }
+  const { id, ...settings } = definition;
+  const watch = await updateWatchList(state => {
+    let existing = state.watches.find(candidate => id === undefined ? candidate.url === url : candidate.id === id);
+    if (id !== undefined && !existing) {
+      throw new RpcError(RPC_ERRORS.NOT_FOUND, "Watch not found");
+    }
+    if (!existing) {
+      existing = {
+        id: state.nextWatchId++,
+        ...DEFAULT_WATCH_SETTINGS,
+        createdAt: new Date().toISOString(),
+        lastCheckedAt: null,
+        lastChange: null,
+        captureCount: 0,
+        changeCount: 0
+      };
+      state.watches.push(existing);
+    }
+    return Object.assign(existing, settings, { url });
+  });
+  console.log("Watching for changes:", watch.url);
+  return watch;
+}
+
+async function deleteWatch(id) {
+  await updateWatchList(state => {
+    const index = state.watches.findIndex(watch => watch.id === id);
+    if (index === -1) {
+      throw new RpcError(RPC_ERRORS.NOT_FOUND, "Watch not found");
+    }
+    state.watches.splice(index, 1);
+  });
+}
+
+// An http(s) URL without its fragment, or null
+function normalizeWatchUrl(value) {
+  try {
+    const url = new URL(String(value || '').trim());
+    url.hash = '';
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Store a capture in the batch and resolve with its id. A capture of a watched
+// page is first compared with the previous one; a failed comparison is logged
+// and never loses the capture.
+async function addCaptureWithChangeCheck(capture) {
+  let check = null;
+  try {
+    check = await compareWithPreviousCapture(capture);
+  } catch (error) {
+    console.warn("Could not compare capture with the previous one:", error.message);
+  }
+  const id = await captureStore.addCapture(check ? { ...capture, change: check.change } : capture);
+  if (check) {
+    await recordCaptureChange(check.watch, id, capture, check.change).catch(error => {
+      console.warn("Could not record page change:", error.message);
+    });
+  }
+  return id;
+}
+
+// The watch for the capture's URL and the change since the previous capture of
+// the same kind (page, or the same scraper), or null if the URL isn't watched
+async function compareWithPreviousCapture(capture) {
+  const url = capture.url && normalizeWatchUrl(capture.url);
+  const { watches } = await getWatchList();
+  const watch = url && watches.find(candidate => candidate.url === url);
+  if (!watch) {
+    return null;
+  }
+  const type = captureTypeFromFilename(capture.filename);
+  if (type === 'mhtml') {
+    console.log("MHTML captures aren't compared:", capture.url);
+    return null;
+  }
+  // A selection or a single element (see contextMenus.js) isn't the whole page
+  if (capture.fragment) {
+    console.log("Partial captures aren't compared:", capture.url);
+    return null;
+  }
+
+  const scraperId = capture.scraperId || null;
+  const previous = await captureStore.findLatestCapture(capture.url, candidate =>
+    candidate.type === type && !candidate.fragment && (candidate.scraperId || null) === scraperId);
+  const change = { watchId: watch.id, previousId: null, previousTimestamp: null, significant: false };
+  if (!previous) {
+    change.summary = "First capture of this page";
+    return { watch, change };
+  }
+
+  Object.assign(change, { previousId: previous.id, previousTimestamp: previous.timestamp },
+    compareCaptureContent(previous.content, capture.content, { type, scraperId, watch }));
+  change.significant = change.added + change.removed + change.changed >= Math.max(watch.minChanges, 1);
+  console.log(`Compared capture of ${capture.url} with #${previous.id}:`, change.summary);
+  return { watch, change };
+}
+
+// What changed between two captures' content:
+// { mode, key, ignorePattern, added, removed, changed, summary }
+function compareCaptureContent(previousContent, content, { type, scraperId, watch }) {
+  if (type === 'json') {
+    const previousRows = resultRows(previousContent);
+    const rows = resultRows(content);
+    if (previousRows && rows) {
+      const scraper = scraperId && scraperRegistry.getScraper(scraperId);
+      const key = watch.key || (scraper && scraper.dataset && scraper.dataset.key) || null;
+      const diff = diffRecords(previousRows, rows, key);
+      const counts = { added: diff.added.length, removed: diff.removed.length, changed: diff.changed.length };
+      return { mode: 'data', key, ...counts, summary: describeChanges(counts, 'row') };
+    }
+  }
+
+  const mode = type === 'html' ? watch.compare : 'lines';
+  const ignore = watch.ignorePattern ? new RegExp(watch.ignorePattern, 'i') : null;
+  const keepLines = (lines) => ignore ? lines.filter(line => !ignore.test(line)) : lines;
+  const diff = diffLines(keepLines(captureToLines(previousContent, mode)), keepLines(captureToLines(content, mode)));
+  const counts = { added: diff.added, removed: diff.removed, changed: 0 };
+  return { mode, key: null, ignorePattern: watch.ignorePattern || null, ...counts, summary: describeChanges(counts, 'line') };
+}
+
+// Update the watch with the outcome and raise a notification for a meaningful change
+async function recordCaptureChange(watch, captureId, capture, change) {
+  const at = new Date().toISOString();
+  await updateWatchList(state => {
+    const stored = state.watches.find(candidate => candidate.id === watch.id);
+    if (stored) {
+      stored.lastCheckedAt = at;
+      stored.captureCount++;
+      if (change.significant) {
+        stored.changeCount++;
+        stored.lastChange = { captureId, at, summary: change.summary };
+      }
+    }
+  });
+  if (change.significant && watch.notify) {
+    await chrome.notifications.create(CHANGE_NOTIFICATION_PREFIX + captureId, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL(CHANGE_NOTIFICATION_ICON),
+      title: `Page changed: ${capture.title || capture.url}`,
+      message: change.summary,
+      contextMessage: capture.url
+    });
+  }
+}
+
+// Clicking a change notification shows the changes in the capture manager
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId.startsWith(CHANGE_NOTIFICATION_PREFIX)) {
+    const captureId = notificationId.slice(CHANGE_NOTIFICATION_PREFIX.length);
+    chrome.tabs.create({ url: chrome.runtime.getURL('manager.html?compare=' + captureId) });
+    chrome.notifications.clear(notificationId);
+  }
+});
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { compareCaptureContent, normalizeWatchUrl, WATCH_LIST_KEY };
+}
@@ -0,0 +1,251 @@
+// contextMenus.js
+// Right-click menu entries: save the page, the selected HTML or the element under
+// the pointer to the batch, and run the scrapers matching the page. Loaded into
+// the background service worker; saving goes through the same functions as the
+// popup's buttons.
+//
+// Chrome builds the menu before it is opened, so the "Run scraper" submenu is
+// rebuilt whenever the active tab, its address, the focused window or the custom
+// scrapers change. The
+// right-clicked element is remembered by the contextTarget.js content script.
+
+const CONTEXT_MENU_IDS = {
+  savePage: 'savePageToBatch',
+  saveSelection: 'saveSelectionToBatch',
+  saveElement: 'saveElementToBatch',
+  runScraper: 'runScraper'
+};
+const RUN_SCRAPER_MENU_PREFIX = 'runScraper:';
+const CONTEXT_MENU_NOTIFICATION_ID = 'contextMenuResult';
+// Everywhere on a page; 'all' would also add the entries to the toolbar button's menu
+const PAGE_MENU_CONTEXTS = ['page', 'frame', 'selection', 'link', 'editable', 'image', 'video', 'audio'];
+
+// Rebuilds are chained so one never removes the items another is creating
+let contextMenusUpdate = Promise.resolve();
+// Ids of the scrapers in the "Run scraper" submenu, null until the menu is built
+let contextMenuScraperIds = null;
+
+refreshContextMenus();
+
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  chrome.tabs.get(tabId).then(tab => updateContextMenus(tab.url), error => {
+    console.warn("Could not read the activated tab:", error.message);
+  });
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url && tab.active) {
+    updateContextMenus(changeInfo.url);
+  }
+});
+
+// The menu is shared by all windows, so it follows the one in front
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  // Focus moving to another application leaves the menu as it was
+  if (windowId === chrome.windows.WINDOW_ID_NONE) {
+    return;
+  }
+  chrome.tabs.query({ active: true, windowId }).then(([tab]) => updateContextMenus(tab ? tab.url : null), error => {
+    console.warn("Could not read the focused window's tab:", error.message);
+  });
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[CUSTOM_SCRAPERS_KEY]) {
+    // Names may have changed even if the same scrapers match
+    contextMenuScraperIds = null;
+    refreshContextMenus();
+  }
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  runContextMenuAction(info, tab)
+    .then(message => message && notifyContextMenuResult(message, tab.title || tab.url))
+    .catch(error => {
+      console.error("Context menu action failed:", error.message);
+      notifyContextMenuResult("Could not save from the page", error.message);
+    });
+});
+
+// Clicking a result notification opens the capture manager
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId === CONTEXT_MENU_NOTIFICATION_ID) {
+    chrome.tabs.create({ url: chrome.runtime.getURL('manager.html') });
+    chrome.notifications.clear(notificationId);
+  }
+});
+
+// Rebuild the menu for the active tab of the current window
+async function refreshContextMenus() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true }).catch(() => []);
+  return updateContextMenus(tab ? tab.url : null);
+}
+
+// Rebuild the menu with the scrapers matching url. Resolves once it is built.
+function updateContextMenus(url) {
+  const run = contextMenusUpdate.then(() => buildContextMenus(url));
+  contextMenusUpdate = run.catch(error => {
+    console.warn("Could not update context menus:", error.message);
+  });
+  return contextMenusUpdate;
+}
+
+async function buildContextMenus(url) {
+  await customScrapersReady;
+  const scrapers = url ? scraperRegistry.findMatchingScrapers(url) : [];
+  const scraperIds = scrapers.map(scraper => scraper.id).join('\n');
+  if (scraperIds === contextMenuScraperIds) {
+    return;
+  }
+
+  console.log("Building context menus, matching scrapers:", scrapers.length);
+  contextMenuScraperIds = null;
+  await chrome.contextMenus.removeAll();
+  await createContextMenu({ id: CONTEXT_MENU_IDS.savePage, title: "Save page DOM to batch", contexts: PAGE_MENU_CONTEXTS });
+  await createContextMenu({ id: CONTEXT_MENU_IDS.saveSelection, title: "Save selected HTML", contexts: ['selection'] });
+  await createContextMenu({ id: CONTEXT_MENU_IDS.saveElement, title: "Save this element", contexts: PAGE_MENU_CONTEXTS });
+  if (scrapers.length > 0) {
+    await createContextMenu({ id: CONTEXT_MENU_IDS.runScraper, title: "Run scraper", contexts: PAGE_MENU_CONTEXTS });
+    for (const scraper of scrapers) {
+      await createContextMenu({
+        id: RUN_SCRAPER_MENU_PREFIX + scraper.id,
+        parentId: CONTEXT_MENU_IDS.runScraper,
+        title: scraper.name,
+        contexts: PAGE_MENU_CONTEXTS
+      });
+    }
+  }
+  contextMenuScraperIds = scraperIds;
+}
+
+// contextMenus.create reports errors only through its callback
+function createContextMenu(properties) {
+  return new Promise((resolve, reject) => {
+    chrome.contextMenus.create(properties, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+// Carry out a clicked menu entry with the capture options last chosen in the
+// popup, always saving to the batch. Resolves with the message to show.
+async function runContextMenuAction(info, tab) {
+  const menuItemId = String(info.menuItemId);
+  console.log("Context menu clicked:", menuItemId, tab && tab.url);
+  if (!tab || tab.id === undefined || tab.id < 0) {
+    throw new Error("Only pages open in a tab can be saved");
+  }
+  const skipReason = getTabSkipReason(tab);
+  if (skipReason) {
+    throw new Error(skipReason);
+  }
+  const stored = await chrome.storage.local.get('captureOptions');
+  const options = stored.captureOptions || {};
+
+  if (menuItemId === CONTEXT_MENU_IDS.savePage) {
+    const { message, warning } = await saveTabDOM(tab, 'batch', options);
+    return warning ? `${message}. ${warning}` : message;
+  }
+  if (menuItemId === CONTEXT_MENU_IDS.saveSelection) {
+    return saveContextFragment(tab, info.frameId || 0, 'selection', options);
+  }
+  if (menuItemId === CONTEXT_MENU_IDS.saveElement) {
+    return saveContextFragment(tab, info.frameId || 0, 'element', options);
+  }
+  if (menuItemId.startsWith(RUN_SCRAPER_MENU_PREFIX)) {
+    await customScrapersReady;
+    const scraper = scraperRegistry.getScraper(menuItemId.slice(RUN_SCRAPER_MENU_PREFIX.length));
+    if (!scraper) {
+      throw new Error("Scraper not found");
+    }
+    // The menu may still list the scrapers of the previous page
+    if (!scraperRegistry.findMatchingScrapers(tab.url).includes(scraper)) {
+      throw new Error(`${scraper.name} does not apply to this page`);
+    }
+    const { message, warning } = await runScraperAndSave(tab, scraper, 'batch', options);
+    return `${scraper.name}: ${message}` + (warning ? `. ${warning}` : '');
+  }
+  return null;
+}
+
+// Save the selection, or the right-clicked element, of the clicked frame as an
+// HTML capture of the page
+async function saveContextFragment(tab, frameId, kind, options) {
+  const fragment = await serializeContextFragment(tab.id, frameId, kind, options);
+  if (fragment.error) {
+    throw new Error(fragment.error);
+  }
+  const filename = buildCaptureFilename(tab.url, 'html');
+  await savePageCapture(tab, { content: fragment.html, fragment: kind }, filename);
+  console.log(`Saved ${kind} from ${fragment.url}, length:`, fragment.html.length);
+  return kind === 'selection' ? "Selected HTML saved to batch" : "Element saved to batch";
+}
+
+function serializeContextFragment(tabId, frameId, kind, options) {
+  const target = { tabId, frameIds: [frameId] };
+  return new Promise((resolve, reject) => {
+    chrome.scripting.executeScript({
+      target,
+      files: ['pageSerializer.js']
+    }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+
+      chrome.scripting.executeScript({
+        target,
+        function: getContextFragment,
+        // Only the live state setting applies; a fragment is never made self-contained
+        args: [kind, { liveState: options.liveState }]
+      }, (injectionResults) => {
+        if (chrome.runtime.lastError || !injectionResults || injectionResults.length === 0) {
+          reject(new Error(chrome.runtime.lastError?.message || "No result from the page."));
+          return;
+        }
+        resolve(injectionResults[0].result);
+      });
+    });
+  });
+}
+
+// Injected into the clicked frame after pageSerializer.js. Resolves with
+// { html, url, title } of the selection or the right-clicked element, or { error }.
+function getContextFragment(kind, options) {
+  const serializer = new PageSerializer(document, options);
+  if (kind === 'selection') {
+    const selection = window.getSelection();
+    const nodes = [];
+    for (let index = 0; index < selection.rangeCount; index++) {
+      nodes.push(...selection.getRangeAt(index).cloneContents().childNodes);
+    }
+    const fragment = serializer.captureFragment(nodes);
+    return fragment.html.trim() ? fragment : { error: "Nothing is selected" };
+  }
+
+  // Set by the contextTarget.js content script, which pages opened before the
+  // extension was installed don't have
+  const element = self.domSaverContextTarget;
+  if (element === undefined) {
+    return { error: "Reload the page to save elements from it" };
+  }
+  if (!element || !element.isConnected) {
+    return { error: "The element is no longer on the page" };
+  }
+  return serializer.captureFragment([element]);
+}
+
+function notifyContextMenuResult(title, message) {
+  chrome.notifications.create(CONTEXT_MENU_NOTIFICATION_ID, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL(CHANGE_NOTIFICATION_ICON),
+    title,
+    message: message || ''
+  }).catch(error => {
+    console.warn("Could not show notification:", error.message);
+  });
+}
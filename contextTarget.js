@@ -0,0 +1,17 @@
+// contextTarget.js
+// Content script: remembers the element the context menu was opened on, so the
+// "Save this element" menu entry (see contextMenus.js) can save it. Scripts the
+// background injects later run in the same isolated world and can read it.
+
+(function() {
+  if (typeof self !== 'undefined' && self.domSaverContextTarget !== undefined) {
+    return;
+  }
+  self.domSaverContextTarget = null;
+
+  document.addEventListener('contextmenu', (event) => {
+    // The first entry of the composed path is inside open shadow roots too
+    const target = event.composedPath()[0] || event.target;
+    self.domSaverContextTarget = target.nodeType === Node.ELEMENT_NODE ? target : target.parentElement;
+  }, true);
+})();
@@ -0,0 +1,196 @@
+// crawlQueue.js
+// This script handles the logic for crawlQueue.html, where URL lists are queued
+// for the background crawler (crawler.js) and its progress is shown.
+
+// Get DOM elements
+const urlsInput = document.getElementById('urlsInput');
+const addUrlsButton = document.getElementById('addUrlsButton');
+const importFileInput = document.getElementById('importFileInput');
+const importFileButton = document.getElementById('importFileButton');
+const modeSelect = document.getElementById('modeSelect');
+const settleDelayInput = document.getElementById('settleDelayInput');
+const pageDelayInput = document.getElementById('pageDelayInput');
+const maxRetriesInput = document.getElementById('maxRetriesInput');
+const concurrencyInput = document.getElementById('concurrencyInput');
+const startButton = document.getElementById('startButton');
+const pauseButton = document.getElementById('pauseButton');
+const retryButton = document.getElementById('retryButton');
+const clearFinishedButton = document.getElementById('clearFinishedButton');
+const clearAllButton = document.getElementById('clearAllButton');
+const statusP = document.getElementById('status');
+const summaryP = document.getElementById('summary');
+const queueRows = document.getElementById('queueRows');
+const emptyMessage = document.getElementById('emptyMessage');
+
+// Written by crawler.js in the background
+const CRAWL_QUEUE_KEY = 'crawlQueue';
+const CRAWL_STATUS_LABELS = { idle: 'Not started', running: 'Running', paused: 'Paused', finished: 'Finished' };
+const ITEM_STATUS_LABELS = { pending: 'Waiting', running: 'Open', done: 'Done', failed: 'Failed' };
+
+// Initialize the UI
+document.addEventListener('DOMContentLoaded', async () => {
+  console.log("Crawl queue initialized");
+  try {
+    const { queue } = await rpc.call("getCrawlQueue");
+    showSettings(queue.settings);
+    renderQueue(queue);
+  } catch (error) {
+    statusP.textContent = 'Error loading the queue: ' + error.message;
+  }
+});
+
+// The background stores the queue after every page
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[CRAWL_QUEUE_KEY] && changes[CRAWL_QUEUE_KEY].newValue) {
+    renderQueue(changes[CRAWL_QUEUE_KEY].newValue);
+  }
+});
+
+addUrlsButton.addEventListener('click', () => {
+  addUrls(urlsInput.value);
+});
+
+importFileButton.addEventListener('click', () => {
+  importFileInput.click();
+});
+
+importFileInput.addEventListener('change', async () => {
+  const file = importFileInput.files[0];
+  importFileInput.value = '';
+  if (file) {
+    console.log("Importing URL list:", file.name);
+    addUrls(await file.text());
+  }
+});
+
+startButton.addEventListener('click', () => {
+  runCommand("startCrawl", { settings: getSettings() });
+});
+
+pauseButton.addEventListener('click', () => {
+  runCommand("pauseCrawl");
+});
+
+retryButton.addEventListener('click', () => {
+  runCommand("retryCrawlFailures");
+});
+
+clearFinishedButton.addEventListener('click', () => {
+  runCommand("clearCrawlQueue", { finishedOnly: true });
+});
+
+clearAllButton.addEventListener('click', () => {
+  if (confirm('Remove every URL from the queue?')) {
+    runCommand("clearCrawlQueue");
+  }
+});
+
+async function addUrls(text) {
+  if (!text.trim()) {
+    statusP.textContent = 'Paste some URLs or import a file first.';
+    return;
+  }
+  try {
+    const { message, invalid } = await rpc.call("addCrawlUrls", { text });
+    statusP.textContent = message + '.';
+    // Leave the lines that couldn't be used for the user to fix
+    urlsInput.value = invalid.join('\n');
+  } catch (error) {
+    console.error("Error adding URLs:", error);
+    statusP.textContent = 'Error: ' + error.message;
+  }
+}
+
+// Send a command to the crawler and show its message
+async function runCommand(action, payload = {}) {
+  try {
+    const { message } = await rpc.call(action, payload);
+    statusP.textContent = message;
+  } catch (error) {
+    console.error(`Error running ${action}:`, error);
+    statusP.textContent = 'Error: ' + error.message;
+  }
+}
+
+function getSettings() {
+  return {
+    mode: modeSelect.value,
+    settleDelay: readNumber(settleDelayInput, 0),
+    pageDelay: readNumber(pageDelayInput, 0),
+    maxRetries: Math.round(readNumber(maxRetriesInput, 0)),
+    concurrency: Math.round(readNumber(concurrencyInput, 1))
+  };
+}
+
+// A number input's value, or the fallback when it is empty or invalid
+function readNumber(input, fallback) {
+  const value = parseFloat(input.value);
+  return isNaN(value) ? fallback : value;
+}
+
+function showSettings(settings) {
+  modeSelect.value = settings.mode;
+  settleDelayInput.value = settings.settleDelay;
+  pageDelayInput.value = settings.pageDelay;
+  maxRetriesInput.value = settings.maxRetries;
+  concurrencyInput.value = settings.concurrency;
+}
+
+function renderQueue(queue) {
+  const counts = { pending: 0, running: 0, done: 0, failed: 0 };
+  queue.items.forEach(item => {
+    counts[item.status]++;
+  });
+  summaryP.textContent = `${CRAWL_STATUS_LABELS[queue.status] || queue.status}: ${counts.done} done, ` +
+    `${counts.failed} failed, ${counts.running} open, ${counts.pending} waiting of ${queue.items.length}`;
+
+  startButton.disabled = queue.status === 'running' || counts.pending === 0;
+  startButton.textContent = queue.status === 'paused' ? 'Resume' : 'Start';
+  pauseButton.disabled = queue.status !== 'running';
+  retryButton.disabled = counts.failed === 0;
+  clearFinishedButton.disabled = counts.done + counts.failed === 0;
+  clearAllButton.disabled = queue.items.length === 0 || queue.status === 'running';
+
+  queueRows.innerHTML = '';
+  emptyMessage.style.display = queue.items.length ? 'none' : 'block';
+  queue.items.forEach(item => {
+    const row = document.createElement('tr');
+    row.appendChild(createCell(String(item.id)));
+    row.appendChild(createCell(item.url, 'url'));
+    const statusCell = createCell(ITEM_STATUS_LABELS[item.status] || item.status, 'status-' + item.status);
+    if (item.status === 'pending' && item.retryAt) {
+      statusCell.textContent = `Retry at ${new Date(item.retryAt).toLocaleTimeString()}`;
+    }
+    row.appendChild(statusCell);
+    row.appendChild(createCell(String(item.attempts)));
+    row.appendChild(createCell(describeResult(item)));
+    queueRows.appendChild(row);
+  });
+}
+
+// What was saved from a page, or why it failed
+function describeResult(item) {
+  if (item.status !== 'done') {
+    return item.error || '';
+  }
+  const parts = [];
+  if (item.captured) {
+    parts.push(`Saved "${item.title || item.finalUrl}"`);
+  }
+  (item.scrapers || []).forEach(scraper => {
+    parts.push(scraper.error ? `${scraper.name} failed: ${scraper.error}` : `${scraper.name}: ${scraper.count} items`);
+  });
+  if (!item.captured && (item.scrapers || []).length === 0) {
+    parts.push('No matching scraper');
+  }
+  return parts.join('; ');
+}
+
+function createCell(text, className) {
+  const cell = document.createElement('td');
+  cell.textContent = text;
+  if (className) {
+    cell.className = className;
+  }
+  return cell;
+}
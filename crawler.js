@@ -0,0 +1,432 @@
+// crawler.js
+// Works through a queue of URLs: opens each in a background tab, waits for it to
+// load and settle, saves the page and/or the results of the matching scrapers to
+// the batch, and closes the tab. Loaded into the background service worker.
+//
+// The queue is kept in chrome.storage.local under CRAWL_QUEUE_KEY, so
+// crawlQueue.html can show it and a crawl carries on after the service worker
+// restarts. A keep-alive alarm wakes a stopped worker while a crawl is running.
+
+const CRAWL_QUEUE_KEY = 'crawlQueue';
+const CRAWL_KEEPALIVE_ALARM = 'crawlKeepAlive';
+// Chrome's shortest alarm period
+const CRAWL_KEEPALIVE_MINUTES = 0.5;
+const CRAWL_MAX_CONCURRENCY = 5;
+// Wait before retrying a failed page, multiplied by the attempt number
+const CRAWL_RETRY_DELAY = 15000;
+
+const DEFAULT_CRAWL_SETTINGS = {
+  mode: 'page',       // 'page', 'scrapers' or 'both'
+  settleDelay: 2,     // Seconds to wait after the page has loaded
+  pageDelay: 5,       // Seconds between opening pages
+  maxRetries: 2,      // Extra attempts for a failing page
+  concurrency: 1      // Pages open at the same time
+};
+
+let crawlQueueLoaded = null;   // Promise of the in-memory queue, loaded once per worker
+let activeCrawlWorkers = 0;
+let nextCrawlStartAt = 0;
+
+// The queue, loaded from storage on first use. Pages marked as running belong to
+// a worker that has stopped, so their tabs are closed and they go back in line.
+function getCrawlQueue() {
+  if (!crawlQueueLoaded) {
+    crawlQueueLoaded = chrome.storage.local.get(CRAWL_QUEUE_KEY).then(async stored => {
+      const queue = stored[CRAWL_QUEUE_KEY] || {
+        status: 'idle',
+        settings: { ...DEFAULT_CRAWL_SETTINGS },
+        items: [],
+        nextItemId: 1,
+        startedAt: null,
+        finishedAt: null
+      };
+      const interrupted = queue.items.filter(item => item.status === 'running');
+      for (const item of interrupted) {
+        console.log("Requeueing page interrupted by a worker restart:", item.url);
+        if (item.tabId) {
+          await chrome.tabs.remove(item.tabId).catch(() => {});
+        }
+        Object.assign(item, { status: 'pending', tabId: null });
+      }
+      return queue;
+    });
+    crawlQueueLoaded.catch(() => {
+      crawlQueueLoaded = null;
+    });
+  }
+  return crawlQueueLoaded;
+}
+
+async function saveCrawlQueue(queue) {
+  queue.updatedAt = new Date().toISOString();
+  await chrome.storage.local.set({ [CRAWL_QUEUE_KEY]: queue });
+}
+
+// Add the URLs in a pasted or imported list (plain lines or CSV) to the queue.
+// URLs already queued are left out.
+async function addCrawlUrls(text) {
+  const queue = await getCrawlQueue();
+  const { urls, invalid } = parseUrlList(text);
+  const queued = new Set(queue.items.map(item => item.url));
+  let added = 0;
+  urls.forEach(url => {
+    if (!queued.has(url)) {
+      queued.add(url);
+      queue.items.push({ id: queue.nextItemId++, url, status: 'pending', attempts: 0 });
+      added++;
+    }
+  });
+  if (added > 0 && queue.status === 'finished') {
+    queue.status = 'idle';
+  }
+  await saveCrawlQueue(queue);
+  console.log(`Crawl queue: added ${added} URLs, ${urls.length - added} already queued, ${invalid.length} invalid`);
+  return { added, duplicates: urls.length - added, invalid };
+}
+
+// Start or resume the crawl with the given settings
+async function startCrawl(settings = {}) {
+  await customScrapersReady;
+  const queue = await getCrawlQueue();
+  if (!queue.items.some(item => item.status === 'pending')) {
+    throw new RpcError(RPC_ERRORS.NOT_FOUND, "No pages waiting in the queue.");
+  }
+  queue.settings = { ...queue.settings, ...settings };
+  queue.status = 'running';
+  queue.startedAt = queue.startedAt || new Date().toISOString();
+  queue.finishedAt = null;
+  await saveCrawlQueue(queue);
+  chrome.alarms.create(CRAWL_KEEPALIVE_ALARM, { periodInMinutes: CRAWL_KEEPALIVE_MINUTES });
+  startCrawlWorkers(queue);
+  return queue;
+}
+
+// Stop opening pages; pages already open are finished first
+async function pauseCrawl() {
+  const queue = await getCrawlQueue();
+  if (queue.status === 'running') {
+    queue.status = 'paused';
+    await saveCrawlQueue(queue);
+  }
+  await chrome.alarms.clear(CRAWL_KEEPALIVE_ALARM);
+  return queue;
+}
+
+// Put failed pages back in line with fresh attempts
+async function retryFailedCrawlItems() {
+  const queue = await getCrawlQueue();
+  const failed = queue.items.filter(item => item.status === 'failed');
+  failed.forEach(item => {
+    Object.assign(item, { status: 'pending', attempts: 0, error: null, retryAt: null });
+  });
+  if (failed.length > 0 && queue.status === 'finished') {
+    queue.status = 'idle';
+  }
+  await saveCrawlQueue(queue);
+  return { requeued: failed.length };
+}
+
+// Remove finished pages (done or failed), or everything when the crawl isn't running
+async function clearCrawlQueue({ finishedOnly = false } = {}) {
+  const queue = await getCrawlQueue();
+  if (!finishedOnly && activeCrawlWorkers > 0) {
+    throw new RpcError(RPC_ERRORS.BUSY, "Pause the crawl and let the open pages finish before clearing the queue.");
+  }
+  const before = queue.items.length;
+  queue.items = finishedOnly ? queue.items.filter(item => !['done', 'failed'].includes(item.status)) : [];
+  if (queue.items.length === 0) {
+    Object.assign(queue, { status: 'idle', startedAt: null, finishedAt: null });
+  }
+  await saveCrawlQueue(queue);
+  return { removed: before - queue.items.length };
+}
+
+// Pick up a running crawl after the service worker started again
+async function resumeCrawl() {
+  const queue = await getCrawlQueue();
+  if (queue.status !== 'running') {
+    await chrome.alarms.clear(CRAWL_KEEPALIVE_ALARM);
+    return;
+  }
+  await customScrapersReady;
+  startCrawlWorkers(queue);
+}
+
+function startCrawlWorkers(queue) {
+  const concurrency = Math.min(Math.max(queue.settings.concurrency || 1, 1), CRAWL_MAX_CONCURRENCY);
+  while (activeCrawlWorkers < concurrency) {
+    activeCrawlWorkers++;
+    runCrawlWorker(queue).catch(error => {
+      console.error("Crawl worker stopped:", error);
+    }).finally(() => {
+      activeCrawlWorkers--;
+      if (activeCrawlWorkers === 0) {
+        finishCrawlIfDone(queue);
+      }
+    });
+  }
+}
+
+// Take pages from the queue until none is left or the crawl is paused
+async function runCrawlWorker(queue) {
+  while (queue.status === 'running') {
+    const next = findNextCrawlItem(queue, Date.now());
+    if (!next) {
+      return;
+    }
+    if (!next.item) {
+      // Only pages waiting to be retried are left
+      await delay(Math.min(next.waitMs, 1000));
+      continue;
+    }
+
+    const item = next.item;
+    item.status = 'running';
+    // Rate limit: pages are opened at least pageDelay seconds apart
+    const wait = reserveCrawlStart(queue.settings.pageDelay);
+    if (wait > 0) {
+      await delay(wait);
+    }
+    if (queue.status !== 'running') {
+      item.status = 'pending';
+      await saveCrawlQueue(queue);
+      return;
+    }
+
+    item.attempts++;
+    item.startedAt = new Date().toISOString();
+    await saveCrawlQueue(queue);
+    await processCrawlItem(queue, item);
+  }
+}
+
+// The next page to open: { item }, { waitMs } when only retries are waiting, or
+// null when nothing is left
+function findNextCrawlItem(queue, now) {
+  const pending = queue.items.filter(item => item.status === 'pending');
+  if (pending.length === 0) {
+    return null;
+  }
+  const ready = pending.find(item => !item.retryAt || item.retryAt <= now);
+  if (ready) {
+    return { item: ready };
+  }
+  return { waitMs: Math.min(...pending.map(item => item.retryAt)) - now };
+}
+
+// Milliseconds to wait before the next page may be opened
+function reserveCrawlStart(pageDelay) {
+  const now = Date.now();
+  const startAt = Math.max(now, nextCrawlStartAt);
+  nextCrawlStartAt = startAt + (pageDelay || 0) * 1000;
+  return startAt - now;
+}
+
+async function processCrawlItem(queue, item) {
+  try {
+    const outcome = await crawlPage(queue, item);
+    Object.assign(item, outcome, { status: 'done', error: null, retryAt: null, finishedAt: new Date().toISOString() });
+    console.log("Crawled page:", item.url);
+  } catch (error) {
+    console.warn(`Crawl of ${item.url} failed (attempt ${item.attempts}):`, error.message);
+    item.error = error.message;
+    if (item.attempts <= queue.settings.maxRetries) {
+      item.status = 'pending';
+      item.retryAt = Date.now() + CRAWL_RETRY_DELAY * item.attempts;
+    } else {
+      item.status = 'failed';
+      item.finishedAt = new Date().toISOString();
+    }
+  }
+  await saveCrawlQueue(queue);
+}
+
+// Open the page in a background tab, save what the crawl mode asks for and close
+// the tab. Resolves with what was saved.
+async function crawlPage(queue, item) {
+  const { mode, settleDelay } = queue.settings;
+  try {
+    return await withLoadedTab(item.url, {
+      settleDelay,
+      onOpen: (tab) => {
+        item.tabId = tab.id;
+        return saveCrawlQueue(queue);
+      }
+    }, async (tab) => {
+      const outcome = { title: tab.title, finalUrl: tab.url, captured: false, scrapers: [] };
+      if (mode !== 'scrapers') {
+        await savePageWithStoredOptions(tab);
+        outcome.captured = true;
+      }
+      if (mode !== 'page') {
+        outcome.scrapers = await saveMatchingScraperResults(tab);
+      }
+      return outcome;
+    });
+  } finally {
+    item.tabId = null;
+  }
+}
+
+// Open a URL in a background tab, wait for it to load and for settleDelay
+// seconds more, run callback with the loaded tab and close the tab again.
+// onOpen is called with the new tab before it has loaded.
+async function withLoadedTab(url, { settleDelay = 0, onOpen } = {}, callback) {
+  const tab = await chrome.tabs.create({ url, active: false });
+  try {
+    if (onOpen) {
+      await onOpen(tab);
+    }
+    await waitForPageLoad(tab.id);
+    if (settleDelay > 0) {
+      await delay(settleDelay * 1000);
+    }
+    // The URL and title after redirects
+    const loadedTab = await chrome.tabs.get(tab.id);
+    const skipReason = getTabSkipReason(loadedTab);
+    if (skipReason) {
+      throw new Error(skipReason);
+    }
+    return await callback(loadedTab);
+  } finally {
+    await chrome.tabs.remove(tab.id).catch(error => {
+      console.warn("Could not close background tab:", error.message);
+    });
+  }
+}
+
+// Save the page with the capture options last chosen in the popup. Background
+// tabs aren't visible, so there are no screenshots.
+async function savePageWithStoredOptions(tab) {
+  const stored = await chrome.storage.local.get('captureOptions');
+  const options = { ...(stored.captureOptions || {}), screenshot: false };
+  const capture = await capturePageDOM(tab, options);
+  if (!capture.content) {
+    throw new Error("No DOM content received.");
+  }
+  const filename = buildCaptureFilename(tab.url, capture.format.extension);
+  const id = await savePageCapture(tab, capture, filename).catch(error => {
+    throw new Error("Failed to save capture: " + error.message);
+  });
+  return { id, filename };
+}
+
+async function finishCrawlIfDone(queue) {
+  if (queue.status !== 'running' || queue.items.some(item => ['pending', 'running'].includes(item.status))) {
+    return;
+  }
+  queue.status = 'finished';
+  queue.finishedAt = new Date().toISOString();
+  await saveCrawlQueue(queue);
+  await chrome.alarms.clear(CRAWL_KEEPALIVE_ALARM);
+  console.log("Crawl finished");
+}
+
+// Counts of queue items by status, e.g. { pending: 3, running: 1, done: 10, failed: 2 }
+function summarizeCrawlQueue(queue) {
+  const summary = { total: queue.items.length, pending: 0, running: 0, done: 0, failed: 0 };
+  queue.items.forEach(item => {
+    summary[item.status]++;
+  });
+  return summary;
+}
+
+// URLs in a pasted list or imported file. Lines may be plain URLs or CSV rows;
+// for CSV with a header row, a column named url, link or href is used, otherwise
+// the first cell that is a URL (so URLs containing commas need quotes, as
+// spreadsheets write them). Blank lines and # comments are ignored.
+// Returns { urls, invalid } where invalid holds the lines without a usable URL.
+function parseUrlList(text) {
+  const rows = parseCsvRows(text);
+  const header = rows.length > 0 ? rows[0].map(cell => cell.trim().toLowerCase()) : [];
+  const urlColumn = header.findIndex(name => ['url', 'urls', 'link', 'href', 'address'].includes(name));
+  const urls = [];
+  const invalid = [];
+
+  rows.slice(urlColumn === -1 ? 0 : 1).forEach(row => {
+    const line = row.join(',').trim();
+    if (!line || line.startsWith('#')) {
+      return;
+    }
+    const candidates = urlColumn === -1 ? row : [row[urlColumn] || ''];
+    const url = candidates.map(normalizeCrawlUrl).find(Boolean);
+    if (url) {
+      urls.push(url);
+    } else {
+      invalid.push(line);
+    }
+  });
+  return { urls, invalid };
+}
+
+// An http(s) URL in canonical form, or null
+function normalizeCrawlUrl(value) {
+  try {
+    const url = new URL(value.trim());
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Split CSV (or tab-separated) text into rows of cells, honouring double quotes
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const separator = /\t/.test(text.split(/\r?\n/, 1)[0]) ? '\t' : ',';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === CRAWL_KEEPALIVE_ALARM) {
+    resumeCrawl().catch(error => {
+      console.error("Could not resume crawl:", error);
+    });
+  }
+});
+
+// Continue a crawl that was running when the previous service worker stopped
+resumeCrawl().catch(error => {
+  console.error("Could not resume crawl:", error);
+});
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { parseUrlList, parseCsvRows, findNextCrawlItem, summarizeCrawlQueue };
+}
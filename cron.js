@@ -0,0 +1,137 @@
+// cron.js
+// Parses five-field cron expressions ("minute hour day-of-month month day-of-week")
+// and works out when they next fire, in local time. Used by the scheduler in the
+// background and by schedules.html to check an expression as it is typed.
+//
+// Each field takes "*", numbers, ranges ("1-5"), steps ("*/15", "0-30/10") and
+// comma-separated lists of those. Months and weekdays also take three-letter
+// names ("jan", "mon"); Sunday is 0 or 7. The shortcuts @hourly, @daily,
+// @weekly, @monthly and @yearly are accepted too.
+
+const CRON_SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// How far ahead to look for the next run before giving up (e.g. "0 0 30 2 *")
+const CRON_SEARCH_YEARS = 5;
+
+// Parse an expression into the sets of values each field allows.
+// Throws an Error describing the first problem found.
+function parseCronExpression(expression) {
+  const text = String(expression || '').trim().toLowerCase();
+  const fields = (CRON_SHORTCUTS[text] || text).split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error("A cron expression needs 5 fields: minute hour day-of-month month day-of-week");
+  }
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+  // Sunday can be written as 7
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.delete(7);
+    daysOfWeek.add(0);
+  }
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // As in cron, when both day fields are restricted a day matching either one counts
+    anyDayOfMonth: fields[2] === '*',
+    anyDayOfWeek: fields[4] === '*'
+  };
+}
+
+function parseCronField(field, spec) {
+  const values = new Set();
+  field.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step >= 1) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Invalid step "${part}" in the ${spec.name} field`);
+    }
+    let start = spec.min;
+    let end = spec.max;
+    if (range !== '*') {
+      const bounds = range.split('-');
+      if (bounds.length > 2) {
+        throw new Error(`Invalid range "${part}" in the ${spec.name} field`);
+      }
+      start = parseCronValue(bounds[0], spec);
+      // "5/15" means from 5 to the end in steps of 15
+      end = bounds.length === 2 ? parseCronValue(bounds[1], spec) : (stepText === undefined ? start : spec.max);
+      if (start > end) {
+        throw new Error(`Invalid range "${part}" in the ${spec.name} field`);
+      }
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+  return values;
+}
+
+function parseCronValue(text, spec) {
+  const nameIndex = spec.names ? spec.names.indexOf(text) : -1;
+  const value = nameIndex >= 0 ? nameIndex + (spec.name === 'month' ? 1 : 0) : (/^\d+$/.test(text) ? parseInt(text, 10) : NaN);
+  if (isNaN(value) || value < spec.min || value > spec.max) {
+    throw new Error(`"${text}" is not a valid ${spec.name} (${spec.min}-${spec.max})`);
+  }
+  return value;
+}
+
+// The first time strictly after `after` (a Date or timestamp) the expression fires,
+// as a Date. Accepts an expression or the result of parseCronExpression.
+function getNextCronTime(expression, after = new Date()) {
+  const cron = typeof expression === 'string' ? parseCronExpression(expression) : expression;
+  const time = new Date(after);
+  time.setSeconds(0, 0);
+  time.setMinutes(time.getMinutes() + 1);
+  const limit = new Date(time);
+  limit.setFullYear(limit.getFullYear() + CRON_SEARCH_YEARS);
+
+  // Skip whole months, days and hours that can't match instead of every minute
+  while (time < limit) {
+    if (!cron.months.has(time.getMonth() + 1)) {
+      time.setMonth(time.getMonth() + 1, 1);
+      time.setHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(cron, time)) {
+      time.setDate(time.getDate() + 1);
+      time.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(time.getHours())) {
+      time.setHours(time.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(time.getMinutes())) {
+      time.setMinutes(time.getMinutes() + 1, 0, 0);
+    } else {
+      return time;
+    }
+  }
+  throw new Error("This cron expression never fires");
+}
+
+function cronDayMatches(cron, time) {
+  const dayOfMonth = cron.daysOfMonth.has(time.getDate());
+  const dayOfWeek = cron.daysOfWeek.has(time.getDay());
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { parseCronExpression, getNextCronTime };
+}
@@ -0,0 +1,174 @@
+// datasetStore.js
+// Persistent scraper datasets: each run of a scraper that declares a dataset is
+// merged into one record set, keyed by a field of the scraped rows, instead of
+// only being kept as a separate snapshot. Uses the capture database from captureStore.js.
+//
+// A scraper opts in with
+//   dataset: { key: 'url', perUrl: true }  // perUrl keeps one dataset per page URL
+
+// Older runs are dropped from the run history beyond this many
+const MAX_DATASET_RUNS = 200;
+
+class DatasetStore {
+  // Merge a scraper result into its dataset and resolve with a summary of the run
+  async recordRun(scraper, result, url, runAt = new Date().toISOString()) {
+    const id = datasetIdFor(scraper, url);
+    let summary;
+    await captureStore.withStore('readwrite', store => {
+      store.get(id).onsuccess = (event) => {
+        const dataset = event.target.result || createDataset(id, scraper, url, runAt);
+        const run = mergeDatasetRun(dataset, result.data || [], { key: scraper.dataset.key, runAt, url });
+        store.put(dataset);
+        summary = { id, ...run, total: dataset.records.length };
+      };
+    }, DATASET_STORE_NAME);
+    console.log("Dataset updated:", summary);
+    return summary;
+  }
+
+  getDataset(id) {
+    return captureStore.withStore('readonly', store => store.get(id), DATASET_STORE_NAME);
+  }
+
+  // List datasets without their records
+  async getDatasetSummaries() {
+    const summaries = [];
+    await captureStore.withStore('readonly', store => {
+      store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          summaries.push(summarizeDataset(cursor.value));
+          cursor.continue();
+        }
+      };
+    }, DATASET_STORE_NAME);
+    return summaries;
+  }
+
+  deleteDataset(id) {
+    return captureStore.withStore('readwrite', store => store.delete(id), DATASET_STORE_NAME);
+  }
+}
+
+// One dataset per scraper, or per scraper and page URL (ignoring query and hash)
+function datasetIdFor(scraper, url) {
+  if (!scraper.dataset.perUrl || !url) {
+    return scraper.id;
+  }
+  const pageUrl = new URL(url);
+  return `${scraper.id}@${pageUrl.origin}${pageUrl.pathname}`;
+}
+
+function createDataset(id, scraper, url, createdAt) {
+  return {
+    id,
+    scraperId: scraper.id,
+    name: scraper.name,
+    sourceUrl: scraper.dataset.perUrl ? url : null,
+    key: scraper.dataset.key,
+    columns: scraper.columns || [],
+    records: [],
+    runs: [],
+    createdAt,
+    updatedAt: createdAt
+  };
+}
+
+// Upsert the rows of one run by their key field. Records missing from the run are
+// flagged as removed (and unflagged if they come back), unless the run found nothing
+// at all, which more likely means the page failed than that everything is gone.
+// Returns the run summary.
+function mergeDatasetRun(dataset, rows, { key, runAt, url }) {
+  const recordsByKey = new Map(dataset.records.map(record => [record.key, record]));
+  const seenKeys = new Set();
+  let added = 0;
+  let updated = 0;
+  let unkeyed = 0;
+
+  rows.forEach(row => {
+    const value = row[key];
+    if (value === undefined || value === null || value === '') {
+      unkeyed++;
+      return;
+    }
+    const recordKey = String(value);
+    if (seenKeys.has(recordKey)) {
+      return;
+    }
+    seenKeys.add(recordKey);
+
+    const record = recordsByKey.get(recordKey);
+    if (record) {
+      record.data = row;
+      record.lastSeen = runAt;
+      record.seenCount++;
+      record.removed = false;
+      delete record.removedAt;
+      updated++;
+    } else {
+      dataset.records.push({ key: recordKey, data: row, firstSeen: runAt, lastSeen: runAt, seenCount: 1, removed: false });
+      added++;
+    }
+  });
+
+  let removed = 0;
+  dataset.records.forEach(record => {
+    if (seenKeys.size > 0 && !seenKeys.has(record.key) && !record.removed) {
+      record.removed = true;
+      record.removedAt = runAt;
+      removed++;
+    }
+  });
+
+  const run = { at: runAt, url, count: rows.length, added, updated, removed, unkeyed };
+  dataset.runs = dataset.runs.concat(run).slice(-MAX_DATASET_RUNS);
+  dataset.updatedAt = runAt;
+  return run;
+}
+
+function summarizeDataset(dataset) {
+  const { records, runs, ...summary } = dataset;
+  const removedCount = records.filter(record => record.removed).length;
+  return {
+    ...summary,
+    total: records.length,
+    active: records.length - removedCount,
+    removed: removedCount,
+    runCount: runs.length,
+    lastRun: runs[runs.length - 1] || null
+  };
+}
+
+// The whole dataset as a scraper-style result, so it can be exported like one
+// run (JSON, CSV or XLSX) with the tracking fields as extra columns
+function datasetToResult(dataset) {
+  return {
+    type: dataset.scraperId,
+    dataset: dataset.id,
+    data: dataset.records.map(record => ({
+      ...record.data,
+      firstSeen: record.firstSeen,
+      lastSeen: record.lastSeen,
+      seenCount: record.seenCount,
+      removed: record.removed,
+      removedAt: record.removedAt || ''
+    })),
+    count: dataset.records.length,
+    columns: dataset.columns.concat(['firstSeen', 'lastSeen', 'seenCount', 'removed', 'removedAt']),
+    runs: dataset.runs,
+    exportedAt: new Date().toISOString(),
+    sourceUrl: dataset.sourceUrl
+  };
+}
+
+// Global store instance
+const datasetStore = new DatasetStore();
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DatasetStore, datasetStore, mergeDatasetRun, datasetIdFor, datasetToResult, summarizeDataset };
+} else {
+  // Service worker environment
+  self.datasetStore = datasetStore;
+  self.DatasetStore = DatasetStore;
+}
@@ -0,0 +1,284 @@
+// diff.js
+// Compares two captures of the same page: as normalized visible text, as
+// normalized markup (one line per tag or text run), or, for scraper results,
+// row by row matched on a key field. Used by the change monitor in the
+// background (changeMonitor.js) and by the diff viewer in manager.html.
+//
+// Works on strings only, since the service worker has no DOM parser.
+
+// Elements whose content is never visible text
+const HIDDEN_ELEMENTS_PATTERN = /<(head|script|style|noscript|template|svg)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+// Tags that start a new line of text, roughly where the browser breaks lines
+const BLOCK_TAGS_PATTERN = /<\/?(address|article|aside|blockquote|br|caption|dd|details|div|dl|dt|fieldset|figcaption|figure|footer|form|h[1-6]|header|hr|li|main|nav|ol|p|pre|section|summary|table|tbody|td|tfoot|th|thead|tr|ul)\b[^>]*>/gi;
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+// Attributes that change on every load without the page changing
+const VOLATILE_ATTRIBUTES = new Set(['nonce', 'integrity', 'data-reactid', 'data-react-checksum']);
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Beyond this many inserted and deleted lines the changed part is reported as
+// replaced wholesale, which keeps time and memory bounded on unrelated pages
+const MAX_DIFF_EDIT_DISTANCE = 1000;
+
+// The visible text of an HTML document, one trimmed line per block
+function htmlToText(html) {
+  const text = String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(HIDDEN_ELEMENTS_PATTERN, '')
+    .replace(BLOCK_TAGS_PATTERN, '\n')
+    .replace(/<[^>]*>/g, '');
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+// The markup of an HTML document as one line per start tag (attributes sorted,
+// volatile ones dropped) or text run, for comparing structure and attributes
+function htmlToNodeLines(html) {
+  const source = String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(HIDDEN_ELEMENTS_PATTERN, '');
+  const lines = [];
+  (source.match(/<[^>]*>|[^<]+/g) || []).forEach(token => {
+    if (token.startsWith('<')) {
+      const match = /^<([a-z][a-z0-9-]*)([\s\S]*?)\/?>$/i.exec(token);
+      // End tags and doctypes carry nothing to compare
+      if (match) {
+        lines.push(formatStartTag(match[1].toLowerCase(), match[2]));
+      }
+      return;
+    }
+    const text = decodeEntities(token).replace(/\s+/g, ' ').trim();
+    if (text) {
+      lines.push(JSON.stringify(text));
+    }
+  });
+  return lines;
+}
+
+function formatStartTag(tagName, attributeText) {
+  const attributes = [];
+  const pattern = /([^\s=/"'>]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s>]+))?/g;
+  let match;
+  while ((match = pattern.exec(attributeText)) !== null) {
+    const name = match[1].toLowerCase();
+    if (VOLATILE_ATTRIBUTES.has(name)) {
+      continue;
+    }
+    const value = (match[2] || '').replace(/^["']|["']$/g, '');
+    attributes.push(value ? `${name}="${decodeEntities(value)}"` : name);
+  }
+  attributes.sort();
+  const end = VOID_ELEMENTS.has(tagName) ? ' /' : '';
+  return `<${[tagName].concat(attributes).join(' ')}${end}>`;
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    const decoded = NAMED_ENTITIES[name.toLowerCase()];
+    return decoded === undefined ? entity : decoded;
+  });
+}
+
+// The lines of a capture to diff: visible text ('text') or markup ('dom') of an
+// HTML page, or the lines of any other content as stored ('lines')
+function captureToLines(content, mode) {
+  if (mode === 'text') {
+    return htmlToText(content);
+  }
+  if (mode === 'dom') {
+    return htmlToNodeLines(content);
+  }
+  return String(content || '').split('\n');
+}
+
+// The data rows of a stored scraper result, or null if it has none
+function resultRows(content) {
+  try {
+    const result = JSON.parse(content);
+    return result && Array.isArray(result.data) ? result.data : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Line diff of two arrays of strings. Returns runs of
+// { type: 'equal' | 'insert' | 'delete', lines } in order, with counts.
+function diffLines(oldLines, newLines) {
+  // Two captures of a page mostly share their start and end
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const operations = oldLines.slice(0, start).map(line => ['equal', line])
+    .concat(myersDiff(oldLines.slice(start, oldEnd), newLines.slice(start, newEnd)))
+    .concat(oldLines.slice(oldEnd).map(line => ['equal', line]));
+
+  const hunks = [];
+  let added = 0;
+  let removed = 0;
+  operations.forEach(([type, line]) => {
+    if (type === 'insert') {
+      added++;
+    } else if (type === 'delete') {
+      removed++;
+    }
+    const last = hunks[hunks.length - 1];
+    if (last && last.type === type) {
+      last.lines.push(line);
+    } else {
+      hunks.push({ type, lines: [line] });
+    }
+  });
+  return { hunks, added, removed };
+}
+
+// Shortest edit script between two arrays (Myers' O(ND) algorithm), as a list of
+// [type, line] operations
+function myersDiff(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const limit = Math.min(n + m, MAX_DIFF_EDIT_DISTANCE);
+  const offset = limit + 1;
+  // v[offset + k] is the furthest x reached on diagonal k
+  const v = new Array(2 * offset + 1).fill(0);
+  // The part of v each step can look back at, for backtracking
+  const trace = [];
+
+  for (let d = 0; d <= limit; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        return backtrackDiff(trace, a, b);
+      }
+    }
+  }
+  // Too different to line up: everything old removed, everything new added
+  return a.map(line => ['delete', line]).concat(b.map(line => ['insert', line]));
+}
+
+function backtrackDiff(trace, a, b) {
+  const operations = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const at = (k) => snapshot[k + d + 1];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const previousX = at(previousK);
+    const previousY = previousX - previousK;
+    while (x > previousX && y > previousY) {
+      operations.push(['equal', a[x - 1]]);
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      operations.push(x === previousX ? ['insert', b[y - 1]] : ['delete', a[x - 1]]);
+    }
+    x = previousX;
+    y = previousY;
+  }
+  return operations.reverse();
+}
+
+// Compare scraper rows matched on the key field. Without a key, rows only count
+// as added or removed. Returns { added, removed, changed, unchanged } where
+// changed holds { key, fields, before, after } per row.
+function diffRecords(oldRows, newRows, key) {
+  const diff = { key: key || null, added: [], removed: [], changed: [], unchanged: 0 };
+  if (!key) {
+    const remaining = new Map();
+    oldRows.forEach(row => {
+      const json = JSON.stringify(row);
+      remaining.set(json, (remaining.get(json) || []).concat([row]));
+    });
+    newRows.forEach(row => {
+      const matches = remaining.get(JSON.stringify(row));
+      if (matches && matches.length) {
+        matches.pop();
+        diff.unchanged++;
+      } else {
+        diff.added.push(row);
+      }
+    });
+    remaining.forEach(rows => diff.removed.push(...rows));
+    return diff;
+  }
+
+  const oldByKey = new Map();
+  oldRows.forEach(row => {
+    const value = recordKey(row, key);
+    if (value !== null && !oldByKey.has(value)) {
+      oldByKey.set(value, row);
+    }
+  });
+  const seen = new Set();
+  newRows.forEach(row => {
+    const value = recordKey(row, key);
+    if (value === null || seen.has(value)) {
+      return;
+    }
+    seen.add(value);
+    const before = oldByKey.get(value);
+    if (!before) {
+      diff.added.push(row);
+      return;
+    }
+    const fields = Array.from(new Set(Object.keys(before).concat(Object.keys(row))))
+      .filter(field => JSON.stringify(before[field]) !== JSON.stringify(row[field]));
+    if (fields.length) {
+      diff.changed.push({ key: value, fields, before, after: row });
+    } else {
+      diff.unchanged++;
+    }
+  });
+  oldByKey.forEach((row, value) => {
+    if (!seen.has(value)) {
+      diff.removed.push(row);
+    }
+  });
+  return diff;
+}
+
+function recordKey(row, key) {
+  const value = row && row[key];
+  return value === undefined || value === null || value === '' ? null : String(value);
+}
+
+// e.g. "3 lines added, 1 removed" or "No changes", for unit "line"
+function describeChanges({ added = 0, removed = 0, changed = 0 }, unit) {
+  const parts = [];
+  [[added, 'added'], [removed, 'removed'], [changed, 'changed']].forEach(([count, what]) => {
+    if (count) {
+      // Only the first count names the unit
+      parts.push(parts.length ? `${count} ${what}` : `${count} ${count === 1 ? unit : unit + 's'} ${what}`);
+    }
+  });
+  return parts.length ? parts.join(', ') : 'No changes';
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { htmlToText, htmlToNodeLines, captureToLines, resultRows, diffLines, diffRecords, describeChanges };
+}
@@ -0,0 +1,109 @@
+// exporters.js
+// Export helpers shared by the extension pages (popup, capture manager).
+// Load after jszip.js and warc.js.
+
+// Name of the index file in ZIP exports, listing where each capture came from. The
+// capture files don't record their page URL, so `npm run goldens` reads it here.
+const CAPTURES_INDEX_FILENAME = 'captures.json';
+
+// Build a ZIP of captures, with companion files (e.g. screenshots) beside each capture
+// and an index of the captures' page URLs and titles (used by `npm run goldens`).
+// With scraperFormat "csv" or "xlsx", tabular scraper results are converted (needs tabular.js).
+async function buildCapturesZip(captures, { scraperFormat = 'json' } = {}) {
+  console.log(`Creating ZIP with ${captures.length} files`);
+  const zip = new JSZip();
+  const index = [];
+
+  for (const capture of captures) {
+    console.log("Adding file to ZIP:", capture.filename);
+    let filename = capture.filename;
+    if (capture.type === 'json' && scraperFormat !== 'json') {
+      const output = await convertScraperCapture(capture, scraperFormat);
+      filename = capture.filename.replace(/\.json$/, '.' + output.extension);
+      zip.file(filename, output.content);
+    } else {
+      zip.file(filename, capture.content);
+    }
+    (capture.attachments || []).forEach(attachment => {
+      zip.file(attachment.filename, attachment.content.split(',')[1], { base64: true });
+    });
+    index.push({
+      filename,
+      type: capture.type,
+      url: capture.url || null,
+      title: capture.title || null,
+      timestamp: capture.timestamp || null,
+      scraperId: capture.scraperId || null
+    });
+  }
+  zip.file(CAPTURES_INDEX_FILENAME, JSON.stringify(index, null, 2));
+
+  console.log("Generating ZIP blob");
+  const zipBlob = await zip.generateAsync({ type: 'blob' });
+  console.log("ZIP blob generated, size:", zipBlob.size);
+  return zipBlob;
+}
+
+// Convert a stored scraper result to CSV or XLSX, keeping unparseable content as JSON
+async function convertScraperCapture(capture, format) {
+  let result;
+  try {
+    result = JSON.parse(capture.content);
+  } catch (e) {
+    console.warn("Scraper capture is not valid JSON:", capture.filename);
+    return { extension: 'json', content: capture.content };
+  }
+  return buildScraperOutput(result, format, capture.columns);
+}
+
+// Build a WARC file of captures, labelled with the extension name and version
+function buildWarcExport(captures, filename) {
+  const manifest = chrome.runtime.getManifest();
+  return buildCapturesWarc(captures, {
+    filename,
+    software: `${manifest.name}/${manifest.version}`
+  });
+}
+
+// Timestamped export filename, e.g. dom_captures_2024-01-01T00-00-00-000Z.zip
+function buildExportFilename(extension) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return `dom_captures_${timestamp}.${extension}`;
+}
+
+// Decode a base64 data URI (e.g. a screenshot) into a Blob
+function dataURLToBlob(dataUrl) {
+  const [header, data] = dataUrl.split(',');
+  const mimeType = header.replace(/^data:/, '').replace(/;base64$/, '');
+  const bytes = Uint8Array.from(atob(data), char => char.charCodeAt(0));
+  return new Blob([bytes], { type: mimeType });
+}
+
+// Download a string or Blob as a file through a temporary link
+function downloadContent(content, filename, mimeType) {
+  console.log("Creating blob for download:", filename);
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  // Create a link element and trigger download
+  const downloadLink = document.createElement('a');
+  downloadLink.href = url;
+  downloadLink.download = filename;
+
+  // Append to document, click, and remove
+  document.body.appendChild(downloadLink);
+  console.log("Triggering download click");
+  downloadLink.click();
+  document.body.removeChild(downloadLink);
+
+  // Clean up the URL
+  setTimeout(() => {
+    console.log("Revoking blob URL");
+    URL.revokeObjectURL(url);
+  }, 5000);
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CAPTURES_INDEX_FILENAME, buildCapturesZip };
+}
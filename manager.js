@@ -0,0 +1,822 @@
+// manager.js
+// This script handles the logic for manager.html, the full-page capture manager.
+
+// Get DOM elements
+const searchInput = document.getElementById('searchInput');
+const typeFilter = document.getElementById('typeFilter');
+const exportZIPButton = document.getElementById('exportZIPButton');
+const scraperFormatSelect = document.getElementById('scraperFormatSelect');
+const exportWARCButton = document.getElementById('exportWARCButton');
+const compareButton = document.getElementById('compareButton');
+const deleteButton = document.getElementById('deleteButton');
+const refreshButton = document.getElementById('refreshButton');
+const scraperSelect = document.getElementById('scraperSelect');
+const rerunScrapersButton = document.getElementById('rerunScrapersButton');
+const selectAllCheckbox = document.getElementById('selectAllCheckbox');
+const captureRows = document.getElementById('captureRows');
+const emptyMessage = document.getElementById('emptyMessage');
+const previewPane = document.getElementById('previewPane');
+const statusP = document.getElementById('status');
+const datasetsPanel = document.getElementById('datasetsPanel');
+const datasetRows = document.getElementById('datasetRows');
+const datasetsEmptyMessage = document.getElementById('datasetsEmptyMessage');
+const watchesPanel = document.getElementById('watchesPanel');
+const watchForm = document.getElementById('watchForm');
+const watchUrlInput = document.getElementById('watchUrlInput');
+const watchCompareSelect = document.getElementById('watchCompareSelect');
+const watchIgnoreInput = document.getElementById('watchIgnoreInput');
+const watchMinChangesInput = document.getElementById('watchMinChangesInput');
+const watchNotifyCheckbox = document.getElementById('watchNotifyCheckbox');
+const watchRows = document.getElementById('watchRows');
+const watchesEmptyMessage = document.getElementById('watchesEmptyMessage');
+
+// Unchanged lines shown around each change in a diff
+const DIFF_CONTEXT_LINES = 3;
+
+// Page state
+let captures = [];               // Capture summaries (no content)
+const selectedIds = new Set();
+let sortField = 'timestamp';
+let sortDescending = true;
+let activeCaptureId = null;
+
+// Initialize the UI
+document.addEventListener('DOMContentLoaded', async () => {
+  console.log("Capture manager initialized");
+  loadScrapers();
+  await loadCaptures();
+
+  // Opened from a page change notification
+  const compareId = Number(new URLSearchParams(location.search).get('compare'));
+  if (compareId) {
+    openCaptureChanges(compareId);
+  }
+});
+
+searchInput.addEventListener('input', renderCaptures);
+typeFilter.addEventListener('change', renderCaptures);
+refreshButton.addEventListener('click', () => {
+  loadCaptures();
+  if (datasetsPanel.open) {
+    loadDatasets();
+  }
+  if (watchesPanel.open) {
+    loadWatches();
+  }
+});
+datasetsPanel.addEventListener('toggle', () => {
+  if (datasetsPanel.open) {
+    loadDatasets();
+  }
+});
+watchesPanel.addEventListener('toggle', () => {
+  if (watchesPanel.open) {
+    loadWatches();
+  }
+});
+
+// Sort by the clicked column, toggling direction on repeated clicks
+document.querySelectorAll('th[data-sort]').forEach(header => {
+  header.addEventListener('click', () => {
+    const field = header.dataset.sort;
+    if (sortField === field) {
+      sortDescending = !sortDescending;
+    } else {
+      sortField = field;
+      sortDescending = field === 'timestamp' || field === 'size';
+    }
+    renderCaptures();
+  });
+});
+
+// Select or deselect every capture currently shown
+selectAllCheckbox.addEventListener('change', () => {
+  getVisibleCaptures().forEach(capture => {
+    if (selectAllCheckbox.checked) {
+      selectedIds.add(capture.id);
+    } else {
+      selectedIds.delete(capture.id);
+    }
+  });
+  renderCaptures();
+});
+
+exportZIPButton.addEventListener('click', () => {
+  exportSelected('zip');
+});
+
+exportWARCButton.addEventListener('click', () => {
+  exportSelected('warc');
+});
+
+// Diff the two selected captures, older against newer
+compareButton.addEventListener('click', () => {
+  const [older, newer] = Array.from(selectedIds).sort((a, b) => a - b);
+  showCaptureDiff(older, newer);
+});
+
+deleteButton.addEventListener('click', async () => {
+  const ids = Array.from(selectedIds);
+  if (!confirm(`Delete ${ids.length} selected captures?`)) {
+    return;
+  }
+
+  console.log("Deleting captures:", ids);
+  try {
+    const { message } = await rpc.call("deleteCaptures", { ids });
+    statusP.textContent = message;
+    ids.forEach(id => selectedIds.delete(id));
+    if (ids.includes(activeCaptureId)) {
+      clearPreview();
+    }
+    loadCaptures();
+  } catch (error) {
+    console.error("Error deleting captures:", error.message);
+    statusP.textContent = 'Error: ' + error.message;
+  }
+});
+
+// Re-extract data from stored HTML with the current scraper definitions
+rerunScrapersButton.addEventListener('click', () => {
+  rerunScrapers(Array.from(selectedIds), scraperSelect.value);
+});
+
+// Register user-defined scrapers next to the built-in ones and list them
+function loadScrapers() {
+  chrome.storage.local.get(CUSTOM_SCRAPERS_KEY, (stored) => {
+    registerCustomScrapers(scraperRegistry, stored[CUSTOM_SCRAPERS_KEY]);
+    scraperRegistry.getAllScrapers().forEach(scraper => {
+      const option = document.createElement('option');
+      option.value = scraper.id;
+      option.textContent = scraper.name;
+      scraperSelect.appendChild(option);
+    });
+  });
+}
+
+// Load capture summaries from the background
+async function loadCaptures() {
+  console.log("Loading capture list");
+  try {
+    captures = (await rpc.call("getCaptures", { summaryOnly: true })).captures;
+  } catch (error) {
+    console.error("Error loading captures:", error.message);
+    statusP.textContent = 'Error: ' + error.message;
+    return;
+  }
+
+  // Forget selections of captures that no longer exist
+  const existingIds = new Set(captures.map(capture => capture.id));
+  Array.from(selectedIds).forEach(id => {
+    if (!existingIds.has(id)) {
+      selectedIds.delete(id);
+    }
+  });
+  renderCaptures();
+}
+
+// Captures matching the search and type filter, in the chosen order
+function getVisibleCaptures() {
+  const query = searchInput.value.trim().toLowerCase();
+  const type = typeFilter.value;
+
+  const visible = captures.filter(capture => {
+    if (type && capture.type !== type) {
+      return false;
+    }
+    if (!query) {
+      return true;
+    }
+    return [capture.title, capture.url, capture.filename]
+      .some(value => (value || '').toLowerCase().includes(query));
+  });
+
+  visible.sort((a, b) => {
+    const left = a[sortField] ?? '';
+    const right = b[sortField] ?? '';
+    const order = typeof left === 'number' && typeof right === 'number'
+      ? left - right
+      : String(left).localeCompare(String(right));
+    return sortDescending ? -order : order;
+  });
+  return visible;
+}
+
+function renderCaptures() {
+  const visible = getVisibleCaptures();
+  captureRows.innerHTML = '';
+
+  visible.forEach(capture => {
+    const row = document.createElement('tr');
+    if (capture.id === activeCaptureId) {
+      row.className = 'active';
+    }
+
+    const checkboxCell = document.createElement('td');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = selectedIds.has(capture.id);
+    checkbox.addEventListener('click', (event) => event.stopPropagation());
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        selectedIds.add(capture.id);
+      } else {
+        selectedIds.delete(capture.id);
+      }
+      updateSelectionState(visible);
+    });
+    checkboxCell.appendChild(checkbox);
+    row.appendChild(checkboxCell);
+
+    row.appendChild(createCell(capture.title || capture.filename));
+    row.appendChild(createCell(capture.url || '', 'url'));
+    row.appendChild(createCell(formatTimestamp(capture.timestamp)));
+    row.appendChild(createCell(formatSize(capture.size)));
+
+    const typeCell = document.createElement('td');
+    const badge = document.createElement('span');
+    badge.className = 'type-badge';
+    badge.textContent = capture.type;
+    typeCell.appendChild(badge);
+    if (capture.change && capture.change.significant) {
+      const changeBadge = document.createElement('span');
+      changeBadge.className = 'change-badge';
+      changeBadge.textContent = 'changed';
+      changeBadge.title = capture.change.summary;
+      typeCell.appendChild(changeBadge);
+    }
+    row.appendChild(typeCell);
+
+    row.addEventListener('click', () => previewCapture(capture.id));
+    captureRows.appendChild(row);
+  });
+
+  emptyMessage.style.display = visible.length === 0 ? 'block' : 'none';
+  updateSelectionState(visible);
+}
+
+function createCell(text, className) {
+  const cell = document.createElement('td');
+  cell.textContent = text;
+  if (className) {
+    cell.className = className;
+  }
+  return cell;
+}
+
+// Update the summary line, select-all checkbox and action buttons
+function updateSelectionState(visible) {
+  const selectedCount = selectedIds.size;
+  const totalSize = captures.reduce((sum, capture) => sum + (capture.size || 0), 0);
+  statusP.textContent = `${captures.length} captures (${formatSize(totalSize)}), ${visible.length} shown, ${selectedCount} selected`;
+
+  selectAllCheckbox.checked = visible.length > 0 && visible.every(capture => selectedIds.has(capture.id));
+  exportZIPButton.disabled = selectedCount === 0;
+  exportWARCButton.disabled = selectedCount === 0;
+  compareButton.disabled = selectedCount !== 2;
+  deleteButton.disabled = selectedCount === 0;
+  rerunScrapersButton.disabled = !captures.some(capture => selectedIds.has(capture.id) && capture.type === 'html');
+}
+
+// Show a capture: HTML in a sandboxed frame, scraper JSON pretty-printed
+async function previewCapture(id) {
+  activeCaptureId = id;
+  renderCaptures();
+  previewPane.textContent = 'Loading...';
+
+  let capture;
+  try {
+    capture = (await rpc.call("getCapture", { id })).capture;
+  } catch (error) {
+    previewPane.textContent = 'Error: ' + error.message;
+    return;
+  }
+  // Ignore responses for a capture the user has already moved away from
+  if (activeCaptureId !== id) {
+    return;
+  }
+
+  previewPane.innerHTML = '';
+
+  const meta = document.createElement('div');
+  meta.className = 'preview-meta';
+  meta.textContent = `${capture.filename} · ${capture.url || ''} · ${formatTimestamp(capture.timestamp)} · ${formatSize(capture.size)}`;
+  if (capture.sourceCaptureId) {
+    meta.textContent += ` · extracted offline from capture #${capture.sourceCaptureId}`;
+  }
+  if (capture.fragment) {
+    meta.textContent += capture.fragment === 'selection' ? ' · selected HTML only' : ' · one element only';
+  }
+  if (capture.screenshotError) {
+    meta.textContent += ` · screenshot failed: ${capture.screenshotError}`;
+  }
+  previewPane.appendChild(meta);
+  if (capture.change) {
+    previewPane.appendChild(createChangeSummary(capture));
+  }
+
+  if (capture.type === 'html') {
+    // An empty sandbox blocks scripts, forms and navigation in the captured page
+    const frame = document.createElement('iframe');
+    frame.setAttribute('sandbox', '');
+    frame.srcdoc = capture.content;
+    previewPane.appendChild(frame);
+  } else {
+    const pre = document.createElement('pre');
+    pre.textContent = formatContent(capture);
+    previewPane.appendChild(pre);
+  }
+
+  (capture.attachments || []).forEach(attachment => {
+    if (attachment.mimeType.startsWith('image/')) {
+      const image = document.createElement('img');
+      image.src = attachment.content;
+      image.alt = attachment.filename;
+      previewPane.appendChild(image);
+    }
+  });
+}
+
+function clearPreview() {
+  activeCaptureId = null;
+  previewPane.innerHTML = '<div class="empty">Select a capture to preview it.</div>';
+}
+
+// Text shown for non-HTML captures
+function formatContent(capture) {
+  if (capture.type === 'json') {
+    try {
+      return JSON.stringify(JSON.parse(capture.content), null, 2);
+    } catch (e) {
+      console.warn("Capture is not valid JSON:", capture.filename);
+    }
+  }
+  return capture.content;
+}
+
+// Export the selected captures as a ZIP or WARC file
+async function exportSelected(format) {
+  const ids = Array.from(selectedIds);
+  console.log(`Exporting ${ids.length} captures as ${format}`);
+  statusP.textContent = `Creating ${format.toUpperCase()} file...`;
+
+  try {
+    const { captures: capturesToExport } = await rpc.call("exportZIP", { ids });
+    const filename = buildExportFilename(format);
+    if (format === 'warc') {
+      downloadContent(await buildWarcExport(capturesToExport, filename), filename, 'application/warc');
+    } else {
+      const zipBlob = await buildCapturesZip(capturesToExport, { scraperFormat: scraperFormatSelect.value });
+      downloadContent(zipBlob, filename, 'application/zip');
+    }
+    statusP.textContent = `${format.toUpperCase()} download initiated!`;
+  } catch (error) {
+    console.error("Error exporting captures:", error);
+    statusP.textContent = error instanceof RpcError ? 'Error: ' + error.message : `Error creating ${format.toUpperCase()}: ${error.message}`;
+  }
+}
+
+// Run scrapers over stored HTML captures and save each result as a new JSON
+// capture linked to its source. Captures are loaded one at a time to keep memory low.
+async function rerunScrapers(ids, scraperId) {
+  const htmlIds = captures
+    .filter(capture => ids.includes(capture.id) && capture.type === 'html')
+    .map(capture => capture.id);
+  console.log(`Re-running scrapers over ${htmlIds.length} captures`, scraperId || "(all matching)");
+  rerunScrapersButton.disabled = true;
+
+  let saved = 0;
+  let skipped = 0;
+  let failedValidation = 0;
+  const errors = [];
+  for (const [index, id] of htmlIds.entries()) {
+    statusP.textContent = `Running scrapers on capture ${index + 1} of ${htmlIds.length}...`;
+    try {
+      const capture = (await rpc.call("getCapture", { id })).capture;
+      const results = runScrapersOnCapture(capture, scraperId);
+      if (results.length === 0) {
+        skipped++;
+      }
+      for (const { scraper, result } of results) {
+        await rpc.call("addCapture", {
+          capture: {
+            filename: `${scraper.id}_capture-${capture.id}_${new Date().toISOString().replace(/[:.]/g, '-')}.json`,
+            content: JSON.stringify(result, null, 2),
+            url: capture.url,
+            title: capture.title,
+            scraperId: scraper.id,
+            columns: scraper.columns,
+            sourceCaptureId: capture.id
+          }
+        });
+        saved++;
+        if (result.validation && !result.validation.valid) {
+          failedValidation++;
+        }
+      }
+    } catch (error) {
+      console.error("Error re-running scrapers on capture", id, error);
+      errors.push(`#${id}: ${error.message}`);
+    }
+  }
+
+  loadCaptures();
+  statusP.textContent = `Saved ${saved} scraper results` +
+    (skipped ? `, ${skipped} captures had no matching scraper` : '') +
+    (failedValidation ? `, ${failedValidation} with validation warnings` : '') +
+    (errors.length ? `, ${errors.length} failed (${errors.join('; ')})` : '');
+}
+
+// Parse a stored HTML capture and run every matching scraper (or only the chosen
+// one) against it, as if it were the live page
+function runScrapersOnCapture(capture, scraperId) {
+  const scrapers = scraperRegistry.findMatchingScrapers(capture.url || '')
+    .filter(scraper => !scraperId || scraper.id === scraperId);
+  if (scrapers.length === 0) {
+    return [];
+  }
+
+  const doc = new DOMParser().parseFromString(capture.content, 'text/html');
+  // Resolve relative links against the page the capture came from, not this page
+  if (capture.url && !doc.querySelector('base[href]')) {
+    const base = doc.createElement('base');
+    base.href = capture.url;
+    doc.head.prepend(base);
+  }
+
+  return scrapers.map(scraper => {
+    const result = scraper.extract(doc, capture.url, capture.title);
+    const validation = validateScraperResult(scraper, result);
+    if (validation) {
+      result.validation = validation;
+    }
+    return { scraper, result };
+  });
+}
+
+// What changed since the previous capture of a watched page, with a link to the diff
+function createChangeSummary(capture) {
+  const { previousId, previousTimestamp, summary } = capture.change;
+  const summaryDiv = document.createElement('div');
+  summaryDiv.className = 'change-summary';
+  if (!previousId) {
+    summaryDiv.textContent = summary;
+    return summaryDiv;
+  }
+  summaryDiv.textContent = `Since capture #${previousId} (${formatTimestamp(previousTimestamp)}): ${summary} `;
+  const showButton = document.createElement('button');
+  showButton.className = 'secondary';
+  showButton.textContent = 'Show changes';
+  showButton.addEventListener('click', () => showCaptureDiff(previousId, capture.id));
+  summaryDiv.appendChild(showButton);
+  return summaryDiv;
+}
+
+// Show the changes recorded for a capture, or the capture itself if it has none
+function openCaptureChanges(id) {
+  const capture = captures.find(candidate => candidate.id === id);
+  if (!capture) {
+    statusP.textContent = `Capture #${id} is no longer in the batch`;
+    return;
+  }
+  const previousId = capture.change && capture.change.previousId;
+  if (previousId && captures.some(candidate => candidate.id === previousId)) {
+    showCaptureDiff(previousId, id);
+  } else {
+    previewCapture(id);
+  }
+}
+
+// Show what changed between two captures in the preview pane
+async function showCaptureDiff(oldId, newId) {
+  activeCaptureId = newId;
+  renderCaptures();
+  previewPane.textContent = 'Loading...';
+
+  let older;
+  let newer;
+  try {
+    [older, newer] = (await Promise.all([oldId, newId].map(id => rpc.call("getCapture", { id }))))
+      .map(response => response.capture);
+  } catch (error) {
+    previewPane.textContent = 'Error: ' + error.message;
+    return;
+  }
+  if (activeCaptureId !== newId) {
+    return;
+  }
+  console.log(`Comparing capture #${oldId} with #${newId}`);
+
+  previewPane.innerHTML = '';
+  const meta = document.createElement('div');
+  meta.className = 'preview-meta';
+  meta.textContent = `Changes from #${older.id} (${formatTimestamp(older.timestamp)}) to #${newer.id} (${formatTimestamp(newer.timestamp)}) · ${newer.url || ''}`;
+  previewPane.appendChild(meta);
+
+  // Settings the change monitor compared these two captures with, if it did
+  const change = newer.change && newer.change.previousId === older.id ? newer.change : null;
+  const modes = getDiffModes(older, newer);
+  const initialMode = change && modes.some(([mode]) => mode === change.mode) ? change.mode : modes[0][0];
+  const output = document.createElement('div');
+  if (modes.length > 1) {
+    const modeSelect = document.createElement('select');
+    modes.forEach(([mode, label]) => {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = label;
+      modeSelect.appendChild(option);
+    });
+    modeSelect.value = initialMode;
+    modeSelect.addEventListener('change', () => renderCaptureDiff(output, older, newer, modeSelect.value, change));
+    previewPane.appendChild(modeSelect);
+  }
+  previewPane.appendChild(output);
+  renderCaptureDiff(output, older, newer, initialMode, change);
+}
+
+// The ways two captures can be compared, as [mode, label] pairs
+function getDiffModes(older, newer) {
+  if (older.type === 'html' && newer.type === 'html') {
+    return [['text', 'Visible text'], ['dom', 'Markup']];
+  }
+  if (older.type === 'json' && newer.type === 'json' && resultRows(older.content) && resultRows(newer.content)) {
+    return [['data', 'Data rows'], ['lines', 'JSON lines']];
+  }
+  return [['lines', 'Lines']];
+}
+
+function renderCaptureDiff(container, older, newer, mode, change) {
+  container.innerHTML = '';
+  if (mode === 'data') {
+    const scraper = newer.scraperId && scraperRegistry.getScraper(newer.scraperId);
+    const key = (change && change.key) || (scraper && scraper.dataset && scraper.dataset.key) || null;
+    renderRecordDiff(container, diffRecords(resultRows(older.content), resultRows(newer.content), key));
+    return;
+  }
+
+  // Leave out the lines the watch ignores, so the counts match the stored summary
+  const ignorePattern = change && change.ignorePattern;
+  const ignore = ignorePattern ? new RegExp(ignorePattern, 'i') : null;
+  const keepLines = (lines) => ignore ? lines.filter(line => !ignore.test(line)) : lines;
+  const diff = diffLines(keepLines(captureToLines(older.content, mode)), keepLines(captureToLines(newer.content, mode)));
+
+  const summary = document.createElement('div');
+  summary.className = 'change-summary';
+  summary.textContent = describeChanges(diff, 'line') + (ignore ? ` (lines matching /${ignorePattern}/ left out)` : '');
+  container.appendChild(summary);
+
+  const lines = document.createElement('div');
+  lines.className = 'diff';
+  diff.hunks.forEach((hunk, index) => {
+    if (hunk.type !== 'equal') {
+      hunk.lines.forEach(line => appendDiffLine(lines, (hunk.type === 'insert' ? '+ ' : '- ') + line, 'diff-' + hunk.type));
+      return;
+    }
+    // Collapse long unchanged runs to a little context around the changes
+    const head = index === 0 ? 0 : DIFF_CONTEXT_LINES;
+    const tail = index === diff.hunks.length - 1 ? 0 : DIFF_CONTEXT_LINES;
+    if (hunk.lines.length <= head + tail + 1) {
+      hunk.lines.forEach(line => appendDiffLine(lines, '  ' + line));
+      return;
+    }
+    hunk.lines.slice(0, head).forEach(line => appendDiffLine(lines, '  ' + line));
+    appendDiffLine(lines, `⋯ ${hunk.lines.length - head - tail} unchanged lines`, 'diff-gap');
+    hunk.lines.slice(hunk.lines.length - tail).forEach(line => appendDiffLine(lines, '  ' + line));
+  });
+  container.appendChild(lines);
+}
+
+// Added, removed and changed scraper rows, with the changed fields before and after
+function renderRecordDiff(container, diff) {
+  const summary = document.createElement('div');
+  summary.className = 'change-summary';
+  summary.textContent = describeChanges({ added: diff.added.length, removed: diff.removed.length, changed: diff.changed.length }, 'row') +
+    `, ${diff.unchanged} unchanged` +
+    (diff.key ? ` · rows matched on "${diff.key}"` : ' · no key field, so rows only match when identical');
+  container.appendChild(summary);
+
+  const section = (title, rows, render) => {
+    if (rows.length === 0) {
+      return;
+    }
+    const heading = document.createElement('h4');
+    heading.textContent = `${title} (${rows.length})`;
+    container.appendChild(heading);
+    const lines = document.createElement('div');
+    lines.className = 'diff';
+    rows.forEach(row => render(lines, row));
+    container.appendChild(lines);
+  };
+  section('Added', diff.added, (lines, row) => appendDiffLine(lines, '+ ' + formatRecord(row), 'diff-insert'));
+  section('Removed', diff.removed, (lines, row) => appendDiffLine(lines, '- ' + formatRecord(row), 'diff-delete'));
+  section('Changed', diff.changed, (lines, { key, fields, before, after }) => {
+    appendDiffLine(lines, `${diff.key}: ${key}`);
+    fields.forEach(field => {
+      appendDiffLine(lines, `  ${field}: ${formatRecordValue(before[field])} → ${formatRecordValue(after[field])}`, 'diff-insert');
+    });
+  });
+}
+
+function appendDiffLine(container, text, className) {
+  const line = document.createElement('div');
+  line.className = className ? 'diff-line ' + className : 'diff-line';
+  line.textContent = text;
+  container.appendChild(line);
+}
+
+function formatRecord(row) {
+  return Object.keys(row).map(field => `${field}: ${formatRecordValue(row[field])}`).join(' · ');
+}
+
+function formatRecordValue(value) {
+  if (value === undefined) {
+    return '(none)';
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// Watch a page from the form in the watched pages panel
+watchForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const watch = {
+    url: watchUrlInput.value.trim(),
+    compare: watchCompareSelect.value,
+    ignorePattern: watchIgnoreInput.value.trim(),
+    minChanges: Math.max(1, parseInt(watchMinChangesInput.value, 10) || 1),
+    notify: watchNotifyCheckbox.checked
+  };
+  try {
+    const response = await rpc.call("saveWatch", { watch });
+    statusP.textContent = response.message;
+    watchUrlInput.value = '';
+    watchIgnoreInput.value = '';
+    loadWatches();
+  } catch (error) {
+    console.error("Error saving watch:", error);
+    statusP.textContent = 'Error: ' + error.message;
+  }
+});
+
+// List the pages watched for changes
+async function loadWatches() {
+  try {
+    const { watches } = await rpc.call("getWatches");
+    renderWatches(watches);
+  } catch (error) {
+    console.error("Error loading watched pages:", error);
+    statusP.textContent = 'Error loading watched pages: ' + error.message;
+  }
+}
+
+function renderWatches(watches) {
+  watchRows.innerHTML = '';
+  watchesEmptyMessage.style.display = watches.length ? 'none' : 'block';
+  watches.forEach(watch => {
+    const row = document.createElement('tr');
+    row.appendChild(createCell(watch.url, 'url'));
+    row.appendChild(createCell((watch.compare === 'dom' ? 'Markup' : 'Visible text') +
+      (watch.ignorePattern ? `, ignoring /${watch.ignorePattern}/` : '') +
+      (watch.minChanges > 1 ? `, notify after ${watch.minChanges} changes` : '')));
+    row.appendChild(createCell(String(watch.captureCount)));
+    row.appendChild(createCell(String(watch.changeCount)));
+    row.appendChild(createCell(watch.lastChange
+      ? `${formatTimestamp(watch.lastChange.at)}: ${watch.lastChange.summary}`
+      : ''));
+
+    const actionsCell = document.createElement('td');
+    if (watch.lastChange) {
+      const showButton = document.createElement('button');
+      showButton.className = 'secondary';
+      showButton.textContent = 'Show';
+      showButton.addEventListener('click', () => openCaptureChanges(watch.lastChange.captureId));
+      actionsCell.appendChild(showButton);
+    }
+    const notifyButton = document.createElement('button');
+    notifyButton.className = 'secondary';
+    notifyButton.textContent = watch.notify ? 'Mute' : 'Unmute';
+    notifyButton.title = watch.notify ? 'Stop notifications for this page' : 'Notify when this page changes';
+    notifyButton.addEventListener('click', () => toggleWatchNotifications(watch));
+    const deleteWatchButton = document.createElement('button');
+    deleteWatchButton.className = 'warning';
+    deleteWatchButton.textContent = 'Delete';
+    deleteWatchButton.addEventListener('click', () => deleteWatch(watch));
+    actionsCell.appendChild(notifyButton);
+    actionsCell.appendChild(deleteWatchButton);
+    row.appendChild(actionsCell);
+
+    watchRows.appendChild(row);
+  });
+}
+
+async function toggleWatchNotifications(watch) {
+  try {
+    await rpc.call("saveWatch", { watch: { id: watch.id, url: watch.url, notify: !watch.notify } });
+    loadWatches();
+  } catch (error) {
+    console.error("Error updating watch:", error);
+    statusP.textContent = 'Error: ' + error.message;
+  }
+}
+
+async function deleteWatch(watch) {
+  if (!confirm(`Stop watching ${watch.url}?`)) {
+    return;
+  }
+  try {
+    const response = await rpc.call("deleteWatch", { id: watch.id });
+    statusP.textContent = response.message;
+    loadWatches();
+  } catch (error) {
+    console.error("Error deleting watch:", error);
+    statusP.textContent = 'Error deleting watch: ' + error.message;
+  }
+}
+
+// List the persistent scraper datasets
+async function loadDatasets() {
+  try {
+    const { datasets } = await rpc.call("getDatasets");
+    renderDatasets(datasets);
+  } catch (error) {
+    console.error("Error loading datasets:", error);
+    statusP.textContent = 'Error loading datasets: ' + error.message;
+  }
+}
+
+function renderDatasets(datasets) {
+  datasetRows.innerHTML = '';
+  datasetsEmptyMessage.style.display = datasets.length ? 'none' : 'block';
+  datasets.forEach(dataset => {
+    const row = document.createElement('tr');
+    const nameCell = createCell(dataset.name || dataset.scraperId);
+    if (dataset.sourceUrl) {
+      const sourceUrl = document.createElement('div');
+      sourceUrl.className = 'url';
+      sourceUrl.textContent = dataset.sourceUrl;
+      nameCell.appendChild(sourceUrl);
+    }
+    row.appendChild(nameCell);
+    row.appendChild(createCell(String(dataset.active)));
+    row.appendChild(createCell(String(dataset.removed)));
+    row.appendChild(createCell(String(dataset.runCount)));
+    row.appendChild(createCell(dataset.lastRun
+      ? `${formatTimestamp(dataset.lastRun.at)} (+${dataset.lastRun.added}, -${dataset.lastRun.removed})`
+      : ''));
+
+    const actionsCell = document.createElement('td');
+    const exportButton = document.createElement('button');
+    exportButton.className = 'secondary';
+    exportButton.textContent = 'Export';
+    exportButton.addEventListener('click', () => exportDataset(dataset));
+    const deleteDatasetButton = document.createElement('button');
+    deleteDatasetButton.className = 'warning';
+    deleteDatasetButton.textContent = 'Delete';
+    deleteDatasetButton.addEventListener('click', () => deleteDataset(dataset));
+    actionsCell.appendChild(exportButton);
+    actionsCell.appendChild(deleteDatasetButton);
+    row.appendChild(actionsCell);
+
+    datasetRows.appendChild(row);
+  });
+}
+
+// Download a whole dataset in the format chosen for scraper results
+async function exportDataset(dataset) {
+  try {
+    const { result } = await rpc.call("exportDataset", { id: dataset.id });
+    const output = await buildScraperOutput(result, scraperFormatSelect.value, result.columns);
+    const filename = `${dataset.id.replace(/[^a-z0-9-]+/gi, '_')}_dataset_${new Date().toISOString().replace(/[:.]/g, '-')}.${output.extension}`;
+    downloadContent(output.content, filename, output.mimeType);
+    statusP.textContent = `Dataset "${dataset.name}" download initiated!`;
+  } catch (error) {
+    console.error("Error exporting dataset:", error);
+    statusP.textContent = 'Error exporting dataset: ' + error.message;
+  }
+}
+
+async function deleteDataset(dataset) {
+  if (!confirm(`Delete the dataset "${dataset.name}" and its ${dataset.total} records?`)) {
+    return;
+  }
+  try {
+    const response = await rpc.call("deleteDataset", { id: dataset.id });
+    statusP.textContent = response.message;
+    loadDatasets();
+  } catch (error) {
+    console.error("Error deleting dataset:", error);
+    statusP.textContent = 'Error deleting dataset: ' + error.message;
+  }
+}
+
+function formatTimestamp(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+function formatSize(bytes) {
+  if (!bytes) {
+    return '0 B';
+  }
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
@@ -0,0 +1,204 @@
+// pageExpander.js
+// Expands infinite-scroll and lazy-loaded pages before they are captured. Injected
+// into tabs by background.js, so it is wrapped to survive repeated injection.
+
+(function() {
+  if (typeof self !== 'undefined' && self.PageExpander) {
+    return;
+  }
+
+  const DEFAULT_EXPAND_OPTIONS = {
+    maxScrolls: 30,         // Times to reach the bottom of the page before giving up
+    maxDuration: 60,        // Seconds to spend expanding in total
+    maxClicks: 50,          // "Show more" clicks in total
+    clickSelectors: [
+      '.scaffold-finite-scroll__load-button', // LinkedIn "Show more results"
+      'button[aria-label*="show more" i]',
+      'button[aria-label*="load more" i]'
+    ],
+    stepDelay: 150,         // Milliseconds between viewport-sized scroll steps
+    quietPeriod: 1000,      // Milliseconds without DOM changes or network activity
+    quietTimeout: 10000     // Longest wait for the page to go quiet after each round
+  };
+
+  class PageExpander {
+    constructor(win, options = {}) {
+      this.window = win;
+      this.doc = win.document;
+      this.options = { ...DEFAULT_EXPAND_OPTIONS, ...stripEmpty(options) };
+      this.clicks = 0;
+    }
+
+    // Scroll to the bottom until the page height stops changing or a limit is
+    // reached, clicking "Show more"-style buttons along the way
+    async expand() {
+      const startTime = Date.now();
+      const deadline = startTime + this.options.maxDuration * 1000;
+      const originalScrollY = this.window.scrollY;
+      let scrolls = 0;
+      let stableRounds = 0;
+      let lastHeight = this.getScrollHeight();
+      let stoppedBy = 'maxScrolls';
+
+      this.loadLazyImages();
+
+      while (scrolls < this.options.maxScrolls) {
+        if (Date.now() >= deadline) {
+          stoppedBy = 'maxDuration';
+          break;
+        }
+
+        await this.scrollToBottom(deadline);
+        scrolls++;
+        await this.waitForQuiet(deadline);
+
+        const clicked = this.clickLoadMoreButtons();
+        if (clicked > 0) {
+          await this.waitForQuiet(deadline);
+        }
+
+        this.loadLazyImages();
+        const height = this.getScrollHeight();
+        console.log(`Expand round ${scrolls}: height ${height}, clicked ${clicked}`);
+
+        // Two rounds without growth or clicks means nothing more is loading
+        if (height === lastHeight && clicked === 0) {
+          stableRounds++;
+          if (stableRounds >= 2) {
+            stoppedBy = 'heightStable';
+            break;
+          }
+        } else {
+          stableRounds = 0;
+        }
+        lastHeight = height;
+      }
+
+      this.window.scrollTo(0, originalScrollY);
+      await this.waitForQuiet(Date.now() + this.options.quietTimeout);
+
+      return {
+        scrolls,
+        clicks: this.clicks,
+        height: this.getScrollHeight(),
+        durationMs: Date.now() - startTime,
+        stoppedBy
+      };
+    }
+
+    getScrollHeight() {
+      const scrollingElement = this.doc.scrollingElement || this.doc.documentElement;
+      return scrollingElement.scrollHeight;
+    }
+
+    // Scroll in viewport-sized steps so intersection-based lazy loaders fire for every section
+    async scrollToBottom(deadline) {
+      const step = Math.max(200, Math.floor(this.window.innerHeight * 0.9));
+      let position = this.window.scrollY;
+      while (position + this.window.innerHeight < this.getScrollHeight() && Date.now() < deadline) {
+        position += step;
+        this.window.scrollTo(0, position);
+        await delay(this.options.stepDelay);
+      }
+      this.window.scrollTo(0, this.getScrollHeight());
+    }
+
+    // Click every visible button matching the configured selectors; returns the number clicked
+    clickLoadMoreButtons() {
+      let clicked = 0;
+      for (const selector of this.options.clickSelectors) {
+        let buttons;
+        try {
+          buttons = this.doc.querySelectorAll(selector);
+        } catch (e) {
+          console.warn("Invalid click selector:", selector);
+          continue;
+        }
+
+        for (const button of buttons) {
+          if (this.clicks >= this.options.maxClicks) {
+            return clicked;
+          }
+          if (isClickable(button)) {
+            button.click();
+            this.clicks++;
+            clicked++;
+          }
+        }
+      }
+      return clicked;
+    }
+
+    // Ask the browser to load images that are waiting to scroll into view
+    loadLazyImages() {
+      this.doc.querySelectorAll('img[loading="lazy"], iframe[loading="lazy"]').forEach(element => {
+        element.loading = 'eager';
+      });
+    }
+
+    // Resolve once no DOM mutations or resource loads have happened for quietPeriod
+    waitForQuiet(deadline) {
+      return new Promise(resolve => {
+        let lastActivity = Date.now();
+        const markActivity = () => {
+          lastActivity = Date.now();
+        };
+
+        const mutationObserver = new MutationObserver(markActivity);
+        mutationObserver.observe(this.doc.documentElement, { childList: true, subtree: true, characterData: true });
+
+        let performanceObserver = null;
+        if (typeof PerformanceObserver !== 'undefined') {
+          performanceObserver = new PerformanceObserver(markActivity);
+          performanceObserver.observe({ type: 'resource' });
+        }
+
+        const timeout = Math.min(deadline, Date.now() + this.options.quietTimeout);
+        const check = () => {
+          const now = Date.now();
+          if (now - lastActivity >= this.options.quietPeriod || now >= timeout) {
+            mutationObserver.disconnect();
+            if (performanceObserver) {
+              performanceObserver.disconnect();
+            }
+            resolve();
+          } else {
+            setTimeout(check, 100);
+          }
+        };
+        setTimeout(check, 100);
+      });
+    }
+  }
+
+  function isClickable(element) {
+    if (element.disabled || element.getAttribute('aria-disabled') === 'true') {
+      return false;
+    }
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  }
+
+  // Drop unset options so they fall back to the defaults
+  function stripEmpty(options) {
+    const result = {};
+    for (const [key, value] of Object.entries(options)) {
+      if (value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)) {
+        result[key] = value;
+      }
+    }
+    return result;
+  }
+
+  function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Export for use in other scripts
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PageExpander, DEFAULT_EXPAND_OPTIONS };
+  } else {
+    self.PageExpander = PageExpander;
+    self.DEFAULT_EXPAND_OPTIONS = DEFAULT_EXPAND_OPTIONS;
+  }
+})();
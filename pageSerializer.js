@@ -0,0 +1,841 @@
+// pageSerializer.js
+// Serializes the live page to an HTML string. Injected into tabs by background.js,
+// so it is wrapped to survive being injected more than once into the same page.
+
+(function() {
+  if (typeof self !== 'undefined' && self.PageSerializer) {
+    return;
+  }
+
+  const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+  // Elements that never have an end tag
+  const VOID_ELEMENTS = new Set([
+    'area', 'base', 'basefont', 'bgsound', 'br', 'col', 'embed', 'frame', 'hr', 'img',
+    'input', 'keygen', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+  ]);
+
+  // Elements whose text content is serialized without escaping
+  const RAW_TEXT_ELEMENTS = new Set([
+    'style', 'script', 'xmp', 'iframe', 'noembed', 'noframes', 'plaintext', 'noscript'
+  ]);
+
+  // <link rel> values that only make sense against the live site
+  const DROPPED_LINK_RELS = ['preload', 'modulepreload', 'prefetch', 'preconnect', 'dns-prefetch', 'manifest'];
+
+  // Script types that hold data rather than code, kept in self-contained captures
+  const DATA_SCRIPT_TYPES = ['application/ld+json', 'application/json', 'text/template'];
+
+  const MAX_CONCURRENT_FETCHES = 6;
+  const MAX_IMPORT_DEPTH = 5;
+
+  class PageSerializer {
+    constructor(doc, options = {}) {
+      this.doc = doc;
+      this.options = options;
+
+      // Self-contained mode state, filled in by inlineResources()
+      this.dataUrls = new Map();        // absolute URL -> data URI (or null if the fetch failed)
+      this.dataUrlRequests = new Map(); // absolute URL -> pending fetch
+      this.stylesheetRequests = new Map();
+      this.styleContents = new Map();   // <style>/<link> element -> inlined CSS text
+      this.styleAttributes = new Map(); // element -> inlined style attribute
+      this.adoptedStyles = new Map();   // constructed stylesheet -> inlined CSS text
+      this.resources = new Map();       // absolute URL -> { url, contentType, dataUrl | text } as fetched
+      this.activeFetches = 0;
+      this.fetchQueue = [];
+
+      // Frame state, filled in by collectFrames()
+      this.frameIds = new Map();        // <iframe>/<frame> element -> extension frame id
+      this.inlineFrames = new Map();    // <iframe>/<frame> element -> serialized about:blank document
+      this.childFrames = [];            // { frameId, src, srcdoc } for frames the background stitches in
+
+      // Live state that outerHTML would lose, filled in by captureMediaState()
+      this.videoPosters = new Map();    // <video> element -> data URI of its current frame
+    }
+
+    // Serialize the document and describe the child frames whose content the
+    // background captures separately (see stitchFrames in background.js)
+    async capture() {
+      const html = await this.serialize();
+      return {
+        html,
+        url: this.doc.URL,
+        title: this.doc.title,
+        childFrames: this.childFrames,
+        resources: this.options.collectResources ? Array.from(this.resources.values()) : []
+      };
+    }
+
+    // Serialize some nodes of the page (the right-clicked element, or the cloned
+    // contents of the selection) on their own, without the document around them
+    captureFragment(nodes) {
+      let html = '';
+      for (const node of nodes) {
+        html += this.serializeNode(node);
+      }
+      return { html, url: this.doc.URL, title: this.doc.title };
+    }
+
+    async serialize() {
+      if (this.isXMLDocument()) {
+        console.log("XML document detected, using XMLSerializer");
+        return new XMLSerializer().serializeToString(this.doc);
+      }
+
+      if (this.options.includeFrames) {
+        await this.collectFrames();
+      }
+
+      if (this.capturesLiveState()) {
+        this.captureMediaState();
+      }
+
+      // Collecting resources (e.g. for WARC export) fetches the same files without rewriting the page
+      if (this.options.selfContained || this.options.collectResources) {
+        console.log("Fetching page resources, self-contained:", !!this.options.selfContained);
+        await this.inlineResources();
+      }
+
+      return this.serializeDoctype() + this.serializeNode(this.doc.documentElement);
+    }
+
+    isXMLDocument() {
+      const doc = this.doc;
+      return doc.contentType === 'text/xml' ||
+        doc.contentType === 'application/xml' ||
+        doc.documentElement.tagName === 'rss' ||
+        doc.documentElement.tagName === 'feed';
+    }
+
+    // Yield every element of the document, descending into shadow roots
+    *walkElements(root) {
+      for (const element of root.querySelectorAll('*')) {
+        yield element;
+        const shadowRoot = getShadowRoot(element);
+        if (shadowRoot) {
+          yield* this.walkElements(shadowRoot);
+        }
+      }
+    }
+
+    // Yield the document and every reachable shadow root
+    *walkStyleScopes() {
+      yield this.doc;
+      for (const element of this.walkElements(this.doc)) {
+        const shadowRoot = getShadowRoot(element);
+        if (shadowRoot) {
+          yield shadowRoot;
+        }
+      }
+    }
+
+    // ---- Frames ----
+
+    // Map frame elements to the frame ids the extension injected into. Script-written
+    // about:blank frames usually get no injection, so they are serialized from here.
+    async collectFrames() {
+      for (const element of this.walkElements(this.doc)) {
+        if (element.localName !== 'iframe' && element.localName !== 'frame') {
+          continue;
+        }
+
+        const frameDocument = getAccessibleFrameDocument(element);
+        if (frameDocument && frameDocument.URL === 'about:blank') {
+          this.inlineFrames.set(element, await new PageSerializer(frameDocument, this.options).serialize());
+          continue;
+        }
+
+        const frameId = getFrameId(element);
+        if (frameId >= 0) {
+          this.frameIds.set(element, frameId);
+          this.childFrames.push({
+            frameId,
+            src: element.src || '',
+            srcdoc: element.getAttribute('srcdoc')
+          });
+        }
+      }
+    }
+
+    // Marker the background replaces with the frame's captured content
+    serializeFrameAttributes(element) {
+      if (this.inlineFrames.has(element)) {
+        return ` srcdoc="${escapeAttribute(this.inlineFrames.get(element))}"`;
+      }
+      if (this.frameIds.has(element)) {
+        return ` data-dom-saver-frame-id="${this.frameIds.get(element)}"`;
+      }
+      return '';
+    }
+
+    // ---- Live state ----
+
+    // Form values, canvas pixels and video frames are kept unless explicitly turned off
+    capturesLiveState() {
+      return this.options.liveState !== false;
+    }
+
+    captureMediaState() {
+      for (const element of this.walkElements(this.doc)) {
+        if (element.localName === 'video') {
+          const poster = snapshotVideoFrame(element);
+          if (poster) {
+            this.videoPosters.set(element, poster);
+          }
+        }
+      }
+    }
+
+    // Attribute name/value pairs to write for an element, with the current
+    // value, checked and selected state reflected back into attributes
+    getAttributeEntries(element) {
+      const entries = new Map(Array.from(element.attributes, attribute => [attribute.name, attribute.value]));
+      if (!this.capturesLiveState() || element.namespaceURI !== HTML_NAMESPACE) {
+        return entries;
+      }
+
+      switch (element.localName) {
+        case 'input': {
+          const type = (element.type || '').toLowerCase();
+          if (type === 'checkbox' || type === 'radio') {
+            setBooleanAttribute(entries, 'checked', element.checked);
+          } else if (type !== 'file' && type !== 'password' && (element.value !== '' || entries.has('value'))) {
+            // Passwords are never written into captures
+            entries.set('value', element.value);
+          }
+          break;
+        }
+        case 'option':
+          setBooleanAttribute(entries, 'selected', element.selected);
+          break;
+        case 'video':
+          if (this.videoPosters.has(element)) {
+            entries.set('poster', this.videoPosters.get(element));
+          }
+          break;
+      }
+      return entries;
+    }
+
+    // Replace a drawn <canvas> with an <img> of its pixels
+    serializeCanvas(canvas) {
+      if (!canvas.width || !canvas.height) {
+        return null;
+      }
+
+      let dataUrl;
+      try {
+        dataUrl = canvas.toDataURL('image/png');
+      } catch (e) {
+        // Tainted by cross-origin content
+        console.warn("Could not read canvas pixels:", e.message);
+        return null;
+      }
+
+      const entries = this.getAttributeEntries(canvas);
+      if (!entries.has('width')) {
+        entries.set('width', String(canvas.width));
+      }
+      if (!entries.has('height')) {
+        entries.set('height', String(canvas.height));
+      }
+
+      let attributes = ' data-dom-saver-canvas=""';
+      entries.forEach((value, name) => {
+        attributes += ` ${name}="${escapeAttribute(value)}"`;
+      });
+      return `<img${attributes} src="${dataUrl}">`;
+    }
+
+    // ---- Serialization ----
+
+    serializeDoctype() {
+      const doctype = this.doc.doctype;
+      if (!doctype) {
+        return '';
+      }
+      let html = `<!DOCTYPE ${doctype.name}`;
+      if (doctype.publicId) {
+        html += ` PUBLIC "${doctype.publicId}"`;
+      } else if (doctype.systemId) {
+        html += ' SYSTEM';
+      }
+      if (doctype.systemId) {
+        html += ` "${doctype.systemId}"`;
+      }
+      return html + '>';
+    }
+
+    serializeNode(node) {
+      switch (node.nodeType) {
+        case Node.ELEMENT_NODE:
+          return this.serializeElement(node);
+        case Node.TEXT_NODE:
+          return this.serializeText(node);
+        case Node.CDATA_SECTION_NODE:
+          return `<![CDATA[${node.data}]]>`;
+        case Node.COMMENT_NODE:
+          return `<!--${node.data}-->`;
+        case Node.PROCESSING_INSTRUCTION_NODE:
+          return `<?${node.target} ${node.data}>`;
+        default:
+          return '';
+      }
+    }
+
+    serializeText(node) {
+      const parent = node.parentNode;
+      if (parent && parent.namespaceURI === HTML_NAMESPACE && RAW_TEXT_ELEMENTS.has(parent.localName)) {
+        return node.data;
+      }
+      return escapeText(node.data);
+    }
+
+    serializeElement(element) {
+      const replacement = this.replaceElement(element);
+      if (replacement !== null) {
+        return replacement;
+      }
+
+      const tagName = element.prefix ? `${element.prefix}:${element.localName}` : element.localName;
+      const isHTML = element.namespaceURI === HTML_NAMESPACE;
+
+      let html = `<${tagName}${this.serializeFrameAttributes(element)}${this.serializeAttributes(element)}>`;
+      if (isHTML && VOID_ELEMENTS.has(element.localName)) {
+        return html;
+      }
+
+      const shadowRoot = getShadowRoot(element);
+      if (shadowRoot) {
+        html += this.serializeShadowRoot(shadowRoot);
+      }
+      html += this.serializeChildren(element);
+      if (element === this.doc.head) {
+        html += this.serializeAdoptedStyleSheets(this.doc);
+      }
+      return html + `</${tagName}>`;
+    }
+
+    serializeChildren(element) {
+      // A textarea's typed value is not reflected in its child text
+      if (element.localName === 'textarea' && this.capturesLiveState()) {
+        return escapeText(element.value);
+      }
+
+      // Template contents live in a separate fragment
+      const container = element.localName === 'template' && element.content ? element.content : element;
+      let html = '';
+      for (const child of container.childNodes) {
+        html += this.serializeNode(child);
+      }
+      return html;
+    }
+
+    // Emit a shadow root as declarative shadow DOM, which the browser re-attaches on parse
+    serializeShadowRoot(shadowRoot) {
+      let attributes = ` shadowrootmode="${shadowRoot.mode}"`;
+      if (shadowRoot.delegatesFocus) {
+        attributes += ' shadowrootdelegatesfocus=""';
+      }
+      if (shadowRoot.clonable) {
+        attributes += ' shadowrootclonable=""';
+      }
+      if (shadowRoot.serializable) {
+        attributes += ' shadowrootserializable=""';
+      }
+      return `<template${attributes}>${this.serializeAdoptedStyleSheets(shadowRoot)}${this.serializeChildren(shadowRoot)}</template>`;
+    }
+
+    // Constructed stylesheets have no markup of their own, so write them out as <style> blocks
+    serializeAdoptedStyleSheets(scope) {
+      let html = '';
+      for (const sheet of scope.adoptedStyleSheets || []) {
+        const css = this.adoptedStyles.has(sheet) ? this.adoptedStyles.get(sheet) : getStylesheetRulesText(sheet);
+        if (css) {
+          html += `<style data-dom-saver-adopted="">${escapeStyleText(css)}</style>`;
+        }
+      }
+      return html;
+    }
+
+    serializeAttributes(element) {
+      let html = '';
+      for (const [name, rawValue] of this.getAttributeEntries(element)) {
+        const value = this.rewriteAttribute(element, name, rawValue);
+        if (value !== null) {
+          html += ` ${name}="${escapeAttribute(value)}"`;
+        }
+      }
+      return html;
+    }
+
+    // Return replacement markup for an element, or null to serialize it normally
+    replaceElement(element) {
+      const tagName = element.localName;
+
+      if (tagName === 'canvas' && element.namespaceURI === HTML_NAMESPACE && this.capturesLiveState()) {
+        const image = this.serializeCanvas(element);
+        if (image !== null) {
+          return image;
+        }
+      }
+
+      if (!this.options.selfContained) {
+        return null;
+      }
+
+      if (tagName === 'script' && !DATA_SCRIPT_TYPES.includes((element.type || '').toLowerCase())) {
+        return '';
+      }
+
+      if (tagName === 'link') {
+        const rel = (element.getAttribute('rel') || '').toLowerCase().split(/\s+/);
+        if (rel.some(value => DROPPED_LINK_RELS.includes(value))) {
+          return '';
+        }
+        if (this.styleContents.has(element)) {
+          let attributes = ` data-dom-saver-href="${escapeAttribute(element.href)}"`;
+          if (element.media) {
+            attributes += ` media="${escapeAttribute(element.media)}"`;
+          }
+          return `<style${attributes}>${escapeStyleText(this.styleContents.get(element))}</style>`;
+        }
+      }
+
+      if (tagName === 'style' && this.styleContents.has(element)) {
+        return `<style${this.serializeAttributes(element)}>${escapeStyleText(this.styleContents.get(element))}</style>`;
+      }
+
+      return null;
+    }
+
+    // Return the value to write for an attribute, or null to drop it
+    rewriteAttribute(element, name, value) {
+      // Frame content is written back as srcdoc, replacing the original
+      if (name === 'srcdoc' && (this.frameIds.has(element) || this.inlineFrames.has(element))) {
+        return null;
+      }
+
+      if (!this.options.selfContained) {
+        return value;
+      }
+
+      const tagName = element.localName;
+      const attributeName = name.toLowerCase();
+
+      if (attributeName === 'style' && this.styleAttributes.has(element)) {
+        return this.styleAttributes.get(element);
+      }
+      if (attributeName === 'srcset' && (tagName === 'img' || tagName === 'source')) {
+        return parseSrcset(value)
+          .map(candidate => {
+            const url = this.inlinedURL(candidate.url);
+            return candidate.descriptor ? `${url} ${candidate.descriptor}` : url;
+          })
+          .join(', ');
+      }
+      if (this.isResourceAttribute(element, attributeName)) {
+        return this.inlinedURL(value);
+      }
+      if (attributeName === 'href' && (tagName === 'a' || tagName === 'area')) {
+        return makeAbsoluteLink(value, this.doc.baseURI);
+      }
+      if (attributeName === 'action' && tagName === 'form') {
+        return makeAbsoluteLink(value, this.doc.baseURI);
+      }
+      return value;
+    }
+
+    // Attributes that point at a resource we embed as a data URI
+    isResourceAttribute(element, attributeName) {
+      const tagName = element.localName;
+      if (attributeName === 'src') {
+        return tagName === 'img' || (tagName === 'source' && element.parentElement?.localName === 'picture') ||
+          (tagName === 'input' && (element.type || '').toLowerCase() === 'image');
+      }
+      if (attributeName === 'poster') {
+        return tagName === 'video';
+      }
+      if (attributeName === 'href' && tagName === 'link') {
+        return /\bicon\b/i.test(element.getAttribute('rel') || '');
+      }
+      if (attributeName === 'href' || attributeName === 'xlink:href') {
+        return tagName === 'image' && element.namespaceURI !== HTML_NAMESPACE;
+      }
+      return false;
+    }
+
+    // Data URI for a previously fetched resource, or the absolute URL if it could not be embedded
+    inlinedURL(value) {
+      const url = this.resolveURL(value);
+      if (!url) {
+        return value;
+      }
+      return this.dataUrls.get(url) || url;
+    }
+
+    // ---- Self-contained resource inlining ----
+
+    async inlineResources() {
+      const tasks = [];
+
+      for (const element of this.walkElements(this.doc)) {
+        const tagName = element.localName;
+
+        if (tagName === 'link' && /\bstylesheet\b/i.test(element.getAttribute('rel') || '') && element.href) {
+          tasks.push(this.inlineLinkedStylesheet(element));
+        } else if (tagName === 'style') {
+          tasks.push(
+            this.inlineCSS(getStyleElementText(element), this.doc.baseURI)
+              .then(css => this.styleContents.set(element, css))
+          );
+        }
+
+        const style = element.getAttribute('style');
+        if (style && style.includes('url(')) {
+          tasks.push(
+            this.inlineCSS(style, this.doc.baseURI)
+              .then(css => this.styleAttributes.set(element, css))
+          );
+        }
+
+        for (const attribute of element.attributes) {
+          const attributeName = attribute.name.toLowerCase();
+          if (attributeName === 'srcset' && (tagName === 'img' || tagName === 'source')) {
+            parseSrcset(attribute.value).forEach(candidate => tasks.push(this.fetchDataURL(this.resolveURL(candidate.url))));
+          } else if (this.isResourceAttribute(element, attributeName)) {
+            tasks.push(this.fetchDataURL(this.resolveURL(attribute.value)));
+          }
+        }
+      }
+
+      for (const scope of this.walkStyleScopes()) {
+        for (const sheet of scope.adoptedStyleSheets || []) {
+          if (!this.adoptedStyles.has(sheet)) {
+            this.adoptedStyles.set(sheet, null);
+            tasks.push(
+              this.inlineCSS(getStylesheetRulesText(sheet), this.doc.baseURI)
+                .then(css => this.adoptedStyles.set(sheet, css))
+            );
+          }
+        }
+      }
+
+      await Promise.all(tasks);
+      console.log(`Inlined ${this.dataUrls.size} resources and ${this.styleContents.size} stylesheets`);
+    }
+
+    async inlineLinkedStylesheet(link) {
+      let css = await this.loadStylesheet(link.href, []);
+      if (css === null) {
+        // Fall back to the parsed rules when the sheet is readable but could not be fetched
+        const rulesText = getStylesheetRulesText(link.sheet);
+        css = rulesText ? await this.inlineCSS(rulesText, link.href, [link.href]) : null;
+      }
+      if (css !== null) {
+        this.styleContents.set(link, css);
+      }
+    }
+
+    // Fetch a stylesheet and inline its imports, images and fonts.
+    // `importers` lists the sheets that led to this one, to break import cycles.
+    loadStylesheet(url, importers) {
+      if (!this.stylesheetRequests.has(url)) {
+        const chain = importers.concat(url);
+        this.stylesheetRequests.set(url, this.requestResource(url, 'text')
+          .then(resource => {
+            this.resources.set(url, { url, contentType: resource.contentType || 'text/css', text: resource.text });
+            return this.inlineCSS(resource.text.replace(/@charset\s+[^;]+;/gi, ''), resource.url || url, chain);
+          })
+          .catch(error => {
+            console.warn("Could not inline stylesheet:", url, error.message);
+            return null;
+          }));
+      }
+      return this.stylesheetRequests.get(url);
+    }
+
+    async inlineCSS(cssText, baseUrl, importers = []) {
+      if (!cssText) {
+        return cssText;
+      }
+
+      // Replace @import rules with the imported sheet, wrapped in its media query
+      const importPattern = /@import\s+(?:url\(\s*(['"]?)([^'")]*)\1\s*\)|(['"])([^'"]*)\3)\s*([^;]*);/gi;
+      cssText = await replaceAsync(cssText, importPattern, async (match, quote, urlValue, stringQuote, stringValue, media) => {
+        const url = this.resolveURL(urlValue || stringValue, baseUrl);
+        if (!url) {
+          return match;
+        }
+        if (importers.includes(url) || importers.length >= MAX_IMPORT_DEPTH) {
+          return `@import url("${url}") ${media};`;
+        }
+        const imported = await this.loadStylesheet(url, importers);
+        if (imported === null) {
+          return `@import url("${url}") ${media};`;
+        }
+        media = media.trim();
+        return media ? `@media ${media} {\n${imported}\n}` : imported;
+      });
+
+      // Embed url() references such as background images and web fonts (imports left
+      // in place above are not resources)
+      const urlPattern = /(?<!@import\s+)url\(\s*(['"]?)([^'")]*?)\1\s*\)/gi;
+      return replaceAsync(cssText, urlPattern, async (match, quote, value) => {
+        if (!value || value.startsWith('data:') || value.startsWith('#')) {
+          return match;
+        }
+        const url = this.resolveURL(value, baseUrl);
+        if (!url) {
+          return match;
+        }
+        const dataUrl = await this.fetchDataURL(url);
+        return `url("${dataUrl || url}")`;
+      });
+    }
+
+    // Fetch a resource as a data URI, sharing requests for the same URL
+    fetchDataURL(url) {
+      if (!url || url.startsWith('data:')) {
+        return Promise.resolve(null);
+      }
+      if (!this.dataUrlRequests.has(url)) {
+        this.dataUrlRequests.set(url, this.requestResource(url, 'dataUrl')
+          .then(resource => {
+            this.dataUrls.set(url, resource.dataUrl);
+            this.resources.set(url, { url, contentType: resource.contentType, dataUrl: resource.dataUrl });
+            return resource.dataUrl;
+          })
+          .catch(error => {
+            console.warn("Could not inline resource:", url, error.message);
+            this.dataUrls.set(url, null);
+            return null;
+          }));
+      }
+      return this.dataUrlRequests.get(url);
+    }
+
+    // Fetch through the background script, which is not bound by the page's CORS rules.
+    // Requests are queued so large pages don't open hundreds of connections at once.
+    requestResource(url, responseType) {
+      return new Promise((resolve, reject) => {
+        this.fetchQueue.push({ url, responseType, resolve, reject });
+        this.drainFetchQueue();
+      });
+    }
+
+    drainFetchQueue() {
+      while (this.activeFetches < MAX_CONCURRENT_FETCHES && this.fetchQueue.length > 0) {
+        const job = this.fetchQueue.shift();
+        this.activeFetches++;
+        fetchResourceFromBackground(job.url, job.responseType)
+          .then(job.resolve, job.reject)
+          .finally(() => {
+            this.activeFetches--;
+            this.drainFetchQueue();
+          });
+      }
+    }
+
+    resolveURL(value, baseUrl = this.doc.baseURI) {
+      if (!value) {
+        return null;
+      }
+      try {
+        const url = new URL(value.trim(), baseUrl);
+        return ['http:', 'https:', 'data:', 'blob:'].includes(url.protocol) ? url.href : null;
+      } catch (e) {
+        return null;
+      }
+    }
+  }
+
+  // ---- Helpers ----
+
+  // Open shadow roots are public; closed ones are only reachable through the extension API
+  function getShadowRoot(element) {
+    if (element.shadowRoot) {
+      return element.shadowRoot;
+    }
+    if (typeof chrome !== 'undefined' && chrome.dom && chrome.dom.openOrClosedShadowRoot) {
+      try {
+        return chrome.dom.openOrClosedShadowRoot(element) || null;
+      } catch (e) {
+        // Not an element that can host a shadow root
+      }
+    }
+    return null;
+  }
+
+  function escapeText(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/\u00a0/g, '&nbsp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  function escapeAttribute(value) {
+    return value
+      .replace(/&/g, '&amp;')
+      .replace(/\u00a0/g, '&nbsp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  function setBooleanAttribute(entries, name, present) {
+    if (present) {
+      entries.set(name, entries.get(name) || '');
+    } else {
+      entries.delete(name);
+    }
+  }
+
+  // Draw the frame a video is currently showing, or null if it can't be read
+  function snapshotVideoFrame(video) {
+    // HAVE_CURRENT_DATA
+    if (video.readyState < 2 || !video.videoWidth || !video.videoHeight) {
+      return null;
+    }
+    try {
+      const canvas = video.ownerDocument.createElement('canvas');
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+      canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+      return canvas.toDataURL('image/jpeg', 0.9);
+    } catch (e) {
+      // Cross-origin video without CORS
+      console.warn("Could not snapshot video frame:", e.message);
+      return null;
+    }
+  }
+
+  // Extension frame id for an <iframe>/<frame>, or -1 if it has none
+  function getFrameId(element) {
+    if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.getFrameId) {
+      return -1;
+    }
+    try {
+      return chrome.runtime.getFrameId(element);
+    } catch (e) {
+      return -1;
+    }
+  }
+
+  function getAccessibleFrameDocument(element) {
+    try {
+      return element.contentDocument && element.contentDocument.documentElement ? element.contentDocument : null;
+    } catch (e) {
+      // Cross-origin frame
+      return null;
+    }
+  }
+
+  // Keep inlined CSS from closing its <style> element early
+  function escapeStyleText(css) {
+    return css.replace(/<\/(style)/gi, '<\\/$1');
+  }
+
+  function makeAbsoluteLink(value, baseUrl) {
+    if (!value || value.startsWith('#') || /^\s*javascript:/i.test(value)) {
+      return value;
+    }
+    try {
+      return new URL(value, baseUrl).href;
+    } catch (e) {
+      return value;
+    }
+  }
+
+  // CSS text of a <style> element, falling back to rules inserted through the CSSOM
+  function getStyleElementText(style) {
+    const text = style.textContent;
+    if (text.trim()) {
+      return text;
+    }
+    return getStylesheetRulesText(style.sheet) || text;
+  }
+
+  function getStylesheetRulesText(sheet) {
+    try {
+      if (sheet && sheet.cssRules) {
+        return Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n');
+      }
+    } catch (e) {
+      // Cross-origin sheets throw on cssRules access
+    }
+    return '';
+  }
+
+  // Split a srcset attribute into { url, descriptor } candidates
+  function parseSrcset(srcset) {
+    const candidates = [];
+    let position = 0;
+    while (position < srcset.length) {
+      while (position < srcset.length && /[\s,]/.test(srcset[position])) {
+        position++;
+      }
+      if (position >= srcset.length) {
+        break;
+      }
+
+      let end = position;
+      while (end < srcset.length && !/\s/.test(srcset[end])) {
+        end++;
+      }
+      let url = srcset.slice(position, end);
+      position = end;
+
+      let descriptor = '';
+      if (url.endsWith(',')) {
+        url = url.replace(/,+$/, '');
+      } else {
+        const comma = srcset.indexOf(',', position);
+        const stop = comma === -1 ? srcset.length : comma;
+        descriptor = srcset.slice(position, stop).trim();
+        position = stop + 1;
+      }
+      candidates.push({ url, descriptor });
+    }
+    return candidates;
+  }
+
+  // String.replace with an async replacer
+  async function replaceAsync(text, pattern, replacer) {
+    const matches = Array.from(text.matchAll(pattern));
+    if (matches.length === 0) {
+      return text;
+    }
+    const replacements = await Promise.all(matches.map(match => replacer(...match)));
+    let result = '';
+    let lastIndex = 0;
+    matches.forEach((match, index) => {
+      result += text.slice(lastIndex, match.index) + replacements[index];
+      lastIndex = match.index + match[0].length;
+    });
+    return result + text.slice(lastIndex);
+  }
+
+  function fetchResourceFromBackground(url, responseType) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({ action: "fetchResource", url, responseType }, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (response && response.status === "success") {
+          resolve(response);
+        } else {
+          reject(new Error(response?.message || 'No response for ' + url));
+        }
+      });
+    });
+  }
+
+  // Export for use in other scripts
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PageSerializer, parseSrcset };
+  } else {
+    self.PageSerializer = PageSerializer;
+  }
+})();
@@ -0,0 +1,181 @@
+// pagination.js
+// Runs scrapers across several pages of results. Loaded into the background service worker.
+//
+// A scraper opts in with a pagination strategy, e.g.
+//   pagination: { type: 'nextButton', selector: 'button.next', maxPages: 5 }
+//   pagination: { type: 'urlParameter', parameter: 'page', step: 1 }
+//   pagination: { type: 'infiniteScroll', dedupeBy: 'url' }
+
+const DEFAULT_MAX_PAGES = 10;
+const MAX_PAGES_LIMIT = 50;
+// Time for a click or navigation to start before waiting for the page to load
+const PAGINATION_NAVIGATION_DELAY = 500;
+const PAGINATION_LOAD_TIMEOUT = 30000;
+
+// Extract from the current page and, if the scraper paginates, from the following
+// pages. Paginated results are merged into one result with per-page provenance.
+async function runScraperPages(tab, scraper) {
+  const pagination = scraper.pagination;
+  if (!pagination) {
+    return extractScraperPage(tab, scraper);
+  }
+
+  const maxPages = Math.min(pagination.maxPages || DEFAULT_MAX_PAGES, MAX_PAGES_LIMIT);
+  const merger = new ScraperResultMerger(pagination.dedupeBy || (scraper.definition && scraper.definition.uniqueBy));
+  let currentTab = tab;
+  let stoppedBy = 'maxPages';
+  console.log(`Running scraper ${scraper.id} over up to ${maxPages} pages (${pagination.type})`);
+
+  for (let page = 1; page <= maxPages; page++) {
+    const result = await extractScraperPage(currentTab, scraper);
+    const added = merger.addPage(page, currentTab, result);
+    console.log(`Page ${page}: ${(result.data || []).length} items, ${added} new`);
+
+    // A page without new items means pagination went nowhere (or looped back)
+    if (page > 1 && added === 0) {
+      stoppedBy = 'noNewItems';
+      break;
+    }
+    if (page === maxPages) {
+      break;
+    }
+    if (!await goToNextPage(currentTab, pagination)) {
+      stoppedBy = 'noNextPage';
+      break;
+    }
+    currentTab = await chrome.tabs.get(tab.id);
+  }
+
+  return merger.getResult(pagination.type, stoppedBy);
+}
+
+// Merges the data arrays of page results, dropping items already seen
+class ScraperResultMerger {
+  constructor(dedupeBy) {
+    this.dedupeBy = dedupeBy;
+    this.seen = new Set();
+    this.data = [];
+    this.pages = [];
+    this.firstResult = null;
+  }
+
+  // Add one page's result and return the number of new items
+  addPage(page, tab, result) {
+    if (!this.firstResult) {
+      this.firstResult = result;
+    }
+    const firstIndex = this.data.length;
+    (result.data || []).forEach(item => {
+      const key = this.dedupeBy ? item[this.dedupeBy] : JSON.stringify(item);
+      if (!this.seen.has(key)) {
+        this.seen.add(key);
+        this.data.push(item);
+      }
+    });
+
+    const added = this.data.length - firstIndex;
+    this.pages.push({
+      page,
+      url: tab.url,
+      title: tab.title,
+      extractedAt: result.extractedAt || new Date().toISOString(),
+      count: (result.data || []).length,
+      newItems: added,
+      // data[firstIndex .. firstIndex + newItems - 1] came from this page
+      firstIndex
+    });
+    return added;
+  }
+
+  getResult(paginationType, stoppedBy) {
+    return {
+      ...this.firstResult,
+      data: this.data,
+      count: this.data.length,
+      extractedAt: new Date().toISOString(),
+      pagination: {
+        type: paginationType,
+        pageCount: this.pages.length,
+        stoppedBy,
+        pages: this.pages
+      }
+    };
+  }
+}
+
+// Move the tab to the next page of results; resolves false when there is none
+async function goToNextPage(tab, pagination) {
+  if (pagination.type === 'nextButton') {
+    const clicked = await runInTab(tab.id, clickNextPageButton, [pagination.selector]);
+    if (!clicked) {
+      return false;
+    }
+    await waitForPageLoad(tab.id);
+    return true;
+  }
+
+  if (pagination.type === 'urlParameter') {
+    const url = nextPageUrl(tab.url, pagination);
+    console.log("Navigating to next page:", url);
+    await chrome.tabs.update(tab.id, { url });
+    await waitForPageLoad(tab.id);
+    return true;
+  }
+
+  if (pagination.type === 'infiniteScroll') {
+    // One expand round scrolls to the bottom and clicks "Show more" buttons
+    await expandPage(tab.id, { maxScrolls: 1 });
+    return true;
+  }
+
+  throw new Error(`Unknown pagination type: ${pagination.type}`);
+}
+
+// Increment the page parameter, e.g. ?page=2 -> ?page=3. A missing parameter
+// counts as the start page.
+function nextPageUrl(url, pagination) {
+  const nextUrl = new URL(url);
+  const step = pagination.step || 1;
+  const start = pagination.start !== undefined ? pagination.start : 1;
+  const current = parseInt(nextUrl.searchParams.get(pagination.parameter), 10);
+  nextUrl.searchParams.set(pagination.parameter, String((isNaN(current) ? start : current) + step));
+  return nextUrl.href;
+}
+
+// Wait for a navigation (if one started) to finish, then for the DOM to settle
+async function waitForPageLoad(tabId) {
+  await delay(PAGINATION_NAVIGATION_DELAY);
+  const deadline = Date.now() + PAGINATION_LOAD_TIMEOUT;
+  while (Date.now() < deadline) {
+    const tab = await chrome.tabs.get(tabId);
+    if (tab.status === 'complete') {
+      break;
+    }
+    await delay(250);
+  }
+  await waitForPageQuiet(tabId);
+}
+
+// Use the page expander's quiet detection for pages that render results after load
+async function waitForPageQuiet(tabId) {
+  await chrome.scripting.executeScript({ target: { tabId }, files: ['pageExpander.js'] });
+  await runInTab(tabId, function(timeout) {
+    return new PageExpander(window).waitForQuiet(Date.now() + timeout);
+  }, [PAGINATION_LOAD_TIMEOUT]);
+}
+
+// ---- Functions injected into the page ----
+
+function clickNextPageButton(selector) {
+  const button = document.querySelector(selector);
+  if (!button || button.disabled || button.getAttribute('aria-disabled') === 'true') {
+    return false;
+  }
+  button.click();
+  return true;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ScraperResultMerger, nextPageUrl };
+}
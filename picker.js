@@ -0,0 +1,511 @@
+// picker.js
+// Point-and-click builder for declarative scrapers. Injected into the active tab
+// by background.js together with scrapers.js, so it is wrapped to survive
+// repeated injection.
+
+(function() {
+  if (typeof self !== 'undefined' && self.ScraperPicker) {
+    return;
+  }
+
+  const PICK_ATTRIBUTE = 'data-dom-saver-pick';
+  const HOVER_ATTRIBUTE = 'data-dom-saver-pick-hover';
+  const MAX_SEGMENT_CLASSES = 3;
+  const PREVIEW_ROWS = 3;
+
+  // Classes that change with state or are generated per build make poor selectors
+  const UNSTABLE_CLASS = /\d{3,}|^(ember|ng-|css-|sc-|jsx-|_)|(^|[-_])(active|selected|hover|focus|focused|open|visible|hidden)$/i;
+
+  const HIGHLIGHT_CSS = `
+    [${PICK_ATTRIBUTE}="row"] { outline: 2px solid #2196F3 !important; outline-offset: 1px !important; }
+    [${PICK_ATTRIBUTE}="field"] { outline: 2px dashed #4CAF50 !important; }
+    [${HOVER_ATTRIBUTE}] { outline: 2px solid #ff9800 !important; cursor: crosshair !important; }
+  `;
+
+  const PANEL_CSS = `
+    :host { all: initial; }
+    .panel {
+      position: fixed; right: 16px; bottom: 16px; width: 380px; max-height: 70vh; overflow: auto;
+      z-index: 2147483647; background: #f4f4f4; color: #333; border-radius: 8px; padding: 12px;
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3); font: 13px Arial, sans-serif;
+    }
+    h4 { margin: 0 0 6px; font-size: 14px; }
+    p { margin: 4px 0; }
+    code { font-size: 11px; background: white; padding: 1px 3px; word-break: break-all; }
+    button {
+      background: #4CAF50; border: none; color: white; padding: 5px 10px; margin: 2px;
+      border-radius: 6px; cursor: pointer; font-size: 12px;
+    }
+    button.secondary { background: #2196F3; }
+    button.warning { background: #f44336; }
+    button:disabled { background: #ccc; cursor: not-allowed; }
+    input, select { font-size: 12px; padding: 2px; }
+    .field { background: white; border-radius: 6px; padding: 6px; margin: 4px 0; }
+    .hint { color: #777; font-size: 11px; }
+    pre { background: white; font-size: 11px; max-height: 150px; overflow: auto; white-space: pre-wrap; }
+  `;
+
+  class ScraperPicker {
+    constructor(doc) {
+      this.doc = doc;
+      this.mode = 'row';          // 'row' while choosing the example item, then 'field'
+      this.rowCandidates = [];    // Ancestors of the clicked element that repeat on the page
+      this.rowIndex = 0;
+      this.fields = [];
+      this.hovered = null;
+      this.status = '';
+      this.canReplace = false;    // The last save hit a scraper with the same id
+      // Save form values, kept here because every refresh rebuilds the panel
+      this.draftName = doc.title.slice(0, 40);
+      this.draftUrlPattern = doc.location.hostname + doc.location.pathname;
+
+      this.handleMouseOver = this.handleMouseOver.bind(this);
+      this.handleClick = this.handleClick.bind(this);
+      this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    // Show the panel and start listening for clicks on the page
+    start() {
+      console.log('Scraper picker started');
+      this.style = this.doc.createElement('style');
+      this.style.textContent = HIGHLIGHT_CSS;
+      this.doc.head.appendChild(this.style);
+
+      // The panel lives in a shadow root so page styles don't leak into it
+      this.host = this.doc.createElement('div');
+      this.host.setAttribute('data-dom-saver-picker', '');
+      this.shadow = this.host.attachShadow({ mode: 'open' });
+      this.doc.documentElement.appendChild(this.host);
+
+      this.doc.addEventListener('mouseover', this.handleMouseOver, true);
+      this.doc.addEventListener('click', this.handleClick, true);
+      this.doc.addEventListener('keydown', this.handleKeyDown, true);
+      this.render();
+    }
+
+    // Remove the panel, highlights and listeners
+    stop() {
+      console.log('Scraper picker stopped');
+      this.doc.removeEventListener('mouseover', this.handleMouseOver, true);
+      this.doc.removeEventListener('click', this.handleClick, true);
+      this.doc.removeEventListener('keydown', this.handleKeyDown, true);
+      this.clearHighlights();
+      this.setHovered(null);
+      this.host.remove();
+      this.style.remove();
+      if (self.activeScraperPicker === this) {
+        self.activeScraperPicker = null;
+      }
+    }
+
+    isPanelEvent(event) {
+      return event.composedPath().includes(this.host);
+    }
+
+    handleMouseOver(event) {
+      if (this.isPanelEvent(event)) {
+        this.setHovered(null);
+        return;
+      }
+      const row = this.getRowElement();
+      // Fields must come from the example row
+      if (this.mode === 'field' && row && !row.contains(event.target)) {
+        this.setHovered(null);
+        return;
+      }
+      this.setHovered(event.target);
+    }
+
+    // Page clicks pick elements instead of following links or pressing buttons
+    handleClick(event) {
+      if (this.isPanelEvent(event)) {
+        return;
+      }
+      event.preventDefault();
+      event.stopPropagation();
+
+      if (this.mode === 'row') {
+        this.pickRow(event.target);
+      } else if (this.getRowElement().contains(event.target)) {
+        this.pickField(event.target);
+      }
+    }
+
+    handleKeyDown(event) {
+      if (event.key === 'Escape') {
+        this.stop();
+      }
+    }
+
+    setHovered(element) {
+      if (this.hovered) {
+        this.hovered.removeAttribute(HOVER_ATTRIBUTE);
+      }
+      this.hovered = element;
+      if (element) {
+        element.setAttribute(HOVER_ATTRIBUTE, '');
+      }
+    }
+
+    // The clicked element is usually a detail inside the item, so offer each
+    // repeating ancestor as a row. Start with the widest one that repeats as often
+    // as the clicked element: that is normally the whole item.
+    pickRow(element) {
+      this.rowCandidates = buildRowCandidates(this.doc, element);
+      const count = this.rowCandidates[0].count;
+      this.rowIndex = this.rowCandidates.filter(candidate => candidate.count === count).length - 1;
+      this.fields = [];
+      this.mode = 'field';
+      this.status = '';
+      // Clicking a detail is usually meant as the first field as well
+      if (element !== this.getRowElement()) {
+        this.pickField(element);
+        return;
+      }
+      this.refresh();
+    }
+
+    pickField(element) {
+      const row = this.getRowElement();
+      const selector = buildFieldSelector(row, element);
+      if (this.fields.some(field => field.selector === selector)) {
+        return;
+      }
+      this.fields.push(defaultFieldFor(element, selector, this.fields));
+      this.refresh();
+    }
+
+    // Move between the repeating ancestors of the example: 1 = wider, -1 = narrower
+    changeRow(step) {
+      const index = this.rowIndex + step;
+      if (index < 0 || index >= this.rowCandidates.length) {
+        return;
+      }
+      // Field selectors are relative to the row, so rebuild them from their examples
+      const examples = this.fields.map(field => field.example);
+      this.rowIndex = index;
+      const row = this.getRowElement();
+      this.fields = this.fields.filter((field, i) => row.contains(examples[i]));
+      this.fields.forEach(field => {
+        field.selector = buildFieldSelector(row, field.example);
+      });
+      this.refresh();
+    }
+
+    getRowElement() {
+      const candidate = this.rowCandidates[this.rowIndex];
+      return candidate ? candidate.element : null;
+    }
+
+    getRowSelector() {
+      const candidate = this.rowCandidates[this.rowIndex];
+      return candidate ? candidate.selector : '';
+    }
+
+    // Definition in the format stored by the custom scraper settings page
+    buildDefinition(name, urlPattern) {
+      return {
+        id: slugify(name),
+        name: name,
+        description: `Built with the picker on ${this.doc.location.hostname}`,
+        urlPatterns: [urlPattern],
+        rowSelector: this.getRowSelector(),
+        fields: this.fields.map(field => {
+          const result = {
+            name: field.name,
+            selector: field.selector,
+            source: field.source,
+            transforms: field.transforms
+          };
+          if (field.source === 'attribute') {
+            result.attribute = field.attribute;
+          }
+          return result;
+        })
+      };
+    }
+
+    refresh() {
+      this.clearHighlights();
+      const rowSelector = this.getRowSelector();
+      if (rowSelector) {
+        const rows = Array.from(this.doc.querySelectorAll(rowSelector));
+        rows.forEach(row => row.setAttribute(PICK_ATTRIBUTE, 'row'));
+        this.fields.forEach(field => {
+          field.matches = 0;
+          rows.forEach(row => {
+            const element = field.selector ? row.querySelector(field.selector) : row;
+            if (element) {
+              element.setAttribute(PICK_ATTRIBUTE, 'field');
+              field.matches++;
+            }
+          });
+        });
+      }
+      this.render();
+    }
+
+    clearHighlights() {
+      this.doc.querySelectorAll(`[${PICK_ATTRIBUTE}]`).forEach(element => {
+        element.removeAttribute(PICK_ATTRIBUTE);
+      });
+    }
+
+    // Run the scraper being built, using the declarative scraper from scrapers.js
+    preview() {
+      if (typeof createDeclarativeScraper !== 'function' || this.fields.length === 0) {
+        return null;
+      }
+      try {
+        const definition = this.buildDefinition('Preview', this.doc.location.href);
+        const result = createDeclarativeScraper(definition).extract(this.doc, this.doc.location.href, this.doc.title);
+        return result.data.slice(0, PREVIEW_ROWS);
+      } catch (error) {
+        return { error: error.message };
+      }
+    }
+
+    // Save the scraper. An existing custom scraper with the same id is only
+    // replaced when overwrite is set, after the user chose to.
+    save(name, urlPattern, overwrite = false) {
+      const definition = this.buildDefinition(name, urlPattern);
+      this.status = 'Saving...';
+      this.canReplace = false;
+      this.render();
+      chrome.runtime.sendMessage({ action: "saveCustomScraper", definition, overwrite }, (response) => {
+        if (chrome.runtime.lastError) {
+          this.status = 'Error: ' + chrome.runtime.lastError.message;
+        } else if (response && response.status === "success") {
+          this.status = response.message + '. Open the popup on a matching page to run it.';
+        } else {
+          this.status = 'Error: ' + (response?.message || 'Unknown error');
+          this.canReplace = !!(response && response.details && response.details.existingId);
+        }
+        this.render();
+      });
+    }
+
+    render() {
+      const rowSelector = this.getRowSelector();
+      const rowCount = rowSelector ? this.doc.querySelectorAll(rowSelector).length : 0;
+      const panel = createElement('div', { className: 'panel' });
+      panel.appendChild(createElement('h4', { textContent: 'Build a scraper' }));
+
+      if (this.mode === 'row') {
+        panel.appendChild(createElement('p', {
+          textContent: 'Click one item in the list you want to scrape, for example a name in a search result.'
+        }));
+      } else {
+        const rowInfo = createElement('p', {}, [
+          'Rows: ', createElement('code', { textContent: rowSelector }), ` (${rowCount} on page)`
+        ]);
+        panel.appendChild(rowInfo);
+        panel.appendChild(createElement('div', {}, [
+          createButton('Narrower', 'secondary', () => this.changeRow(-1), this.rowIndex === 0),
+          createButton('Wider', 'secondary', () => this.changeRow(1), this.rowIndex >= this.rowCandidates.length - 1),
+          createButton('Pick another item', 'secondary', () => {
+            this.mode = 'row';
+            this.rowCandidates = [];
+            this.fields = [];
+            this.refresh();
+          })
+        ]));
+        panel.appendChild(createElement('p', {
+          className: 'hint',
+          textContent: 'Click inside the blue-outlined item to add fields. Green outlines show every match.'
+        }));
+
+        this.fields.forEach((field, index) => panel.appendChild(this.renderField(field, index, rowCount)));
+
+        const previewRows = this.preview();
+        if (previewRows) {
+          panel.appendChild(createElement('pre', { textContent: JSON.stringify(previewRows, null, 2) }));
+        }
+
+        const nameInput = createElement('input', { value: this.draftName, placeholder: 'Scraper name' });
+        const urlInput = createElement('input', { value: this.draftUrlPattern, placeholder: 'URL pattern' });
+        nameInput.addEventListener('input', () => {
+          this.draftName = nameInput.value;
+        });
+        urlInput.addEventListener('input', () => {
+          this.draftUrlPattern = urlInput.value;
+        });
+        nameInput.style.width = urlInput.style.width = '100%';
+        panel.appendChild(createElement('p', {}, ['Name', nameInput]));
+        panel.appendChild(createElement('p', {}, ['Run on URLs containing', urlInput]));
+        panel.appendChild(createButton('Save scraper', '', () => this.save(this.draftName.trim(), this.draftUrlPattern.trim()),
+          this.fields.length === 0));
+      }
+
+      panel.appendChild(createButton('Close', 'warning', () => this.stop()));
+      if (this.status) {
+        panel.appendChild(createElement('p', { textContent: this.status }));
+      }
+      if (this.canReplace) {
+        panel.appendChild(createButton('Replace it', 'warning',
+          () => this.save(this.draftName.trim(), this.draftUrlPattern.trim(), true)));
+      }
+
+      this.shadow.innerHTML = '';
+      this.shadow.appendChild(createElement('style', { textContent: PANEL_CSS }));
+      this.shadow.appendChild(panel);
+    }
+
+    renderField(field, index, rowCount) {
+      const nameInput = createElement('input', { value: field.name, size: 10 });
+      nameInput.addEventListener('change', () => {
+        field.name = nameInput.value.trim();
+        this.refresh();
+      });
+
+      const sourceSelect = createElement('select', {}, [
+        createElement('option', { value: 'text', textContent: 'Text' }),
+        createElement('option', { value: 'attribute', textContent: 'Attribute' })
+      ]);
+      sourceSelect.value = field.source;
+      const attributeInput = createElement('input', { value: field.attribute || '', size: 6, placeholder: 'href' });
+      attributeInput.disabled = field.source !== 'attribute';
+      sourceSelect.addEventListener('change', () => {
+        field.source = sourceSelect.value;
+        this.refresh();
+      });
+      attributeInput.addEventListener('change', () => {
+        field.attribute = attributeInput.value.trim();
+        this.refresh();
+      });
+
+      return createElement('div', { className: 'field' }, [
+        nameInput, ' ', sourceSelect, ' ', attributeInput,
+        createButton('Remove', 'warning', () => {
+          this.fields.splice(index, 1);
+          this.refresh();
+        }),
+        createElement('div', {}, [
+          createElement('code', { textContent: field.selector || '(the row itself)' }),
+          createElement('span', { className: 'hint', textContent: ` in ${field.matches || 0}/${rowCount} rows` })
+        ])
+      ]);
+    }
+  }
+
+  // ---- Selector generation ----
+
+  function isStableClass(className) {
+    return !UNSTABLE_CLASS.test(className);
+  }
+
+  // tag plus up to a few stable classes, e.g. "li.search-result.card"
+  function selectorSegment(element) {
+    const classes = Array.from(element.classList)
+      .filter(isStableClass)
+      .slice(0, MAX_SEGMENT_CLASSES)
+      .map(className => '.' + CSS.escape(className));
+    return element.localName + classes.join('');
+  }
+
+  // Ancestors of the element (closest first) whose selector matches several items
+  function buildRowCandidates(doc, element) {
+    const candidates = [];
+    for (let current = element; current && current !== doc.body && current !== doc.documentElement; current = current.parentElement) {
+      const selector = selectorSegment(current);
+      const matches = Array.from(doc.querySelectorAll(selector));
+      // Nested matches (e.g. a div inside a div) would make rows overlap
+      const nested = matches.some(match => match !== current && (match.contains(current) || current.contains(match)));
+      if (matches.length >= 2 && !nested) {
+        candidates.push({ element: current, selector, count: matches.length });
+      }
+    }
+    if (candidates.length === 0) {
+      candidates.push({ element, selector: selectorSegment(element), count: 1 });
+    }
+    return candidates;
+  }
+
+  // Shortest selector, relative to the row, that finds the element first
+  function buildFieldSelector(row, element) {
+    if (element === row) {
+      return '';
+    }
+    const path = [];
+    for (let current = element; current && current !== row; current = current.parentElement) {
+      path.unshift(current);
+    }
+
+    for (let start = path.length - 1; start >= 0; start--) {
+      const selector = path.slice(start).map(selectorSegment).join(' > ');
+      const options = start === 0 ? [selector, ':scope > ' + selector] : [selector];
+      const match = options.find(option => row.querySelector(option) === element);
+      if (match) {
+        return match;
+      }
+    }
+    // Fall back to positions, which also hold for the other rows when they share a layout
+    return ':scope > ' + path.map(node => `${selectorSegment(node)}:nth-of-type(${nthOfType(node)})`).join(' > ');
+  }
+
+  function nthOfType(element) {
+    let index = 1;
+    for (let sibling = element.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+      if (sibling.localName === element.localName) {
+        index++;
+      }
+    }
+    return index;
+  }
+
+  // Links and images default to their URL, anything else to its text
+  function defaultFieldFor(element, selector, existingFields) {
+    let field;
+    if (element.localName === 'img') {
+      field = { name: 'image', source: 'attribute', attribute: 'src', transforms: ['absoluteUrl'] };
+    } else if (element.localName === 'a' && element.hasAttribute('href')) {
+      field = { name: 'url', source: 'attribute', attribute: 'href', transforms: ['absoluteUrl', 'stripQuery'] };
+    } else {
+      field = { name: 'text', source: 'text', transforms: ['collapseWhitespace'] };
+    }
+
+    let name = field.name;
+    for (let suffix = 2; existingFields.some(other => other.name === name); suffix++) {
+      name = field.name + suffix;
+    }
+    return { ...field, name, selector, example: element };
+  }
+
+  function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'custom-scraper';
+  }
+
+  // ---- Panel helpers ----
+
+  function createElement(tag, properties = {}, children = []) {
+    const element = document.createElement(tag);
+    Object.assign(element, properties);
+    children.forEach(child => {
+      element.append(child);
+    });
+    return element;
+  }
+
+  function createButton(label, className, onClick, disabled = false) {
+    const button = createElement('button', { textContent: label, className, disabled });
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  // Start a picker, replacing one already open in this tab
+  function startScraperPicker() {
+    if (self.activeScraperPicker) {
+      self.activeScraperPicker.stop();
+    }
+    self.activeScraperPicker = new ScraperPicker(document);
+    self.activeScraperPicker.start();
+  }
+
+  // Export for use in other scripts
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScraperPicker, buildRowCandidates, buildFieldSelector };
+  } else {
+    self.ScraperPicker = ScraperPicker;
+    self.startScraperPicker = startScraperPicker;
+  }
+})();
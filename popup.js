@@ -4,18 +4,62 @@
 // Get DOM elements
 const saveDOMButton = document.getElementById('saveDOMButton');
 const saveToStorageButton = document.getElementById('saveToStorageButton');
+const saveWindowTabsButton = document.getElementById('saveWindowTabsButton');
+const saveHighlightedTabsButton = document.getElementById('saveHighlightedTabsButton');
+const tabScrapersCheckbox = document.getElementById('tabScrapersCheckbox');
+const tabProgressDiv = document.getElementById('tabProgress');
+const tabProgressSummary = document.getElementById('tabProgressSummary');
+const tabProgressList = document.getElementById('tabProgressList');
 const exportZIPButton = document.getElementById('exportZIPButton');
+const exportWARCButton = document.getElementById('exportWARCButton');
 const clearCapturesButton = document.getElementById('clearCapturesButton');
+const manageCapturesButton = document.getElementById('manageCapturesButton');
 const statusP = document.getElementById('status');
 const captureCountP = document.getElementById('captureCount');
 const scrapersSection = document.getElementById('scrapersSection');
 const scrapersContainer = document.getElementById('scrapersContainer');
+const editScrapersLink = document.getElementById('editScrapersLink');
+const buildScraperLink = document.getElementById('buildScraperLink');
+const crawlQueueLink = document.getElementById('crawlQueueLink');
+const scheduleLink = document.getElementById('scheduleLink');
+const watchLink = document.getElementById('watchLink');
+const formatSelect = document.getElementById('formatSelect');
+const scraperFormatSelect = document.getElementById('scraperFormatSelect');
+const selfContainedCheckbox = document.getElementById('selfContainedCheckbox');
+const includeFramesCheckbox = document.getElementById('includeFramesCheckbox');
+const liveStateCheckbox = document.getElementById('liveStateCheckbox');
+const screenshotCheckbox = document.getElementById('screenshotCheckbox');
+const collectResourcesCheckbox = document.getElementById('collectResourcesCheckbox');
+const expandCheckbox = document.getElementById('expandCheckbox');
+const expandMaxScrollsInput = document.getElementById('expandMaxScrollsInput');
+const expandMaxDurationInput = document.getElementById('expandMaxDurationInput');
+const expandSelectorsInput = document.getElementById('expandSelectorsInput');
+
+// Written by tabCapture.js in the background while tabs are being saved
+const TAB_CAPTURE_PROGRESS_KEY = 'tabCaptureProgress';
+const TAB_STATUS_LABELS = { pending: 'Waiting', capturing: 'Saving...', saved: 'Saved', skipped: 'Skipped', failed: 'Failed' };
+// Set when the popup opened during a save started from an earlier popup
+let watchingTabCapture = false;
 
 // Initialize the UI
 document.addEventListener('DOMContentLoaded', () => {
   console.log("Popup initialized");
   updateCaptureCount();
   loadAvailableScrapers();
+  loadCaptureOptions();
+  loadTabCaptureProgress();
+});
+
+// Remember capture options between popup openings
+[
+  formatSelect, scraperFormatSelect, selfContainedCheckbox, includeFramesCheckbox, liveStateCheckbox, screenshotCheckbox,
+  collectResourcesCheckbox, expandCheckbox, expandMaxScrollsInput, expandMaxDurationInput, expandSelectorsInput,
+  tabScrapersCheckbox
+].forEach(input => {
+  input.addEventListener('change', () => {
+    chrome.storage.local.set({ captureOptions: getCaptureOptions() });
+    updateFormatOptions();
+  });
 });
 
 // Save DOM as immediate download
@@ -30,269 +74,311 @@ saveToStorageButton.addEventListener('click', () => {
   saveDOMHandler('batch');
 });
 
+// Save several tabs to the batch
+saveWindowTabsButton.addEventListener('click', () => {
+  console.log("Save window tabs button clicked");
+  saveTabsHandler('window');
+});
+
+saveHighlightedTabsButton.addEventListener('click', () => {
+  console.log("Save highlighted tabs button clicked");
+  saveTabsHandler('highlighted');
+});
+
+// Show progress of multi-tab saves as the background reports it
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[TAB_CAPTURE_PROGRESS_KEY]) {
+    const progress = changes[TAB_CAPTURE_PROGRESS_KEY].newValue;
+    renderTabCaptureProgress(progress);
+    if (watchingTabCapture && progress && progress.finishedAt) {
+      watchingTabCapture = false;
+      statusP.textContent = 'Tabs saved.';
+      updateCaptureCount();
+      setAllButtonsEnabled(true);
+    }
+  }
+});
+
 // Export all saved DOMs as a ZIP file
-exportZIPButton.addEventListener('click', () => {
+exportZIPButton.addEventListener('click', async () => {
   console.log("Export ZIP button clicked");
   // Disable buttons during export
   setAllButtonsEnabled(false);
   statusP.textContent = 'Creating ZIP file...';
 
-  console.log("Sending exportZIP message to background");
-  chrome.runtime.sendMessage({ action: "exportZIP" }, async (response) => {
-    console.log("Received exportZIP response:", response);
-    // Check if the message port is still open
-    if (chrome.runtime.lastError) {
-      console.error("Error exporting ZIP:", chrome.runtime.lastError.message);
-      statusP.textContent = 'Error: ' + chrome.runtime.lastError.message;
-      setAllButtonsEnabled(true);
-      return;
-    }
+  console.log("Requesting captures for ZIP export");
+  try {
+    const { captures } = await rpc.call("exportZIP");
+    console.log("Got captures for ZIP creation");
+    // Create ZIP file in browser context where URL.createObjectURL is available
+    statusP.textContent = 'Generating ZIP...';
+    const zipBlob = await buildCapturesZip(captures, { scraperFormat: scraperFormatSelect.value });
+    downloadContent(zipBlob, buildExportFilename('zip'), 'application/zip');
 
-    if (response && response.status === "success" && response.captures) {
-      console.log("Got captures for ZIP creation");
-      statusP.textContent = 'Creating ZIP file...';
-      
-      try {
-        // Create ZIP file in browser context where URL.createObjectURL is available
-        console.log(`Creating ZIP with ${response.captures.length} files`);
-        const zip = new JSZip();
-        
-        // Add each capture to the ZIP
-        response.captures.forEach(capture => {
-          console.log("Adding file to ZIP:", capture.filename);
-          zip.file(capture.filename, capture.content);
-        });
-        
-        // Generate the ZIP file
-        console.log("Generating ZIP blob");
-        statusP.textContent = 'Generating ZIP...';
-        const zipBlob = await zip.generateAsync({ type: 'blob' });
-        console.log("ZIP blob generated, size:", zipBlob.size);
-        
-        // Create a timestamp for the ZIP filename
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const zipFilename = `dom_captures_${timestamp}.zip`;
-        
-        console.log("Creating download link");
-        // Create a link element and trigger download
-        const downloadUrl = URL.createObjectURL(zipBlob);
-        const downloadLink = document.createElement('a');
-        downloadLink.href = downloadUrl;
-        downloadLink.download = zipFilename;
-        
-        // Append to document, click, and remove
-        document.body.appendChild(downloadLink);
-        console.log("Triggering download click");
-        downloadLink.click();
-        document.body.removeChild(downloadLink);
-        
-        // Clean up the URL
-        setTimeout(() => {
-          URL.revokeObjectURL(downloadUrl);
-        }, 5000);
-        
-        statusP.textContent = 'ZIP download initiated!';
-        console.log("ZIP download complete");
-        setAllButtonsEnabled(true);
-      } catch (error) {
-        console.error("Error creating ZIP:", error);
-        statusP.textContent = `Error creating ZIP: ${error.message}`;
-        setAllButtonsEnabled(true);
-      }
-    } else if (response && response.status === "error") {
-      console.error("ZIP export error:", response.message);
-      statusP.textContent = 'Error: ' + (response.message || 'Unknown error');
-      setAllButtonsEnabled(true);
-    } else {
-      console.error("No response or unknown error for ZIP export");
-      statusP.textContent = 'No response or unknown error.';
-      setAllButtonsEnabled(true);
-    }
-  });
+    statusP.textContent = 'ZIP download initiated!';
+    console.log("ZIP download complete");
+  } catch (error) {
+    console.error("Error exporting ZIP:", error);
+    statusP.textContent = error instanceof RpcError ? 'Error: ' + error.message : `Error creating ZIP: ${error.message}`;
+  }
+  setAllButtonsEnabled(true);
+});
+
+// Export all saved captures as one WARC file
+exportWARCButton.addEventListener('click', async () => {
+  console.log("Export WARC button clicked");
+  setAllButtonsEnabled(false);
+  statusP.textContent = 'Creating WARC file...';
+
+  try {
+    const { captures } = await rpc.call("exportZIP");
+    console.log("Received captures for WARC export");
+    const warcFilename = buildExportFilename('warc');
+    const warcBlob = await buildWarcExport(captures, warcFilename);
+    console.log("WARC blob generated, size:", warcBlob.size);
+    downloadContent(warcBlob, warcFilename, 'application/warc');
+    statusP.textContent = 'WARC download initiated!';
+  } catch (error) {
+    console.error("Error exporting WARC:", error);
+    statusP.textContent = error instanceof RpcError ? 'Error: ' + error.message : `Error creating WARC: ${error.message}`;
+  }
+  setAllButtonsEnabled(true);
+});
+
+// Open the capture manager in a new tab
+manageCapturesButton.addEventListener('click', () => {
+  console.log("Manage captures button clicked");
+  chrome.tabs.create({ url: chrome.runtime.getURL('manager.html') });
+});
+
+// Open the editor for user-defined scrapers
+editScrapersLink.addEventListener('click', (event) => {
+  event.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL('scraperSettings.html') });
+});
+
+// Open the queue for crawling a list of URLs
+crawlQueueLink.addEventListener('click', (event) => {
+  event.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL('crawlQueue.html') });
+});
+
+// Open the scheduled captures with a new job for the current page filled in
+scheduleLink.addEventListener('click', async (event) => {
+  event.preventDefault();
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const query = tab && tab.url ? '?url=' + encodeURIComponent(tab.url) : '';
+  chrome.tabs.create({ url: chrome.runtime.getURL('schedules.html' + query) });
+});
+
+// Compare every capture of the current page saved to the batch with the previous one
+watchLink.addEventListener('click', async (event) => {
+  event.preventDefault();
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  try {
+    const { message } = await rpc.call("saveWatch", { watch: { url: tab ? tab.url : '' } });
+    statusP.textContent = message + '.';
+  } catch (error) {
+    console.error("Error watching page:", error.message);
+    statusP.textContent = 'Error: ' + error.message;
+  }
+});
+
+// Open the point-and-click scraper builder on the current page
+buildScraperLink.addEventListener('click', async (event) => {
+  event.preventDefault();
+  console.log("Build scraper link clicked");
+  try {
+    await rpc.call("startPicker");
+    // The builder runs in the page, so get the popup out of the way
+    window.close();
+  } catch (error) {
+    console.error("Error starting picker:", error.message);
+    statusP.textContent = 'Error: ' + error.message;
+  }
 });
 
 // Clear all saved DOM captures
-clearCapturesButton.addEventListener('click', () => {
+clearCapturesButton.addEventListener('click', async () => {
   console.log("Clear captures button clicked");
-  if (confirm('Are you sure you want to clear all saved captures?')) {
-    console.log("Confirmed clear, sending clearCaptures message");
-    chrome.runtime.sendMessage({ action: "clearCaptures" }, (response) => {
-      console.log("Received clearCaptures response:", response);
-      if (chrome.runtime.lastError) {
-        console.error("Error clearing captures:", chrome.runtime.lastError.message);
-        statusP.textContent = 'Error: ' + chrome.runtime.lastError.message;
-        return;
-      }
-
-      if (response && response.status === "success") {
-        console.log("Captures cleared successfully");
-        statusP.textContent = 'All captures cleared!';
-        updateCaptureCount();
-      } else if (response && response.status === "error") {
-        console.error("Clear captures error:", response.message);
-        statusP.textContent = 'Error: ' + (response.message || 'Unknown error');
-      } else {
-        console.error("No response or unknown error for clear captures");
-        statusP.textContent = 'No response or unknown error.';
-      }
-    });
-  } else {
+  if (!confirm('Are you sure you want to clear all saved captures?')) {
     console.log("Clear operation cancelled by user");
+    return;
+  }
+
+  console.log("Confirmed clear, clearing captures");
+  try {
+    await rpc.call("clearCaptures");
+    console.log("Captures cleared successfully");
+    statusP.textContent = 'All captures cleared!';
+    updateCaptureCount();
+  } catch (error) {
+    console.error("Error clearing captures:", error.message);
+    statusP.textContent = 'Error: ' + error.message;
   }
 });
 
 // Common function to handle DOM saving (direct download or batch mode)
-function saveDOMHandler(saveMode) {
+async function saveDOMHandler(saveMode) {
   console.log(`SaveDOM handler called with mode: ${saveMode}`);
   
   // Disable all buttons to prevent multiple clicks
   setAllButtonsEnabled(false);
   statusP.textContent = 'Processing...';
 
-  // Set a timeout to re-enable buttons if no response is received
-  console.log("Setting response timeout");
-  const timeoutId = setTimeout(() => {
-    console.warn("Response timeout - re-enabling buttons");
-    statusP.textContent = 'No response received. Please try again.';
-    setAllButtonsEnabled(true);
-  }, 10000); // 10 second timeout
-
-  // Try more direct approach for direct save
-  if (saveMode === 'direct') {
-    console.log("Using direct approach for saveDOM");
-    // Send a message to the background script to save the DOM
-    console.log("Sending saveDOM message to background");
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-      console.log("Got active tabs:", tabs);
-      if (chrome.runtime.lastError || !tabs || tabs.length === 0) {
-        console.error("Error querying tabs:", chrome.runtime.lastError?.message);
-        clearTimeout(timeoutId);
-        statusP.textContent = 'Error: Could not get active tab.';
-        setAllButtonsEnabled(true);
-        return;
-      }
-
-      const activeTab = tabs[0];
-      console.log("Active tab:", activeTab.url);
-
-      console.log("Injecting script to get DOM");
-      chrome.scripting.executeScript({
-        target: { tabId: activeTab.id },
-        function: function() {
-          // Simplified version just for direct save
-          if (document.contentType === 'text/xml' || document.contentType === 'application/xml') {
-            const serializer = new XMLSerializer();
-            return serializer.serializeToString(document);
-          }
-          return document.documentElement.outerHTML;
-        }
-      }, (injectionResults) => {
-        console.log("Script execution complete");
-        
-        if (chrome.runtime.lastError || !injectionResults || injectionResults.length === 0) {
-          console.error("Error injecting script:", chrome.runtime.lastError?.message);
-          clearTimeout(timeoutId);
-          statusP.textContent = 'Error: Failed to get DOM content.';
-          setAllButtonsEnabled(true);
-          return;
-        }
-
-        const domContent = injectionResults[0].result;
-        console.log("DOM content received, length:", domContent ? domContent.length : 0);
-
-        if (!domContent) {
-          console.error("No DOM content received");
-          clearTimeout(timeoutId);
-          statusP.textContent = 'Error: No DOM content received.';
-          setAllButtonsEnabled(true);
-          return;
-        }
-
-        // Generate filename
-        let filename = "page_dom.html";
-        try {
-          const tabUrl = new URL(activeTab.url);
-          const hostname = tabUrl.hostname.replace(/^www\./, '');
-          const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-          filename = `${hostname}_${timestamp}.html`;
-          console.log("Generated filename:", filename);
-        } catch (e) {
-          console.warn("Could not parse URL for filename:", activeTab.url, e);
-        }
-
-        // Create and download blob
-        console.log("Creating blob for download");
-        const blob = new Blob([domContent], { type: 'text/html' });
-        const url = URL.createObjectURL(blob);
-
-        console.log("Creating download link");
-        // Create a link element and trigger download
-        const downloadLink = document.createElement('a');
-        downloadLink.href = url;
-        downloadLink.download = filename;
-        
-        // Append to document, click, and remove
-        document.body.appendChild(downloadLink);
-        console.log("Triggering download click");
-        downloadLink.click();
-        document.body.removeChild(downloadLink);
-        
-        // Report success and clean up
-        clearTimeout(timeoutId);
-        statusP.textContent = 'DOM download initiated!';
-        setAllButtonsEnabled(true);
-        
-        // Clean up the URL
-        setTimeout(() => {
-          console.log("Revoking blob URL");
-          URL.revokeObjectURL(url);
-        }, 5000);
+  const options = getCaptureOptions();
+  const timeout = getCaptureTimeout(options);
+  try {
+    if (saveMode === 'direct') {
+      // Direct save: the background captures the DOM and the popup downloads it
+      console.log("Requesting DOM capture from background");
+      const capture = await rpc.call("captureDOM", { options }, { timeout });
+      console.log("DOM content received, length:", capture.content.length);
+      downloadContent(capture.content, capture.filename, capture.mimeType);
+      (capture.attachments || []).forEach(attachment => {
+        downloadContent(dataURLToBlob(attachment.content), attachment.filename, attachment.mimeType);
       });
-    });
-    
-    return; // Skip the message-based approach for direct save
+      statusP.textContent = 'DOM download initiated!';
+      showWarning(capture.warning);
+    } else {
+      console.log("Saving DOM to batch");
+      const { warning } = await rpc.call("saveDOM", { saveMode, options }, { timeout });
+      statusP.textContent = 'DOM saved to batch!';
+      showWarning(warning);
+      updateCaptureCount();
+    }
+  } catch (error) {
+    console.error(`saveDOM (${saveMode}) error:`, error.code, error.message);
+    statusP.textContent = error.code === RPC_ERRORS.TIMEOUT ? error.message : 'Error: ' + error.message;
   }
-  
-  // Standard approach for batch save
-  console.log("Sending saveDOM message to background");
-  chrome.runtime.sendMessage({ action: "saveDOM", saveMode }, (response) => {
-    console.log("Received saveDOM response:", response);
-    // Clear the timeout since we got a response
-    clearTimeout(timeoutId);
-    
-    if (chrome.runtime.lastError) {
-      console.error("Error sending message:", chrome.runtime.lastError.message);
-      statusP.textContent = 'Error: ' + chrome.runtime.lastError.message;
-      setAllButtonsEnabled(true); // Re-enable the buttons
-      return;
+  setAllButtonsEnabled(true);
+}
+
+// How long to wait for a capture. Self-contained captures fetch every resource
+// and expanding scrolls the page first, so they get longer.
+function getCaptureTimeout(options) {
+  let timeout = options.selfContained ? 60000 : 10000;
+  if (options.expand.enabled) {
+    timeout += (options.expand.maxDuration || 60) * 1000 + 15000;
+  }
+  if (options.screenshot) {
+    timeout += 30000;
+  }
+  return timeout;
+}
+
+// Save every tab in the window, or the highlighted ones, to the batch. Progress
+// comes in through storage; this waits for the whole run.
+async function saveTabsHandler(scope) {
+  setAllButtonsEnabled(false);
+  statusP.textContent = 'Saving tabs...';
+
+  const options = getCaptureOptions();
+  try {
+    const { message } = await rpc.call("captureTabs", { scope, options, runScrapers: options.tabScrapers }, { timeout: 0 });
+    statusP.textContent = message + '.';
+  } catch (error) {
+    console.error("Error saving tabs:", error.code, error.message);
+    statusP.textContent = 'Error: ' + error.message;
+  }
+  updateCaptureCount();
+  setAllButtonsEnabled(true);
+}
+
+// Show the progress of the last multi-tab save, e.g. one still running from
+// before the popup was closed
+function loadTabCaptureProgress() {
+  chrome.storage.local.get(TAB_CAPTURE_PROGRESS_KEY, (data) => {
+    const progress = data[TAB_CAPTURE_PROGRESS_KEY];
+    renderTabCaptureProgress(progress);
+    if (progress && !progress.finishedAt) {
+      watchingTabCapture = true;
+      setAllButtonsEnabled(false);
+      statusP.textContent = 'Saving tabs...';
     }
+  });
+}
 
-    if (response && response.status === "success") {
-      console.log("saveDOM successful with mode:", saveMode);
-      if (saveMode === 'batch') {
-        statusP.textContent = 'DOM saved to batch!';
-        updateCaptureCount();
-        setAllButtonsEnabled(true); // Re-enable the buttons
-      } else {
-        statusP.textContent = 'DOM download initiated!';
-        setAllButtonsEnabled(true); // Re-enable buttons before closing
-        
-        // Wait a bit longer to make sure download starts first
-        console.log("Will close popup in 3 seconds");
-        setTimeout(() => {
-          console.log("Closing popup");
-          window.close();
-        }, 3000);
-      }
-    } else if (response && response.status === "error") {
-      console.error("saveDOM error:", response.message);
-      statusP.textContent = 'Error: ' + (response.message || 'Unknown error');
-      setAllButtonsEnabled(true); // Re-enable the buttons
-    } else {
-      console.error("No response or unknown error for saveDOM");
-      statusP.textContent = 'No response or unknown error.';
-      setAllButtonsEnabled(true); // Re-enable the buttons
+function renderTabCaptureProgress(progress) {
+  if (!progress) {
+    tabProgressDiv.style.display = 'none';
+    return;
+  }
+
+  const done = progress.tabs.filter(tab => !['pending', 'capturing'].includes(tab.status)).length;
+  tabProgressSummary.textContent = progress.finishedAt
+    ? `Last tab save: ${progress.tabs.filter(tab => tab.status === 'saved').length} of ${progress.tabs.length} saved`
+    : `Saving tabs: ${done} of ${progress.tabs.length} done`;
+
+  tabProgressList.innerHTML = '';
+  progress.tabs.forEach(tab => {
+    const item = document.createElement('li');
+    item.className = tab.status;
+    let text = `${TAB_STATUS_LABELS[tab.status] || tab.status}: ${tab.title || tab.url}`;
+    if (tab.reason) {
+      text += ` (${tab.reason})`;
     }
+    const scraperNotes = tab.scrapers.map(scraper => scraper.error
+      ? `${scraper.name} failed: ${scraper.error}`
+      : `${scraper.name}: ${scraper.count} items`);
+    const notes = tab.warnings.concat(scraperNotes);
+    if (notes.length) {
+      text += ` - ${notes.join('; ')}`;
+    }
+    item.textContent = text;
+    item.title = [tab.url].concat(notes).join('\n');
+    tabProgressList.appendChild(item);
+  });
+  tabProgressDiv.style.display = 'block';
+}
+
+// Read the capture options from the UI
+function getCaptureOptions() {
+  return {
+    format: formatSelect.value,
+    scraperFormat: scraperFormatSelect.value,
+    selfContained: selfContainedCheckbox.checked,
+    includeFrames: includeFramesCheckbox.checked,
+    liveState: liveStateCheckbox.checked,
+    screenshot: screenshotCheckbox.checked,
+    collectResources: collectResourcesCheckbox.checked,
+    tabScrapers: tabScrapersCheckbox.checked,
+    expand: {
+      enabled: expandCheckbox.checked,
+      maxScrolls: parseInt(expandMaxScrollsInput.value, 10) || undefined,
+      maxDuration: parseInt(expandMaxDurationInput.value, 10) || undefined,
+      clickSelectors: expandSelectorsInput.value.split('\n').map(line => line.trim()).filter(Boolean)
+    }
+  };
+}
+
+// Restore previously chosen capture options
+function loadCaptureOptions() {
+  chrome.storage.local.get('captureOptions', (data) => {
+    const options = data.captureOptions || {};
+    formatSelect.value = options.format || 'html';
+    scraperFormatSelect.value = options.scraperFormat || 'json';
+    selfContainedCheckbox.checked = !!options.selfContained;
+    includeFramesCheckbox.checked = options.includeFrames !== false;
+    liveStateCheckbox.checked = options.liveState !== false;
+    screenshotCheckbox.checked = !!options.screenshot;
+    collectResourcesCheckbox.checked = !!options.collectResources;
+    tabScrapersCheckbox.checked = !!options.tabScrapers;
+
+    const expand = options.expand || {};
+    expandCheckbox.checked = !!expand.enabled;
+    expandMaxScrollsInput.value = expand.maxScrolls || '';
+    expandMaxDurationInput.value = expand.maxDuration || '';
+    expandSelectorsInput.value = (expand.clickSelectors || []).join('\n');
+    updateFormatOptions();
+  });
+}
+
+// MHTML is produced by Chrome's page capture, so the HTML serializer options don't apply
+function updateFormatOptions() {
+  const isHTML = formatSelect.value === 'html';
+  [selfContainedCheckbox, includeFramesCheckbox, liveStateCheckbox, collectResourcesCheckbox].forEach(checkbox => {
+    checkbox.disabled = !isHTML;
   });
 }
 
@@ -301,53 +387,41 @@ function setButtonsEnabled(enabled) {
   console.log("Setting buttons enabled:", enabled);
   saveDOMButton.disabled = !enabled;
   saveToStorageButton.disabled = !enabled;
+  saveWindowTabsButton.disabled = !enabled;
+  saveHighlightedTabsButton.disabled = !enabled;
   exportZIPButton.disabled = !enabled;
+  exportWARCButton.disabled = !enabled;
   clearCapturesButton.disabled = !enabled;
 }
 
 // Update the capture count in the UI
-function updateCaptureCount() {
+async function updateCaptureCount() {
   console.log("Updating capture count");
-  chrome.runtime.sendMessage({ action: "getCaptures" }, (response) => {
-    console.log("Received getCaptures response:", response);
-    if (chrome.runtime.lastError) {
-      console.error("Error getting captures count:", chrome.runtime.lastError.message);
-      captureCountP.textContent = 'Error getting count';
-      return;
-    }
+  try {
+    const { count } = await rpc.call("getCaptures", { summaryOnly: true });
+    console.log("Updated capture count:", count);
+    captureCountP.textContent = `Saved captures: ${count}`;
 
-    if (response && response.status === "success") {
-      const count = response.count || 0;
-      console.log("Updated capture count:", count);
-      captureCountP.textContent = `Saved captures: ${count}`;
-      
-      // Disable export and clear buttons if there are no captures
-      exportZIPButton.disabled = count === 0;
-      clearCapturesButton.disabled = count === 0;
-    } else {
-      console.error("Error or no response for getCaptures");
-      captureCountP.textContent = 'Error getting count';
-    }
-  });
+    // Disable export and clear buttons if there are no captures
+    exportZIPButton.disabled = count === 0;
+    exportWARCButton.disabled = count === 0;
+    clearCapturesButton.disabled = count === 0;
+  } catch (error) {
+    console.error("Error getting captures count:", error.message);
+    captureCountP.textContent = 'Error getting count';
+  }
 }
 
 // Load available scrapers for current page
-function loadAvailableScrapers() {
+async function loadAvailableScrapers() {
   console.log("Loading available scrapers");
-  chrome.runtime.sendMessage({ action: "getAvailableScrapers" }, (response) => {
-    console.log("Received getAvailableScrapers response:", response);
-    if (chrome.runtime.lastError) {
-      console.error("Error getting available scrapers:", chrome.runtime.lastError.message);
-      return;
-    }
-
-    if (response && response.status === "success" && response.scrapers) {
-      displayScrapers(response.scrapers);
-    } else {
-      console.log("No scrapers available for current page");
-      scrapersSection.style.display = 'none';
-    }
-  });
+  try {
+    const { scrapers } = await rpc.call("getAvailableScrapers");
+    displayScrapers(scrapers);
+  } catch (error) {
+    console.log("No scrapers available for current page:", error.message);
+    scrapersSection.style.display = 'none';
+  }
 }
 
 // Display available scrapers in the UI
@@ -372,7 +446,7 @@ function displayScrapers(scrapers) {
     runButton.textContent = `Run ${scraper.name}`;
     runButton.className = 'scraper-button';
     runButton.addEventListener('click', () => {
-      runScraper(scraper.id, 'direct');
+      runScraper(scraper, 'direct');
     });
     
     // Create batch save button
@@ -382,7 +456,7 @@ function displayScrapers(scrapers) {
     batchButton.style.fontSize = '10px';
     batchButton.style.padding = '6px 12px';
     batchButton.addEventListener('click', () => {
-      runScraper(scraper.id, 'batch');
+      runScraper(scraper, 'batch');
     });
     
     // Create description
@@ -400,48 +474,51 @@ function displayScrapers(scrapers) {
 }
 
 // Execute a scraper
-function runScraper(scraperId, saveMode) {
-  console.log(`Running scraper ${scraperId} in ${saveMode} mode`);
+async function runScraper(scraper, saveMode) {
+  console.log(`Running scraper ${scraper.id} in ${saveMode} mode`);
   
   // Disable all buttons during execution
   setAllButtonsEnabled(false);
   statusP.textContent = 'Running scraper...';
   
-  chrome.runtime.sendMessage({ 
-    action: "executeScraper", 
-    scraperId: scraperId,
-    saveMode: saveMode
-  }, (response) => {
-    console.log("Received executeScraper response:", response);
-    
-    if (chrome.runtime.lastError) {
-      console.error("Error executing scraper:", chrome.runtime.lastError.message);
-      statusP.textContent = 'Error: ' + chrome.runtime.lastError.message;
-      setAllButtonsEnabled(true);
-      return;
-    }
+  try {
+    // Paginated scrapers can run for a long time, so wait as long as it takes
+    const { result, warning } = await rpc.call("executeScraper", {
+      scraperId: scraper.id,
+      saveMode,
+      options: getCaptureOptions()
+    }, { timeout: scraper.paginated ? 0 : undefined });
+    console.log("Scraper executed successfully");
 
-    if (response && response.status === "success") {
-      console.log("Scraper executed successfully");
-      
-      if (saveMode === 'batch') {
-        statusP.textContent = `Scraper results saved to batch! Found ${response.result?.count || 0} items.`;
-        updateCaptureCount();
-      } else {
-        statusP.textContent = `Scraper results downloaded! Found ${response.result?.count || 0} items.`;
-      }
-      
-      setAllButtonsEnabled(true);
-    } else if (response && response.status === "error") {
-      console.error("Scraper execution error:", response.message);
-      statusP.textContent = 'Error: ' + (response.message || 'Unknown error');
-      setAllButtonsEnabled(true);
+    const pages = result?.pagination ? ` across ${result.pagination.pageCount} pages` : '';
+    const dataset = result?.dataset;
+    const datasetSummary = dataset && !dataset.error
+      ? ` Dataset: ${dataset.added} new, ${dataset.removed} gone, ${dataset.total} total.`
+      : '';
+    if (saveMode === 'batch') {
+      statusP.textContent = `Scraper results saved to batch! Found ${result?.count || 0} items${pages}.${datasetSummary}`;
+      updateCaptureCount();
     } else {
-      console.error("No response or unknown error for scraper execution");
-      statusP.textContent = 'No response or unknown error.';
-      setAllButtonsEnabled(true);
+      statusP.textContent = `Scraper results downloaded! Found ${result?.count || 0} items${pages}.${datasetSummary}`;
     }
-  });
+    // The page markup may have changed if the results don't look as expected
+    const validation = result?.validation;
+    if (validation && !validation.valid) {
+      showWarning(validation.warnings.join('; '));
+    }
+    showWarning(warning);
+  } catch (error) {
+    console.error("Scraper execution error:", error.code, error.message);
+    statusP.textContent = 'Error: ' + error.message;
+  }
+  setAllButtonsEnabled(true);
+}
+
+// Add a warning (e.g. a failed screenshot) to the status line
+function showWarning(warning) {
+  if (warning) {
+    statusP.textContent += ` Warning: ${warning}.`;
+  }
 }
 
 // Enable or disable all buttons including scraper buttons
@@ -0,0 +1,199 @@
+// resultSchema.js
+// Checks scraper results against what the scraper says it returns, so markup
+// changes on the scraped site show up as warnings instead of silently empty data.
+// Loaded into the background service worker and the capture manager.
+//
+// A scraper declares
+//   schema: { type: 'object', required: ['url'], properties: { url: { type: 'string', format: 'uri' } } },
+//   expectations: { minRecords: 1, minValidRatio: 1, fieldCoverage: { name: 0.9 } }
+// where schema is a JSON Schema for one record (the subset below), and
+// fieldCoverage is the share of records that must have a non-empty value.
+
+const SCHEMA_FORMATS = {
+  uri: (value) => {
+    try {
+      new URL(value);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  },
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  'date-time': (value) => !isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value)
+};
+// Record errors kept in the report; the counts still cover every record
+const MAX_REPORTED_RECORD_ERRORS = 20;
+
+// Validate a result and return a report, or null when the scraper declares nothing to check
+function validateScraperResult(scraper, result) {
+  if (!scraper.schema && !scraper.expectations) {
+    return null;
+  }
+  const expectations = scraper.expectations || {};
+  const records = result && Array.isArray(result.data) ? result.data : null;
+  const report = {
+    valid: true,
+    checkedAt: new Date().toISOString(),
+    recordCount: records ? records.length : 0,
+    invalidRecords: 0,
+    warnings: [],
+    errors: []
+  };
+
+  if (!records) {
+    report.valid = false;
+    report.warnings.push('Result has no data array');
+    return report;
+  }
+
+  if (expectations.minRecords !== undefined && records.length < expectations.minRecords) {
+    report.warnings.push(`Found ${records.length} records, expected at least ${expectations.minRecords}`);
+  }
+
+  if (scraper.schema) {
+    records.forEach((record, index) => {
+      const errors = validateAgainstSchema(record, scraper.schema, '');
+      if (errors.length > 0) {
+        report.invalidRecords++;
+        errors.forEach(error => {
+          if (report.errors.length < MAX_REPORTED_RECORD_ERRORS) {
+            report.errors.push({ record: index, ...error });
+          }
+        });
+      }
+    });
+    const minValidRatio = expectations.minValidRatio !== undefined ? expectations.minValidRatio : 1;
+    const validRatio = records.length ? (records.length - report.invalidRecords) / records.length : 1;
+    if (validRatio < minValidRatio) {
+      report.warnings.push(`${report.invalidRecords} of ${records.length} records don't match the schema`);
+    }
+  }
+
+  report.fieldCoverage = {};
+  Object.entries(expectations.fieldCoverage || {}).forEach(([field, minRatio]) => {
+    const filled = records.filter(record => !isEmptyValue(record && record[field])).length;
+    const ratio = records.length ? filled / records.length : 0;
+    report.fieldCoverage[field] = Math.round(ratio * 1000) / 1000;
+    if (records.length && ratio < minRatio) {
+      report.warnings.push(`"${field}" is filled in ${formatPercent(ratio)} of records, expected at least ${formatPercent(minRatio)}`);
+    }
+  });
+
+  report.valid = report.warnings.length === 0;
+  return report;
+}
+
+// Validate a value against a JSON Schema subset: type, enum, const, required,
+// properties, additionalProperties: false, items, minItems/maxItems,
+// minLength/maxLength, pattern, format, minimum/maximum.
+// Returns a list of { path, message }.
+function validateAgainstSchema(value, schema, path) {
+  const errors = [];
+  const fail = (message) => errors.push({ path: path || '(record)', message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesSchemaType(value, type))) {
+      fail(`expected ${types.join(' or ')}, got ${schemaTypeOf(value)}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.const !== undefined && schema.const !== value) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(value.length === 0 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match /${schema.pattern}/`);
+    }
+    if (schema.format && SCHEMA_FORMATS[schema.format] && !SCHEMA_FORMATS[schema.format](value)) {
+      fail(`must be a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  } else if (value !== null && typeof value === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: joinSchemaPath(path, key), message: 'is required' });
+      }
+    });
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        errors.push(...validateAgainstSchema(value[key], properties[key], joinSchemaPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinSchemaPath(path, key), message: 'is not allowed' });
+      }
+    });
+  }
+
+  return errors;
+}
+
+function matchesSchemaType(value, type) {
+  if (type === 'integer') {
+    return Number.isInteger(value);
+  }
+  return schemaTypeOf(value) === type || (type === 'number' && Number.isInteger(value));
+}
+
+function schemaTypeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+function joinSchemaPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+function isEmptyValue(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '') ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+function formatPercent(ratio) {
+  return `${Math.round(ratio * 100)}%`;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { validateScraperResult, validateAgainstSchema };
+}
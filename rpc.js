@@ -0,0 +1,179 @@
+// rpc.js
+// Request/response messaging between the extension pages and the background.
+// The background registers one handler per action on a MessageRouter; pages call
+// them with rpc.call(action, payload), which resolves with the handler's result
+// or rejects with an RpcError.
+//
+// On the wire a request is { action, ...payload } and a response is
+// { status: "success", ...result } or { status: "error", code, message }, so
+// plain chrome.runtime.sendMessage callers (e.g. injected scripts) keep working.
+// Request validation in the router needs resultSchema.js.
+
+const RPC_ERRORS = {
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+  NOT_FOUND: 'NOT_FOUND',
+  NO_ACTIVE_TAB: 'NO_ACTIVE_TAB',
+  CAPTURE_FAILED: 'CAPTURE_FAILED',
+  SCRAPER_FAILED: 'SCRAPER_FAILED',
+  DOWNLOAD_FAILED: 'DOWNLOAD_FAILED',
+  STORAGE_FAILED: 'STORAGE_FAILED',
+  // The sender may not make this request
+  FORBIDDEN: 'FORBIDDEN',
+  // Another run of the same long operation is still going
+  BUSY: 'BUSY',
+  // Client side: no answer in time, or the background couldn't be reached
+  TIMEOUT: 'TIMEOUT',
+  DISCONNECTED: 'DISCONNECTED',
+  INTERNAL: 'INTERNAL'
+};
+
+const DEFAULT_RPC_TIMEOUT = 30000;
+
+class RpcError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+
+  toResponse() {
+    const response = { status: 'error', code: this.code, message: this.message };
+    if (this.details !== undefined) {
+      response.details = this.details;
+    }
+    return response;
+  }
+
+  static fromResponse(response) {
+    return new RpcError(response.code || RPC_ERRORS.INTERNAL, response.message || 'Unknown error', response.details);
+  }
+}
+
+// Returns an error handler that rethrows with a code and context for the caller,
+// e.g. .catch(rethrowAs(RPC_ERRORS.STORAGE_FAILED, "Failed to get captures: "))
+function rethrowAs(code, prefix = '') {
+  return (error) => {
+    throw new RpcError(code, prefix + error.message);
+  };
+}
+
+class MessageRouter {
+  constructor() {
+    this.routes = new Map();
+  }
+
+  // schema is a JSON Schema for the request payload (the message without its action)
+  register(action, handler, { schema } = {}) {
+    if (this.routes.has(action)) {
+      throw new Error(`Handler already registered for ${action}`);
+    }
+    this.routes.set(action, { handler, schema });
+  }
+
+  // Run the handler for a request and resolve with the response to send back.
+  // Never rejects: failures become error responses.
+  async dispatch(request, sender) {
+    const { action, ...payload } = request || {};
+    const route = this.routes.get(action);
+    try {
+      if (!route) {
+        throw new RpcError(RPC_ERRORS.UNKNOWN_ACTION, `Unknown action: ${action}`);
+      }
+      if (route.schema) {
+        const errors = validateAgainstSchema(payload, route.schema, '');
+        if (errors.length > 0) {
+          throw new RpcError(RPC_ERRORS.INVALID_REQUEST,
+            `Invalid ${action} request: ${errors.map(error => `${error.path} ${error.message}`).join('; ')}`,
+            errors);
+        }
+      }
+      const result = await route.handler(payload, sender);
+      return { status: 'success', ...result };
+    } catch (error) {
+      if (error instanceof RpcError) {
+        console.warn(`${action} failed:`, error.code, error.message);
+        return error.toResponse();
+      }
+      console.error(`Error handling ${action}:`, error);
+      return new RpcError(RPC_ERRORS.INTERNAL, error.message || String(error)).toResponse();
+    }
+  }
+
+  // Answer runtime messages that name an action, sent from this extension's own
+  // pages and content scripts
+  listen(onMessage = chrome.runtime.onMessage, extensionId = chrome.runtime.id) {
+    onMessage.addListener((request, sender, sendResponse) => {
+      if (!request || typeof request.action !== 'string') {
+        return false;
+      }
+      if (!sender || sender.id !== extensionId) {
+        console.warn("Ignoring message from another sender:", request.action, sender && sender.id);
+        return false;
+      }
+      console.log("Background received message:", request.action, request);
+      this.dispatch(request, sender).then(response => {
+        try {
+          sendResponse(response);
+        } catch (error) {
+          // The caller went away (e.g. the popup closed)
+          console.warn("Error sending response:", error);
+        }
+      });
+      return true; // Indicates that sendResponse will be called asynchronously
+    });
+  }
+}
+
+class RpcClient {
+  // Send a request to the background and resolve with the result fields of the
+  // response. A timeout of 0 waits for as long as the handler takes.
+  call(action, payload = {}, { timeout = DEFAULT_RPC_TIMEOUT } = {}) {
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const timer = timeout > 0 ? setTimeout(() => {
+        settled = true;
+        reject(new RpcError(RPC_ERRORS.TIMEOUT, 'No response received. Please try again.'));
+      }, timeout) : null;
+
+      chrome.runtime.sendMessage({ ...payload, action }, (response) => {
+        if (settled) {
+          console.warn(`Late response to ${action} ignored`);
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+
+        if (chrome.runtime.lastError) {
+          reject(new RpcError(RPC_ERRORS.DISCONNECTED, chrome.runtime.lastError.message));
+        } else if (!response) {
+          reject(new RpcError(RPC_ERRORS.DISCONNECTED, 'No response or unknown error.'));
+        } else if (response.status !== 'success') {
+          reject(RpcError.fromResponse(response));
+        } else {
+          const { status, ...result } = response;
+          resolve(result);
+        }
+      });
+    });
+  }
+}
+
+// Global client instance for extension pages
+const rpc = new RpcClient();
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { RPC_ERRORS, RpcError, MessageRouter, RpcClient, rpc, rethrowAs };
+} else if (typeof window !== 'undefined') {
+  // Browser environment
+  window.rpc = rpc;
+  window.RpcError = RpcError;
+} else {
+  // Service worker environment
+  self.MessageRouter = MessageRouter;
+  self.RpcError = RpcError;
+}
@@ -0,0 +1,249 @@
+// scheduler.js
+// Recurring captures: each job opens a URL in a background tab on an interval or
+// cron schedule (see cron.js) and saves the page, or the results of one scraper,
+// to the batch. Loaded into the background service worker after crawler.js,
+// whose background tab helpers it uses.
+//
+// Jobs are kept in chrome.storage.local under SCHEDULED_JOBS_KEY, so
+// schedules.html can show them with their last run. Every enabled job has a
+// one-off alarm for its next run, set again after each run.
+
+const SCHEDULED_JOBS_KEY = 'scheduledJobs';
+const SCHEDULED_JOB_ALARM_PREFIX = 'scheduledJob:';
+// Chrome doesn't fire alarms more often than once a minute
+const SCHEDULE_MIN_INTERVAL_MINUTES = 1;
+// Default seconds to wait after the page has loaded, for content rendered late
+const SCHEDULED_JOB_SETTLE_DELAY = 2;
+
+// Jobs run one at a time, so several due together don't open a burst of tabs
+let scheduledJobQueue = Promise.resolve();
+const queuedScheduledJobs = new Set();
+// Storage updates are chained so concurrent changes don't overwrite each other
+let scheduledJobsWrite = Promise.resolve();
+
+async function getScheduledJobs() {
+  const stored = await chrome.storage.local.get(SCHEDULED_JOBS_KEY);
+  return stored[SCHEDULED_JOBS_KEY] || { jobs: [], nextJobId: 1 };
+}
+
+// Read the stored jobs, let update change them and store them again.
+// Resolves with what update returned.
+function updateScheduledJobs(update) {
+  const run = scheduledJobsWrite.then(async () => {
+    const state = await getScheduledJobs();
+    const result = await update(state);
+    await chrome.storage.local.set({ [SCHEDULED_JOBS_KEY]: state });
+    return result;
+  });
+  scheduledJobsWrite = run.catch(() => {});
+  return run;
+}
+
+// Add a job, or change the one with definition.id, and set its alarm
+async function saveScheduledJob(definition) {
+  await customScrapersReady;
+  const fields = validateScheduledJob(definition);
+  const job = await updateScheduledJobs(state => {
+    let existing = null;
+    if (definition.id !== undefined) {
+      existing = state.jobs.find(candidate => candidate.id === definition.id);
+      if (!existing) {
+        throw new RpcError(RPC_ERRORS.NOT_FOUND, "Scheduled job not found");
+      }
+    }
+    const now = Date.now();
+    const updated = existing || { id: state.nextJobId++, createdAt: new Date(now).toISOString(), lastRun: null, runCount: 0 };
+    Object.assign(updated, fields, { updatedAt: new Date(now).toISOString() });
+    updated.nextRunAt = updated.enabled ? getNextRunTime(updated.schedule, now) : null;
+    if (!existing) {
+      state.jobs.push(updated);
+    }
+    return updated;
+  });
+  await armScheduledJob(job);
+  console.log(`Scheduled job ${job.id} saved, next run:`, job.nextRunAt && new Date(job.nextRunAt).toISOString());
+  return job;
+}
+
+// The stored fields of a job definition. Throws an INVALID_REQUEST RpcError
+// for a bad URL or schedule and NOT_FOUND for an unknown scraper.
+function validateScheduledJob(definition) {
+  const url = normalizeCrawlUrl(definition.url);
+  if (!url) {
+    throw new RpcError(RPC_ERRORS.INVALID_REQUEST, "Enter a web address starting with http:// or https://");
+  }
+  if (definition.action === 'scraper' && !scraperRegistry.getScraper(definition.scraperId)) {
+    throw new RpcError(RPC_ERRORS.NOT_FOUND, "Scraper not found");
+  }
+  const schedule = definition.schedule.type === 'cron'
+    ? { type: 'cron', expression: String(definition.schedule.expression || '').trim() }
+    : { type: 'interval', minutes: definition.schedule.minutes };
+  try {
+    getNextRunTime(schedule, Date.now());
+  } catch (error) {
+    throw new RpcError(RPC_ERRORS.INVALID_REQUEST, "Invalid schedule: " + error.message);
+  }
+  return {
+    name: (definition.name || '').trim() || url,
+    url,
+    action: definition.action,
+    scraperId: definition.action === 'scraper' ? definition.scraperId : null,
+    schedule,
+    settleDelay: definition.settleDelay === undefined ? SCHEDULED_JOB_SETTLE_DELAY : definition.settleDelay,
+    enabled: definition.enabled !== false
+  };
+}
+
+async function deleteScheduledJob(id) {
+  await updateScheduledJobs(state => {
+    const index = state.jobs.findIndex(job => job.id === id);
+    if (index === -1) {
+      throw new RpcError(RPC_ERRORS.NOT_FOUND, "Scheduled job not found");
+    }
+    state.jobs.splice(index, 1);
+  });
+  await chrome.alarms.clear(SCHEDULED_JOB_ALARM_PREFIX + id);
+  console.log("Scheduled job deleted:", id);
+}
+
+// Run a job now, after any job already running. Scheduled runs set the
+// next alarm; a manual run leaves the schedule as it is.
+// Resolves with the job as stored after the run.
+function runScheduledJob(id, { manual = false } = {}) {
+  if (queuedScheduledJobs.has(id)) {
+    return Promise.reject(new RpcError(RPC_ERRORS.BUSY, "This job is already running."));
+  }
+  queuedScheduledJobs.add(id);
+  const run = scheduledJobQueue.then(() => performScheduledJob(id, manual));
+  scheduledJobQueue = run.catch(() => {}).finally(() => {
+    queuedScheduledJobs.delete(id);
+  });
+  return run;
+}
+
+async function performScheduledJob(id, manual) {
+  await customScrapersReady;
+  const startedAt = Date.now();
+  const job = await updateScheduledJobs(state => {
+    const stored = state.jobs.find(candidate => candidate.id === id);
+    if (stored) {
+      stored.lastRun = { status: 'running', startedAt: new Date(startedAt).toISOString() };
+    }
+    return stored;
+  });
+  if (!job) {
+    // Deleted since its alarm was set
+    await chrome.alarms.clear(SCHEDULED_JOB_ALARM_PREFIX + id);
+    throw new RpcError(RPC_ERRORS.NOT_FOUND, "Scheduled job not found");
+  }
+
+  console.log(`Running scheduled job ${id}:`, job.url);
+  let lastRun;
+  try {
+    const message = await executeScheduledJob(job);
+    lastRun = { status: 'success', message };
+  } catch (error) {
+    console.warn(`Scheduled job ${id} failed:`, error.message);
+    lastRun = { status: 'failed', message: error.message };
+  }
+  lastRun.startedAt = new Date(startedAt).toISOString();
+  lastRun.finishedAt = new Date().toISOString();
+
+  const updated = await updateScheduledJobs(state => {
+    const stored = state.jobs.find(candidate => candidate.id === id);
+    if (!stored) {
+      return null;
+    }
+    stored.lastRun = lastRun;
+    stored.runCount = (stored.runCount || 0) + 1;
+    if (!manual || !stored.nextRunAt) {
+      stored.nextRunAt = stored.enabled ? getNextRunTime(stored.schedule, startedAt) : null;
+    }
+    return stored;
+  });
+  if (updated) {
+    await armScheduledJob(updated);
+  }
+  return updated;
+}
+
+// Open the job's page, save what it asks for and resolve with a line for the job list
+async function executeScheduledJob(job) {
+  return withLoadedTab(job.url, { settleDelay: job.settleDelay }, async (tab) => {
+    if (job.action !== 'scraper') {
+      await savePageWithStoredOptions(tab);
+      return `Saved "${tab.title || tab.url}"`;
+    }
+    const scraper = scraperRegistry.getScraper(job.scraperId);
+    if (!scraper) {
+      throw new Error("Scraper not found: " + job.scraperId);
+    }
+    const result = await runScraperOnTab(tab, scraper);
+    await saveScraperCapture(tab, scraper, result, buildScraperFilename(scraper)).catch(error => {
+      throw new Error("Failed to save results: " + error.message);
+    });
+    let message = `${scraper.name}: ${result.count || 0} items`;
+    if (result.validation && !result.validation.valid) {
+      message += ` (${result.validation.warnings.join('; ')})`;
+    }
+    return message;
+  });
+}
+
+// Timestamp of the first run after `after` (a timestamp)
+function getNextRunTime(schedule, after) {
+  if (schedule.type === 'cron') {
+    return getNextCronTime(schedule.expression, after).getTime();
+  }
+  if (!(schedule.minutes >= SCHEDULE_MIN_INTERVAL_MINUTES)) {
+    throw new Error(`The interval must be at least ${SCHEDULE_MIN_INTERVAL_MINUTES} minute`);
+  }
+  return after + schedule.minutes * 60000;
+}
+
+function armScheduledJob(job) {
+  const alarmName = SCHEDULED_JOB_ALARM_PREFIX + job.id;
+  if (!job.enabled || !job.nextRunAt) {
+    return chrome.alarms.clear(alarmName);
+  }
+  return chrome.alarms.create(alarmName, { when: job.nextRunAt });
+}
+
+// Alarms may be gone after a browser restart or an update, so set any that are
+// missing. Chrome fires an alarm set in the past straight away, which runs a
+// job missed while the browser was closed once. A run still marked as going
+// was cut off when the previous service worker stopped.
+async function restoreScheduledJobs() {
+  const jobs = await updateScheduledJobs(state => {
+    state.jobs.forEach(job => {
+      if (job.lastRun && job.lastRun.status === 'running') {
+        Object.assign(job.lastRun, { status: 'failed', message: "Interrupted", finishedAt: new Date().toISOString() });
+      }
+    });
+    return state.jobs;
+  });
+  for (const job of jobs) {
+    if (job.enabled && job.nextRunAt && !(await chrome.alarms.get(SCHEDULED_JOB_ALARM_PREFIX + job.id))) {
+      console.log(`Restoring alarm for scheduled job ${job.id}`);
+      await armScheduledJob(job);
+    }
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name.startsWith(SCHEDULED_JOB_ALARM_PREFIX)) {
+    const id = Number(alarm.name.slice(SCHEDULED_JOB_ALARM_PREFIX.length));
+    runScheduledJob(id).catch(error => {
+      console.error(`Scheduled job ${id} did not run:`, error.message);
+    });
+  }
+});
+
+restoreScheduledJobs().catch(error => {
+  console.error("Could not restore scheduled jobs:", error);
+});
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { getNextRunTime, SCHEDULED_JOBS_KEY };
+}
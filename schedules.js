@@ -0,0 +1,289 @@
+// schedules.js
+// This script handles the logic for schedules.html, where recurring captures are
+// set up for the background scheduler (scheduler.js) and their last runs shown.
+
+// Get DOM elements
+const formTitle = document.getElementById('formTitle');
+const nameInput = document.getElementById('nameInput');
+const urlInput = document.getElementById('urlInput');
+const actionSelect = document.getElementById('actionSelect');
+const scraperLabel = document.getElementById('scraperLabel');
+const scraperSelect = document.getElementById('scraperSelect');
+const settleDelayInput = document.getElementById('settleDelayInput');
+const scheduleTypeSelect = document.getElementById('scheduleTypeSelect');
+const intervalFields = document.getElementById('intervalFields');
+const intervalInput = document.getElementById('intervalInput');
+const intervalUnitSelect = document.getElementById('intervalUnitSelect');
+const cronFields = document.getElementById('cronFields');
+const cronInput = document.getElementById('cronInput');
+const enabledCheckbox = document.getElementById('enabledCheckbox');
+const nextRunPreview = document.getElementById('nextRunPreview');
+const saveJobButton = document.getElementById('saveJobButton');
+const cancelEditButton = document.getElementById('cancelEditButton');
+const statusP = document.getElementById('status');
+const jobRows = document.getElementById('jobRows');
+const emptyMessage = document.getElementById('emptyMessage');
+
+// Written by scheduler.js in the background
+const SCHEDULED_JOBS_KEY = 'scheduledJobs';
+const LAST_RUN_LABELS = { success: 'OK', failed: 'Failed', running: 'Running' };
+
+let editingJobId = null;
+
+// Initialize the UI
+document.addEventListener('DOMContentLoaded', async () => {
+  console.log("Scheduled captures initialized");
+  await loadScrapers();
+  // Opened from the popup with the current page to schedule
+  const url = new URLSearchParams(location.search).get('url');
+  if (url) {
+    urlInput.value = url;
+  }
+  updateFormFields();
+  try {
+    const response = await rpc.call("getScheduledJobs");
+    renderJobs(response.jobs);
+  } catch (error) {
+    statusP.textContent = 'Error loading the jobs: ' + error.message;
+  }
+});
+
+// The background stores the jobs after every run
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[SCHEDULED_JOBS_KEY] && changes[SCHEDULED_JOBS_KEY].newValue) {
+    renderJobs(changes[SCHEDULED_JOBS_KEY].newValue.jobs);
+  }
+});
+
+actionSelect.addEventListener('change', updateFormFields);
+scheduleTypeSelect.addEventListener('change', updateFormFields);
+intervalInput.addEventListener('input', updateFormFields);
+intervalUnitSelect.addEventListener('change', updateFormFields);
+cronInput.addEventListener('input', updateFormFields);
+
+saveJobButton.addEventListener('click', async () => {
+  const job = getJobFromForm();
+  try {
+    const { message } = await rpc.call("saveScheduledJob", { job });
+    statusP.textContent = message;
+    resetForm();
+  } catch (error) {
+    console.error("Error saving scheduled job:", error);
+    statusP.textContent = 'Error: ' + error.message;
+  }
+});
+
+cancelEditButton.addEventListener('click', resetForm);
+
+// Register user-defined scrapers next to the built-in ones and list them
+async function loadScrapers() {
+  const stored = await chrome.storage.local.get(CUSTOM_SCRAPERS_KEY);
+  registerCustomScrapers(scraperRegistry, stored[CUSTOM_SCRAPERS_KEY]);
+  scraperRegistry.getAllScrapers().forEach(scraper => {
+    const option = document.createElement('option');
+    option.value = scraper.id;
+    option.textContent = scraper.name;
+    scraperSelect.appendChild(option);
+  });
+}
+
+function getJobFromForm() {
+  const job = {
+    name: nameInput.value.trim(),
+    url: urlInput.value.trim(),
+    action: actionSelect.value,
+    settleDelay: readNumber(settleDelayInput, 0),
+    schedule: getScheduleFromForm(),
+    enabled: enabledCheckbox.checked
+  };
+  if (job.action === 'scraper') {
+    job.scraperId = scraperSelect.value;
+  }
+  if (editingJobId !== null) {
+    job.id = editingJobId;
+  }
+  return job;
+}
+
+function getScheduleFromForm() {
+  if (scheduleTypeSelect.value === 'cron') {
+    return { type: 'cron', expression: cronInput.value.trim() };
+  }
+  return { type: 'interval', minutes: readNumber(intervalInput, 0) * Number(intervalUnitSelect.value) };
+}
+
+// A number input's value, or the fallback when it is empty or invalid
+function readNumber(input, fallback) {
+  const value = parseFloat(input.value);
+  return isNaN(value) ? fallback : value;
+}
+
+// Show the fields for the chosen action and schedule, and when the job would run next
+function updateFormFields() {
+  scraperLabel.style.display = actionSelect.value === 'scraper' ? 'inline-block' : 'none';
+  const isCron = scheduleTypeSelect.value === 'cron';
+  intervalFields.style.display = isCron ? 'none' : 'inline';
+  cronFields.style.display = isCron ? 'inline' : 'none';
+
+  const schedule = getScheduleFromForm();
+  if (isCron && !schedule.expression) {
+    nextRunPreview.textContent = '';
+    return;
+  }
+  try {
+    const next = isCron ? getNextCronTime(schedule.expression) : new Date(Date.now() + schedule.minutes * 60000);
+    nextRunPreview.textContent = 'First run: ' + next.toLocaleString();
+  } catch (error) {
+    nextRunPreview.textContent = error.message;
+  }
+}
+
+// Fill the form with a job to change it
+function editJob(job) {
+  editingJobId = job.id;
+  formTitle.textContent = `Edit "${job.name}"`;
+  saveJobButton.textContent = 'Save Job';
+  cancelEditButton.style.display = 'inline-block';
+  nameInput.value = job.name === job.url ? '' : job.name;
+  urlInput.value = job.url;
+  actionSelect.value = job.action;
+  if (job.scraperId) {
+    scraperSelect.value = job.scraperId;
+  }
+  settleDelayInput.value = job.settleDelay;
+  scheduleTypeSelect.value = job.schedule.type;
+  if (job.schedule.type === 'cron') {
+    cronInput.value = job.schedule.expression;
+  } else {
+    // The largest unit the interval is a whole number of
+    const unit = [1440, 60, 1].find(minutes => job.schedule.minutes % minutes === 0) || 1;
+    intervalUnitSelect.value = String(unit);
+    intervalInput.value = job.schedule.minutes / unit;
+  }
+  enabledCheckbox.checked = job.enabled;
+  updateFormFields();
+  window.scrollTo(0, 0);
+}
+
+function resetForm() {
+  editingJobId = null;
+  formTitle.textContent = 'New Job';
+  saveJobButton.textContent = 'Add Job';
+  cancelEditButton.style.display = 'none';
+  nameInput.value = '';
+  urlInput.value = '';
+  cronInput.value = '';
+  enabledCheckbox.checked = true;
+  updateFormFields();
+}
+
+// Send a command for one job and show its message
+async function runJobCommand(action, job) {
+  try {
+    // Running a job waits for the page to load, so no timeout
+    const { message } = await rpc.call(action, { id: job.id }, { timeout: 0 });
+    statusP.textContent = `${job.name}: ${message}`;
+  } catch (error) {
+    console.error(`Error running ${action}:`, error);
+    statusP.textContent = `${job.name}: Error: ${error.message}`;
+  }
+}
+
+function renderJobs(jobs) {
+  jobRows.innerHTML = '';
+  emptyMessage.style.display = jobs.length ? 'none' : 'block';
+  jobs.forEach(job => {
+    const row = document.createElement('tr');
+    if (!job.enabled) {
+      row.className = 'disabled';
+    }
+    const nameCell = createCell(job.name);
+    if (job.name !== job.url) {
+      const url = document.createElement('div');
+      url.className = 'url';
+      url.textContent = job.url;
+      nameCell.appendChild(url);
+    }
+    row.appendChild(nameCell);
+    row.appendChild(createCell(describeAction(job)));
+    row.appendChild(createCell(describeSchedule(job.schedule)));
+    row.appendChild(createCell(job.enabled && job.nextRunAt ? new Date(job.nextRunAt).toLocaleString() : 'Disabled'));
+    row.appendChild(createLastRunCell(job));
+    row.appendChild(createActionsCell(job));
+    jobRows.appendChild(row);
+  });
+}
+
+function describeAction(job) {
+  if (job.action !== 'scraper') {
+    return 'Page';
+  }
+  const scraper = scraperRegistry.getScraper(job.scraperId);
+  return scraper ? scraper.name : `${job.scraperId} (not found)`;
+}
+
+function describeSchedule(schedule) {
+  if (schedule.type === 'cron') {
+    return 'Cron: ' + schedule.expression;
+  }
+  const units = [[1440, 'day'], [60, 'hour'], [1, 'minute']];
+  const [minutes, unit] = units.find(([size]) => schedule.minutes % size === 0) || [1, 'minute'];
+  const count = schedule.minutes / minutes;
+  return count === 1 ? `Every ${unit}` : `Every ${count} ${unit}s`;
+}
+
+function createLastRunCell(job) {
+  if (!job.lastRun) {
+    return createCell('Never');
+  }
+  const { status, message, finishedAt, startedAt } = job.lastRun;
+  const cell = createCell(`${LAST_RUN_LABELS[status] || status} · ${new Date(finishedAt || startedAt).toLocaleString()}`, 'status-' + status);
+  if (message) {
+    const detail = document.createElement('div');
+    detail.className = 'hint';
+    detail.textContent = message;
+    cell.appendChild(detail);
+  }
+  return cell;
+}
+
+function createActionsCell(job) {
+  const cell = document.createElement('td');
+  const running = job.lastRun && job.lastRun.status === 'running';
+  cell.appendChild(createButton('Run Now', 'secondary', () => runJobCommand("runScheduledJob", job), running));
+  cell.appendChild(createButton('Edit', 'secondary', () => editJob(job)));
+  cell.appendChild(createButton(job.enabled ? 'Disable' : 'Enable', 'secondary', () => {
+    const { id, name, url, action, scraperId, schedule, settleDelay } = job;
+    const changed = { id, name, url, action, schedule, settleDelay, enabled: !job.enabled };
+    if (scraperId) {
+      changed.scraperId = scraperId;
+    }
+    rpc.call("saveScheduledJob", { job: changed }).catch(error => {
+      statusP.textContent = `${job.name}: Error: ${error.message}`;
+    });
+  }));
+  cell.appendChild(createButton('Delete', 'warning', () => {
+    if (confirm(`Delete the scheduled job "${job.name}"?`)) {
+      runJobCommand("deleteScheduledJob", job);
+    }
+  }));
+  return cell;
+}
+
+function createButton(text, className, onClick, disabled = false) {
+  const button = document.createElement('button');
+  button.textContent = text;
+  button.className = className;
+  button.disabled = disabled;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function createCell(text, className) {
+  const cell = document.createElement('td');
+  cell.textContent = text;
+  if (className) {
+    cell.className = className;
+  }
+  return cell;
+}
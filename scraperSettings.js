@@ -0,0 +1,363 @@
+// scraperSettings.js
+// This script handles the logic for scraperSettings.html, the editor for
+// declarative scrapers stored in chrome.storage.local.
+
+// Get DOM elements
+const scraperList = document.getElementById('scraperList');
+const newScraperButton = document.getElementById('newScraperButton');
+const idInput = document.getElementById('idInput');
+const nameInput = document.getElementById('nameInput');
+const descriptionInput = document.getElementById('descriptionInput');
+const urlPatternsInput = document.getElementById('urlPatternsInput');
+const rowSelectorInput = document.getElementById('rowSelectorInput');
+const fieldRows = document.getElementById('fieldRows');
+const addFieldButton = document.getElementById('addFieldButton');
+const uniqueBySelect = document.getElementById('uniqueBySelect');
+const paginationTypeSelect = document.getElementById('paginationTypeSelect');
+const paginationValueInput = document.getElementById('paginationValueInput');
+const paginationMaxPagesInput = document.getElementById('paginationMaxPagesInput');
+const datasetCheckbox = document.getElementById('datasetCheckbox');
+const datasetPerUrlCheckbox = document.getElementById('datasetPerUrlCheckbox');
+const errorsList = document.getElementById('errors');
+const saveButton = document.getElementById('saveButton');
+const deleteButton = document.getElementById('deleteButton');
+const statusP = document.getElementById('status');
+
+// Labels for the transforms offered in the field editor
+const TRANSFORM_LABELS = {
+  trim: 'Trim',
+  collapseWhitespace: 'Collapse spaces',
+  lowercase: 'Lowercase',
+  absoluteUrl: 'Absolute URL',
+  stripQuery: 'Strip query'
+};
+
+// Page state
+let definitions = [];
+let editingId = null; // Id of the stored scraper being edited, null for a new one
+
+// Initialize the UI
+document.addEventListener('DOMContentLoaded', () => {
+  console.log("Scraper settings initialized");
+  chrome.storage.local.get(CUSTOM_SCRAPERS_KEY, (stored) => {
+    definitions = stored[CUSTOM_SCRAPERS_KEY] || [];
+    renderScraperList();
+    if (definitions.length > 0) {
+      editScraper(definitions[0]);
+    } else {
+      editScraper(null);
+    }
+  });
+});
+
+// Scrapers saved elsewhere (e.g. with the picker) show up without a reload
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[CUSTOM_SCRAPERS_KEY]) {
+    definitions = changes[CUSTOM_SCRAPERS_KEY].newValue || [];
+    renderScraperList();
+  }
+});
+
+newScraperButton.addEventListener('click', () => editScraper(null));
+
+paginationTypeSelect.addEventListener('change', updatePaginationInputs);
+datasetCheckbox.addEventListener('change', () => {
+  datasetPerUrlCheckbox.disabled = !datasetCheckbox.checked;
+});
+
+addFieldButton.addEventListener('click', () => {
+  addFieldRow({ source: 'text', transforms: ['trim'] });
+  updateUniqueByOptions();
+});
+
+saveButton.addEventListener('click', () => {
+  const definition = readDefinition();
+  const errors = validateScraperDefinition(definition);
+  if (definitions.some(other => other.id === definition.id && other.id !== editingId)) {
+    errors.push(`Another custom scraper already uses the id "${definition.id}"`);
+  }
+  if (scraperRegistry.getScraper(definition.id)) {
+    errors.push(`"${definition.id}" is the id of a built-in scraper`);
+  }
+  findInvalidSelectors(definition).forEach(selector => {
+    errors.push(`"${selector}" is not a valid CSS selector`);
+  });
+  showErrors(errors);
+  if (errors.length > 0) {
+    return;
+  }
+
+  const previousId = editingId;
+  editingId = definition.id;
+  updateDefinitions(stored => {
+    const index = stored.findIndex(other => other.id === previousId);
+    if (index === -1) {
+      stored.push(definition);
+    } else {
+      stored[index] = definition;
+    }
+    return stored;
+  }, `Saved "${definition.name}"`);
+});
+
+deleteButton.addEventListener('click', () => {
+  if (editingId === null) {
+    editScraper(null);
+    return;
+  }
+  if (!confirm(`Delete the scraper "${editingId}"?`)) {
+    return;
+  }
+  const deletedId = editingId;
+  updateDefinitions(stored => stored.filter(definition => definition.id !== deletedId), `Deleted "${deletedId}"`);
+  editScraper(null);
+});
+
+// Apply a change to the stored definitions and persist them; the background
+// re-registers them on change. Storage is read again first so scrapers saved
+// elsewhere since this page loaded are kept.
+function updateDefinitions(change, message) {
+  chrome.storage.local.get(CUSTOM_SCRAPERS_KEY, (stored) => {
+    definitions = change(stored[CUSTOM_SCRAPERS_KEY] || []);
+    saveDefinitions(message);
+  });
+}
+
+function saveDefinitions(message) {
+  console.log("Saving custom scrapers:", definitions.length);
+  chrome.storage.local.set({ [CUSTOM_SCRAPERS_KEY]: definitions }, () => {
+    if (chrome.runtime.lastError) {
+      console.error("Error saving custom scrapers:", chrome.runtime.lastError.message);
+      statusP.textContent = 'Error: ' + chrome.runtime.lastError.message;
+      return;
+    }
+    statusP.textContent = message;
+    renderScraperList();
+  });
+}
+
+function renderScraperList() {
+  scraperList.innerHTML = '';
+  definitions.forEach(definition => {
+    const item = document.createElement('div');
+    item.className = 'scraper-list-item' + (definition.id === editingId ? ' active' : '');
+    item.textContent = definition.name;
+    item.title = definition.id;
+    item.addEventListener('click', () => editScraper(definition));
+    scraperList.appendChild(item);
+  });
+}
+
+// Fill the form with a definition, or empty it for a new scraper
+function editScraper(definition) {
+  editingId = definition ? definition.id : null;
+  idInput.value = definition ? definition.id : '';
+  nameInput.value = definition ? definition.name : '';
+  descriptionInput.value = definition ? definition.description || '' : '';
+  urlPatternsInput.value = definition ? definition.urlPatterns.join('\n') : '';
+  rowSelectorInput.value = definition ? definition.rowSelector : '';
+
+  fieldRows.innerHTML = '';
+  const fields = definition ? definition.fields : [{ name: '', source: 'text', transforms: ['trim'] }];
+  fields.forEach(addFieldRow);
+  updateUniqueByOptions(definition ? definition.uniqueBy : '');
+
+  const pagination = (definition && definition.pagination) || {};
+  paginationTypeSelect.value = pagination.type || '';
+  paginationValueInput.value = pagination.selector || pagination.parameter || '';
+  paginationMaxPagesInput.value = pagination.maxPages || '';
+  updatePaginationInputs();
+
+  datasetCheckbox.checked = !!(definition && definition.dataset);
+  datasetPerUrlCheckbox.checked = !!(definition && definition.dataset && definition.dataset.perUrl);
+  datasetPerUrlCheckbox.disabled = !datasetCheckbox.checked;
+
+  showErrors([]);
+  statusP.textContent = '';
+  renderScraperList();
+}
+
+function addFieldRow(field) {
+  const row = document.createElement('tr');
+
+  const nameCell = document.createElement('td');
+  const nameField = createTextInput('field-name', field.name, 'url');
+  nameField.addEventListener('input', () => updateUniqueByOptions());
+  nameCell.appendChild(nameField);
+  row.appendChild(nameCell);
+
+  const selectorCell = document.createElement('td');
+  selectorCell.appendChild(createTextInput('field-selector', field.selector, 'a.title'));
+  row.appendChild(selectorCell);
+
+  const sourceCell = document.createElement('td');
+  const sourceSelect = document.createElement('select');
+  sourceSelect.className = 'field-source';
+  [['text', 'Text'], ['attribute', 'Attribute']].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    sourceSelect.appendChild(option);
+  });
+  sourceSelect.value = field.source || 'text';
+  sourceCell.appendChild(sourceSelect);
+  row.appendChild(sourceCell);
+
+  const attributeCell = document.createElement('td');
+  const attributeInput = createTextInput('field-attribute', field.attribute, 'href');
+  attributeInput.disabled = sourceSelect.value !== 'attribute';
+  sourceSelect.addEventListener('change', () => {
+    attributeInput.disabled = sourceSelect.value !== 'attribute';
+  });
+  attributeCell.appendChild(attributeInput);
+  row.appendChild(attributeCell);
+
+  const transformsCell = document.createElement('td');
+  transformsCell.className = 'transforms';
+  Object.entries(TRANSFORM_LABELS).forEach(([transform, label]) => {
+    const transformLabel = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = transform;
+    checkbox.checked = (field.transforms || []).includes(transform);
+    transformLabel.appendChild(checkbox);
+    transformLabel.appendChild(document.createTextNode(' ' + label));
+    transformsCell.appendChild(transformLabel);
+  });
+  row.appendChild(transformsCell);
+
+  const coverageCell = document.createElement('td');
+  const coverageInput = document.createElement('input');
+  coverageInput.type = 'number';
+  coverageInput.className = 'field-coverage';
+  coverageInput.min = '0';
+  coverageInput.max = '100';
+  coverageInput.placeholder = '-';
+  coverageInput.value = field.minCoverage !== undefined ? Math.round(field.minCoverage * 100) : '';
+  coverageCell.appendChild(coverageInput);
+  row.appendChild(coverageCell);
+
+  const removeCell = document.createElement('td');
+  const removeButton = document.createElement('button');
+  removeButton.textContent = 'Remove';
+  removeButton.className = 'warning';
+  removeButton.addEventListener('click', () => {
+    row.remove();
+    updateUniqueByOptions();
+  });
+  removeCell.appendChild(removeButton);
+  row.appendChild(removeCell);
+
+  fieldRows.appendChild(row);
+}
+
+function createTextInput(className, value, placeholder) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = className;
+  input.value = value || '';
+  input.placeholder = placeholder;
+  return input;
+}
+
+// Offer the current field names for de-duplication, keeping the selection if possible
+function updateUniqueByOptions(selected = uniqueBySelect.value) {
+  uniqueBySelect.innerHTML = '';
+  const names = readFields().map(field => field.name).filter(Boolean);
+  ['', ...names].forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name || '(keep all rows)';
+    uniqueBySelect.appendChild(option);
+  });
+  uniqueBySelect.value = names.includes(selected) ? selected : '';
+}
+
+function readFields() {
+  return Array.from(fieldRows.querySelectorAll('tr')).map(row => {
+    const field = {
+      name: row.querySelector('.field-name').value.trim(),
+      selector: row.querySelector('.field-selector').value.trim(),
+      source: row.querySelector('.field-source').value,
+      transforms: Array.from(row.querySelectorAll('.transforms input:checked')).map(checkbox => checkbox.value)
+    };
+    if (field.source === 'attribute') {
+      field.attribute = row.querySelector('.field-attribute').value.trim();
+    }
+    const coverage = row.querySelector('.field-coverage').value;
+    if (coverage !== '') {
+      field.minCoverage = Number(coverage) / 100;
+    }
+    return field;
+  });
+}
+
+// Build a definition from the form, omitting empty optional values
+function readDefinition() {
+  const definition = {
+    id: idInput.value.trim(),
+    name: nameInput.value.trim(),
+    description: descriptionInput.value.trim(),
+    urlPatterns: urlPatternsInput.value.split('\n').map(pattern => pattern.trim()).filter(Boolean),
+    rowSelector: rowSelectorInput.value.trim(),
+    fields: readFields()
+  };
+  if (uniqueBySelect.value) {
+    definition.uniqueBy = uniqueBySelect.value;
+  }
+  if (paginationTypeSelect.value) {
+    definition.pagination = readPagination();
+  }
+  if (datasetCheckbox.checked) {
+    definition.dataset = { perUrl: datasetPerUrlCheckbox.checked };
+  }
+  return definition;
+}
+
+function readPagination() {
+  const pagination = { type: paginationTypeSelect.value };
+  const value = paginationValueInput.value.trim();
+  if (pagination.type === 'nextButton') {
+    pagination.selector = value;
+  } else if (pagination.type === 'urlParameter') {
+    pagination.parameter = value;
+  }
+  if (paginationMaxPagesInput.value) {
+    pagination.maxPages = Number(paginationMaxPagesInput.value);
+  }
+  return pagination;
+}
+
+// The value input holds the button selector or the URL parameter, depending on the type
+function updatePaginationInputs() {
+  const type = paginationTypeSelect.value;
+  paginationValueInput.style.display = type === 'nextButton' || type === 'urlParameter' ? '' : 'none';
+  paginationValueInput.placeholder = type === 'nextButton' ? 'Next button selector, e.g. a.next' : 'Parameter name, e.g. page';
+  paginationMaxPagesInput.disabled = !type;
+}
+
+// Selectors the browser can't parse (validateScraperDefinition has no DOM to check them)
+function findInvalidSelectors(definition) {
+  const selectors = [
+    definition.rowSelector,
+    ...definition.fields.map(field => field.selector),
+    definition.pagination && definition.pagination.selector
+  ].filter(Boolean);
+  return selectors.filter(selector => {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return false;
+    } catch (e) {
+      return true;
+    }
+  });
+}
+
+function showErrors(errors) {
+  errorsList.innerHTML = '';
+  errors.forEach(error => {
+    const item = document.createElement('li');
+    item.textContent = error;
+    errorsList.appendChild(item);
+  });
+}
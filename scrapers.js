@@ -10,10 +10,20 @@ class ScraperRegistry {
     if (!scraper.id || !scraper.name || !scraper.urlPatterns || !scraper.extract) {
       throw new Error('Scraper must have id, name, urlPatterns, and extract function');
     }
+    const declarationErrors = validateResultDeclarations(scraper);
+    if (declarationErrors.length > 0) {
+      throw new Error(`Scraper ${scraper.id} has invalid result declarations: ${declarationErrors.join('; ')}`);
+    }
     this.scrapers.set(scraper.id, scraper);
     console.log(`Registered scraper: ${scraper.name}`);
   }
 
+  unregister(id) {
+    if (this.scrapers.delete(id)) {
+      console.log(`Unregistered scraper: ${id}`);
+    }
+  }
+
   findMatchingScrapers(url) {
     const matches = [];
     for (const [id, scraper] of this.scrapers) {
@@ -45,9 +55,278 @@ class ScraperRegistry {
   }
 }
 
+// Check the optional schema and expectations a scraper declares for its records
+// (see resultSchema.js). Returns a list of problems.
+function validateResultDeclarations(scraper) {
+  const errors = [];
+  if (scraper.schema !== undefined && !isPlainObject(scraper.schema)) {
+    errors.push('schema must be a JSON Schema object');
+  }
+  const expectations = scraper.expectations;
+  if (expectations === undefined) {
+    return errors;
+  }
+  if (!isPlainObject(expectations)) {
+    return errors.concat('expectations must be an object');
+  }
+  if (expectations.minRecords !== undefined && !(Number.isInteger(expectations.minRecords) && expectations.minRecords >= 0)) {
+    errors.push('expectations.minRecords must be a whole number');
+  }
+  if (expectations.minValidRatio !== undefined && !isRatio(expectations.minValidRatio)) {
+    errors.push('expectations.minValidRatio must be between 0 and 1');
+  }
+  Object.entries(expectations.fieldCoverage || {}).forEach(([field, ratio]) => {
+    if (!isRatio(ratio)) {
+      errors.push(`expectations.fieldCoverage.${field} must be between 0 and 1`);
+    }
+  });
+  return errors;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isRatio(value) {
+  return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
 // Global registry instance
 const scraperRegistry = new ScraperRegistry();
 
+// ---- Declarative scrapers ----
+// User-defined scrapers are stored as plain JSON in chrome.storage.local under
+// "customScrapers" and compiled into regular scrapers:
+// {
+//   id, name, description,
+//   urlPatterns: ["example.com/list", "/example\\.com\\/item\\/\\d+/i"],  // substring or /regex/flags
+//   rowSelector: "li.result",
+//   uniqueBy: "url",  // optional
+//   fields: [{ name: "url", selector: "a", source: "attribute", attribute: "href",
+//              transforms: ["absoluteUrl", "stripQuery"],
+//              minCoverage: 0.9 }],  // optional: warn when fewer rows have a value, see resultSchema.js
+//   pagination: { type: "nextButton", selector: "a.next", maxPages: 5 },  // optional, see pagination.js
+//   dataset: { perUrl: false }  // optional: merge runs by the uniqueBy field, see datasetStore.js
+// }
+const CUSTOM_SCRAPERS_KEY = 'customScrapers';
+const FIELD_SOURCES = ['text', 'attribute'];
+const PAGINATION_TYPES = ['nextButton', 'urlParameter', 'infiniteScroll'];
+
+const FIELD_TRANSFORMS = {
+  trim: (value) => value.trim(),
+  collapseWhitespace: (value) => value.replace(/\s+/g, ' ').trim(),
+  lowercase: (value) => value.toLowerCase(),
+  absoluteUrl: (value, baseUrl) => {
+    try {
+      return new URL(value, baseUrl).href;
+    } catch (e) {
+      return value;
+    }
+  },
+  stripQuery: (value) => value.split(/[?#]/)[0]
+};
+
+// Return a list of problems with a declarative scraper definition (empty when valid)
+function validateScraperDefinition(definition) {
+  const errors = [];
+  if (!definition || typeof definition !== 'object') {
+    return ['Scraper definition must be an object'];
+  }
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(definition.id || '')) {
+    errors.push('Id must use lowercase letters, digits and dashes');
+  }
+  if (!definition.name) {
+    errors.push('Name is required');
+  }
+  if (!Array.isArray(definition.urlPatterns) || definition.urlPatterns.length === 0) {
+    errors.push('At least one URL pattern is required');
+  } else {
+    definition.urlPatterns.forEach(pattern => {
+      try {
+        compileUrlPattern(pattern);
+      } catch (e) {
+        errors.push(`Invalid URL pattern "${pattern}": ${e.message}`);
+      }
+    });
+  }
+  if (!definition.rowSelector) {
+    errors.push('Row selector is required');
+  }
+  if (!Array.isArray(definition.fields) || definition.fields.length === 0) {
+    errors.push('At least one field is required');
+  } else {
+    const names = new Set();
+    definition.fields.forEach((field, index) => {
+      const label = field.name || `#${index + 1}`;
+      if (!field.name) {
+        errors.push(`Field #${index + 1} needs a name`);
+      } else if (names.has(field.name)) {
+        errors.push(`Duplicate field name "${field.name}"`);
+      }
+      names.add(field.name);
+      if (field.source && !FIELD_SOURCES.includes(field.source)) {
+        errors.push(`Field "${label}" has unknown source "${field.source}"`);
+      }
+      if (field.source === 'attribute' && !field.attribute) {
+        errors.push(`Field "${label}" reads an attribute but doesn't name it`);
+      }
+      (field.transforms || []).forEach(transform => {
+        if (!FIELD_TRANSFORMS[transform]) {
+          errors.push(`Field "${label}" has unknown transform "${transform}"`);
+        }
+      });
+      if (field.minCoverage !== undefined && !isRatio(field.minCoverage)) {
+        errors.push(`Field "${label}" minimum coverage must be between 0 and 1`);
+      }
+    });
+  }
+  if (definition.uniqueBy && !(definition.fields || []).some(field => field.name === definition.uniqueBy)) {
+    errors.push(`Unique-by field "${definition.uniqueBy}" is not defined`);
+  }
+  if (definition.pagination) {
+    errors.push(...validatePagination(definition.pagination));
+  }
+  if (definition.dataset && !definition.uniqueBy) {
+    errors.push('Keeping a dataset needs a unique-by field to match rows across runs');
+  }
+  return errors;
+}
+
+function validatePagination(pagination) {
+  const errors = [];
+  if (!PAGINATION_TYPES.includes(pagination.type)) {
+    errors.push(`Unknown pagination type "${pagination.type}"`);
+  }
+  if (pagination.type === 'nextButton' && !pagination.selector) {
+    errors.push('Next-button pagination needs a button selector');
+  }
+  if (pagination.type === 'urlParameter' && !pagination.parameter) {
+    errors.push('URL pagination needs a page parameter name');
+  }
+  if (pagination.maxPages !== undefined && !(Number.isInteger(pagination.maxPages) && pagination.maxPages > 0)) {
+    errors.push('Max pages must be a positive whole number');
+  }
+  return errors;
+}
+
+// "/pattern/flags" strings are regular expressions, anything else is a substring
+function compileUrlPattern(pattern) {
+  const match = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  return match ? new RegExp(match[1], match[2]) : pattern;
+}
+
+// Turn a declarative definition into a scraper the registry can run
+function createDeclarativeScraper(definition) {
+  const errors = validateScraperDefinition(definition);
+  if (errors.length > 0) {
+    throw new Error(`Invalid scraper "${definition && definition.id}": ${errors.join('; ')}`);
+  }
+
+  return {
+    id: definition.id,
+    name: definition.name,
+    description: definition.description || '',
+    urlPatterns: definition.urlPatterns.map(compileUrlPattern),
+    columns: definition.fields.map(field => field.name),
+    pagination: definition.pagination,
+    dataset: definition.dataset ? { key: definition.uniqueBy, perUrl: !!definition.dataset.perUrl } : undefined,
+    ...declarativeResultDeclarations(definition),
+    declarative: true,
+    definition: definition,
+
+    extract: function(doc, pageUrl, pageTitle) {
+      console.log(`Declarative scraper ${definition.id} executing...`);
+      const baseUrl = doc.baseURI || pageUrl;
+      const rows = [];
+      const seen = new Set();
+
+      doc.querySelectorAll(definition.rowSelector).forEach(rowElement => {
+        const row = {};
+        definition.fields.forEach(field => {
+          row[field.name] = extractField(rowElement, field, baseUrl);
+        });
+
+        // Skip rows where no field matched anything
+        if (Object.values(row).every(value => value === '')) {
+          return;
+        }
+        if (definition.uniqueBy) {
+          const key = row[definition.uniqueBy];
+          if (seen.has(key)) {
+            return;
+          }
+          seen.add(key);
+        }
+        rows.push(row);
+      });
+
+      console.log(`Found ${rows.length} rows`);
+      return {
+        type: definition.id,
+        data: rows,
+        count: rows.length,
+        extractedAt: new Date().toISOString(),
+        pageUrl: pageUrl,
+        pageTitle: pageTitle
+      };
+    }
+  };
+}
+
+// Every declarative row has each field as a string; fields with a minimum
+// coverage also become expectations
+function declarativeResultDeclarations(definition) {
+  const properties = {};
+  const fieldCoverage = {};
+  definition.fields.forEach(field => {
+    properties[field.name] = { type: 'string' };
+    if (field.minCoverage !== undefined) {
+      fieldCoverage[field.name] = field.minCoverage;
+    }
+  });
+  return {
+    schema: { type: 'object', required: definition.fields.map(field => field.name), properties },
+    expectations: { minRecords: 1, fieldCoverage }
+  };
+}
+
+// Read one field from a row. Without a selector the row element itself is used.
+function extractField(rowElement, field, baseUrl) {
+  const element = field.selector ? rowElement.querySelector(field.selector) : rowElement;
+  if (!element) {
+    return '';
+  }
+
+  let value = field.source === 'attribute'
+    ? element.getAttribute(field.attribute) || ''
+    : element.textContent || '';
+  (field.transforms || []).forEach(transform => {
+    value = FIELD_TRANSFORMS[transform](value, baseUrl);
+  });
+  return value;
+}
+
+// Replace previously registered declarative scrapers with the given definitions.
+// Invalid definitions are skipped so one bad entry doesn't hide the others.
+function registerCustomScrapers(registry, definitions) {
+  registry.getAllScrapers()
+    .filter(scraper => scraper.declarative)
+    .forEach(scraper => registry.unregister(scraper.id));
+
+  (definitions || []).forEach(definition => {
+    const existing = registry.getScraper(definition.id);
+    if (existing && !existing.declarative) {
+      console.warn(`Custom scraper id "${definition.id}" clashes with a built-in scraper; skipped`);
+      return;
+    }
+    try {
+      registry.register(createDeclarativeScraper(definition));
+    } catch (error) {
+      console.error("Skipping custom scraper:", error.message);
+    }
+  });
+}
+
 // LinkedIn Company People Scraper
 const linkedinCompanyScraper = {
   id: 'linkedin-company-people',
@@ -57,6 +336,28 @@ const linkedinCompanyScraper = {
     /linkedin\.com\/company\/[^\/]+\/people/,
     /linkedin\.com\/school\/[^\/]+\/people/,
   ],
+  // Column order for CSV and XLSX output
+  columns: ['name', 'url', 'blurb'],
+  // Weekly runs on the same company update one dataset per company page
+  dataset: {
+    key: 'url',
+    perUrl: true
+  },
+  // What a healthy run looks like; LinkedIn markup changes show up as warnings
+  schema: {
+    type: 'object',
+    required: ['name', 'url', 'blurb'],
+    properties: {
+      name: { type: 'string' },
+      url: { type: 'string', pattern: '^https://([a-z]+\\.)?linkedin\\.com/in/[^/?#]+/?$' },
+      blurb: { type: 'string' }
+    },
+    additionalProperties: false
+  },
+  expectations: {
+    minRecords: 1,
+    fieldCoverage: { name: 0.9, url: 1 }
+  },
   
   extract: function(doc, pageUrl, pageTitle) {
     console.log('LinkedIn Company People scraper executing...');
@@ -157,13 +458,22 @@ scraperRegistry.register(linkedinCompanyScraper);
 
 // Export for use in other scripts
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { ScraperRegistry, scraperRegistry };
+  module.exports = {
+    ScraperRegistry, scraperRegistry, createDeclarativeScraper, validateScraperDefinition,
+    registerCustomScrapers, FIELD_TRANSFORMS, CUSTOM_SCRAPERS_KEY
+  };
 } else if (typeof window !== 'undefined') {
   // Browser environment
   window.scraperRegistry = scraperRegistry;
   window.ScraperRegistry = ScraperRegistry;
+  window.createDeclarativeScraper = createDeclarativeScraper;
+  window.validateScraperDefinition = validateScraperDefinition;
+  window.registerCustomScrapers = registerCustomScrapers;
 } else {
   // Service worker environment
   self.scraperRegistry = scraperRegistry;
   self.ScraperRegistry = ScraperRegistry;
+  self.createDeclarativeScraper = createDeclarativeScraper;
+  self.validateScraperDefinition = validateScraperDefinition;
+  self.registerCustomScrapers = registerCustomScrapers;
 }
\ No newline at end of file
@@ -0,0 +1,113 @@
+// screenshot.js
+// Full-page screenshots stitched from viewport tiles. Loaded into the background service worker.
+
+// Chrome allows two captureVisibleTab calls per second
+const SCREENSHOT_CAPTURE_INTERVAL = 550;
+// Give the page a moment to repaint after each scroll
+const SCREENSHOT_SCROLL_SETTLE = 150;
+// Canvas dimension limit; taller pages are truncated
+const SCREENSHOT_MAX_DIMENSION = 32000;
+
+// Capture the whole page of a visible tab as a PNG data URI.
+// Resolves with { dataUrl, width, height, truncated }.
+async function captureFullPageScreenshot(tab) {
+  console.log("Capturing full-page screenshot of tab:", tab.id);
+  const metrics = await runInTab(tab.id, getScreenshotMetrics);
+  const maxHeight = Math.min(metrics.scrollHeight, SCREENSHOT_MAX_DIMENSION / metrics.devicePixelRatio);
+  const tileOffsets = [];
+  for (let y = 0; y < maxHeight; y += metrics.viewportHeight) {
+    tileOffsets.push(y);
+  }
+
+  const tiles = [];
+  let lastCaptureTime = 0;
+  try {
+    for (let index = 0; index < tileOffsets.length; index++) {
+      const scrollY = await runInTab(tab.id, scrollForScreenshot, [tileOffsets[index], index > 0]);
+      await delay(Math.max(SCREENSHOT_SCROLL_SETTLE, lastCaptureTime + SCREENSHOT_CAPTURE_INTERVAL - Date.now()));
+      lastCaptureTime = Date.now();
+      const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+      tiles.push({ scrollY, dataUrl });
+      console.log(`Captured screenshot tile ${index + 1}/${tileOffsets.length}`);
+    }
+  } finally {
+    await runInTab(tab.id, restoreAfterScreenshot, [metrics.scrollX, metrics.scrollY]).catch(error => {
+      console.warn("Could not restore page after screenshot:", error.message);
+    });
+  }
+
+  return stitchScreenshotTiles(tiles, metrics);
+}
+
+// Draw the tiles onto one canvas at device pixel scale
+async function stitchScreenshotTiles(tiles, metrics) {
+  const bitmaps = await Promise.all(tiles.map(async tile => {
+    const blob = await (await fetch(tile.dataUrl)).blob();
+    return { scrollY: tile.scrollY, bitmap: await createImageBitmap(blob) };
+  }));
+
+  // Tiles include the scrollbar, so scale against the full window width
+  const scale = bitmaps[0].bitmap.width / metrics.windowWidth;
+  const width = Math.min(Math.round(metrics.viewportWidth * scale), SCREENSHOT_MAX_DIMENSION);
+  const fullHeight = Math.round(metrics.scrollHeight * scale);
+  const height = Math.min(fullHeight, SCREENSHOT_MAX_DIMENSION);
+
+  const canvas = new OffscreenCanvas(width, height);
+  const context = canvas.getContext('2d');
+  bitmaps.forEach(({ scrollY, bitmap }) => {
+    context.drawImage(bitmap, 0, Math.round(scrollY * scale));
+    bitmap.close();
+  });
+
+  const blob = await canvas.convertToBlob({ type: 'image/png' });
+  console.log("Screenshot stitched:", width, "x", height, "bytes:", blob.size);
+  return {
+    dataUrl: await blobToDataURL(blob),
+    width,
+    height,
+    truncated: height < fullHeight
+  };
+}
+
+// Filename of a file stored next to a capture, e.g. foo.html -> foo.png
+function companionFilename(filename, extension) {
+  return filename.replace(/\.[^.]+$/, '') + '.' + extension;
+}
+
+// ---- Functions injected into the page ----
+
+function getScreenshotMetrics() {
+  const scrollingElement = document.scrollingElement || document.documentElement;
+  return {
+    scrollX: window.scrollX,
+    scrollY: window.scrollY,
+    scrollHeight: scrollingElement.scrollHeight,
+    viewportWidth: document.documentElement.clientWidth,
+    viewportHeight: window.innerHeight,
+    windowWidth: window.innerWidth,
+    devicePixelRatio: window.devicePixelRatio || 1
+  };
+}
+
+// Scroll to a tile. After the first tile, fixed elements are hidden so headers
+// and overlays don't repeat down the stitched image.
+function scrollForScreenshot(y, hideFixed) {
+  if (hideFixed) {
+    document.querySelectorAll('body *').forEach(element => {
+      if (getComputedStyle(element).position === 'fixed' && !element.hasAttribute('data-dom-saver-hidden')) {
+        element.setAttribute('data-dom-saver-hidden', element.style.visibility);
+        element.style.visibility = 'hidden';
+      }
+    });
+  }
+  window.scrollTo(0, y);
+  return window.scrollY;
+}
+
+function restoreAfterScreenshot(x, y) {
+  document.querySelectorAll('[data-dom-saver-hidden]').forEach(element => {
+    element.style.visibility = element.getAttribute('data-dom-saver-hidden');
+    element.removeAttribute('data-dom-saver-hidden');
+  });
+  window.scrollTo(x, y);
+}
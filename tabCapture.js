@@ -0,0 +1,223 @@
+// tabCapture.js
+// Saves several tabs to the batch in one go (all tabs in the window, or the
+// highlighted ones), optionally running the scrapers matching each page.
+// Loaded into the background service worker.
+//
+// Progress is kept in chrome.storage.local under TAB_CAPTURE_PROGRESS_KEY so the
+// popup can show it, including after it was closed and opened again.
+
+const TAB_CAPTURE_PROGRESS_KEY = 'tabCaptureProgress';
+// Tabs captured at the same time; each capture injects scripts and may fetch resources
+const TAB_CAPTURE_CONCURRENCY = 3;
+
+// Pages extensions can't inject scripts into, with the reason shown in the popup
+const RESTRICTED_TAB_URLS = [
+  { pattern: /^(chrome|chrome-untrusted|chrome-search|edge|brave|opera|vivaldi|devtools):/i, reason: "Browser pages can't be captured" },
+  { pattern: /^(chrome-extension|moz-extension):/i, reason: "Extension pages can't be captured" },
+  { pattern: /^(about|view-source|data|blob|javascript):/i, reason: "This kind of page can't be captured" },
+  { pattern: /^https:\/\/(chromewebstore\.google\.com|chrome\.google\.com\/webstore)(\/|$)/i, reason: "The Chrome Web Store doesn't allow extensions to read its pages" }
+];
+
+let tabCaptureRunning = false;
+
+finishInterruptedTabCapture().catch(error => {
+  console.warn("Could not check for an interrupted tab capture:", error.message);
+});
+
+// Why a tab can't be captured, or null if it can
+function getTabSkipReason(tab) {
+  if (!tab.url) {
+    return "No access to the page address";
+  }
+  const restricted = RESTRICTED_TAB_URLS.find(({ pattern }) => pattern.test(tab.url));
+  if (restricted) {
+    return restricted.reason;
+  }
+  if (tab.discarded) {
+    return "Tab is unloaded; switch to it to reload, then try again";
+  }
+  return null;
+}
+
+// Capture the tabs into the batch and resolve with a summary of the run.
+// One failing tab doesn't stop the others.
+async function captureTabs(tabs, { scope, options = {}, runScrapers = false } = {}) {
+  if (tabCaptureRunning) {
+    throw new RpcError(RPC_ERRORS.BUSY, "Tabs are already being saved. Wait for that to finish.");
+  }
+  tabCaptureRunning = true;
+  const progress = new TabCaptureProgress(scope, tabs);
+  console.log(`Saving ${tabs.length} tabs (${scope}), ${progress.countByStatus('skipped')} skipped`);
+
+  try {
+    await progress.save();
+    const capturable = progress.entries.filter(entry => entry.status === 'pending');
+    await runWithConcurrency(capturable, TAB_CAPTURE_CONCURRENCY, async (entry) => {
+      const tab = tabs.find(candidate => candidate.id === entry.tabId);
+      await progress.update(entry, { status: 'capturing' });
+      try {
+        await captureTabToBatch(tab, entry, options, runScrapers);
+        await progress.update(entry, { status: 'saved' });
+      } catch (error) {
+        console.warn("Could not save tab:", tab.url, error.message);
+        await progress.update(entry, { status: 'failed', reason: error.message });
+      }
+    });
+  } finally {
+    tabCaptureRunning = false;
+    await progress.finish();
+  }
+  return progress.getSummary();
+}
+
+// Save one tab's page and, if asked, the results of the scrapers matching it.
+// Scraper failures are reported on the entry without failing the page.
+async function captureTabToBatch(tab, entry, options, runScrapers) {
+  // Screenshots are taken of the visible tab, so only the active tab can have one
+  const tabOptions = options.screenshot && !tab.active ? { ...options, screenshot: false } : options;
+  if (tabOptions !== options) {
+    entry.warnings.push("No screenshot: the tab isn't visible");
+  }
+
+  const capture = await capturePageDOM(tab, tabOptions);
+  if (!capture.content) {
+    throw new Error("No DOM content received.");
+  }
+  const filename = buildCaptureFilename(tab.url, capture.format.extension);
+  await savePageCapture(tab, capture, filename, buildAttachments(filename, capture.screenshot))
+    .catch(error => {
+      throw new Error("Failed to save capture: " + error.message);
+    });
+  const { warning } = screenshotWarning(capture.screenshot);
+  if (warning) {
+    entry.warnings.push(warning);
+  }
+
+  if (runScrapers) {
+    // After the page capture, since paginating scrapers navigate the tab away
+    entry.scrapers = await saveMatchingScraperResults(tab);
+  }
+}
+
+// Run every scraper matching the tab's page and store each result in the batch.
+// Resolves with one { id, name, count, warning } or { id, name, error } per scraper.
+async function saveMatchingScraperResults(tab) {
+  const scraperEntries = [];
+  for (const scraper of scraperRegistry.findMatchingScrapers(tab.url)) {
+    const scraperEntry = { id: scraper.id, name: scraper.name };
+    scraperEntries.push(scraperEntry);
+    try {
+      const result = await runScraperOnTab(tab, scraper);
+      await saveScraperCapture(tab, scraper, result, buildScraperFilename(scraper));
+      scraperEntry.count = result.count || 0;
+      if (result.validation && !result.validation.valid) {
+        scraperEntry.warning = result.validation.warnings.join('; ');
+      }
+    } catch (error) {
+      console.warn(`Scraper ${scraper.id} failed on tab:`, tab.url, error.message);
+      scraperEntry.error = error.message;
+    }
+  }
+  return scraperEntries;
+}
+
+// A run still marked as going when the service worker starts was cut off when
+// the previous worker stopped, so close it for the popup
+async function finishInterruptedTabCapture() {
+  const stored = await chrome.storage.local.get(TAB_CAPTURE_PROGRESS_KEY);
+  const progress = stored[TAB_CAPTURE_PROGRESS_KEY];
+  if (!progress || progress.finishedAt || tabCaptureRunning) {
+    return;
+  }
+  progress.tabs.forEach(entry => {
+    if (entry.status === 'pending' || entry.status === 'capturing') {
+      entry.status = 'failed';
+      entry.reason = "Interrupted";
+    }
+  });
+  progress.finishedAt = new Date().toISOString();
+  await chrome.storage.local.set({ [TAB_CAPTURE_PROGRESS_KEY]: progress });
+}
+
+// Run worker over the items with at most limit of them in progress at once
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+// The state of a multi-tab capture, written to storage on every change
+class TabCaptureProgress {
+  constructor(scope, tabs) {
+    this.scope = scope;
+    this.startedAt = new Date().toISOString();
+    this.finishedAt = null;
+    this.entries = tabs.map(tab => {
+      const reason = getTabSkipReason(tab);
+      return {
+        tabId: tab.id,
+        title: tab.title || '',
+        url: tab.url || '',
+        status: reason ? 'skipped' : 'pending',
+        reason,
+        warnings: [],
+        scrapers: []
+      };
+    });
+  }
+
+  countByStatus(status) {
+    return this.entries.filter(entry => entry.status === status).length;
+  }
+
+  update(entry, changes) {
+    Object.assign(entry, changes);
+    return this.save();
+  }
+
+  finish() {
+    this.finishedAt = new Date().toISOString();
+    // Tabs not reached because the run broke off
+    this.entries.forEach(entry => {
+      if (entry.status === 'pending' || entry.status === 'capturing') {
+        entry.status = 'failed';
+        entry.reason = entry.reason || "Not captured";
+      }
+    });
+    return this.save();
+  }
+
+  // Progress is only for display, so failing to store it doesn't stop the run
+  save() {
+    const { scope, startedAt, finishedAt, entries } = this;
+    return chrome.storage.local.set({ [TAB_CAPTURE_PROGRESS_KEY]: { scope, startedAt, finishedAt, tabs: entries } })
+      .catch(error => {
+        console.warn("Could not store tab capture progress:", error.message);
+      });
+  }
+
+  getSummary() {
+    const saved = this.countByStatus('saved');
+    const skipped = this.countByStatus('skipped');
+    const failed = this.countByStatus('failed');
+    const scraperResults = this.entries.reduce((total, entry) => total + entry.scrapers.filter(scraper => !scraper.error).length, 0);
+    let message = `Saved ${saved} of ${this.entries.length} tabs`;
+    if (skipped || failed) {
+      message += ` (${[skipped && `${skipped} skipped`, failed && `${failed} failed`].filter(Boolean).join(', ')})`;
+    }
+    if (scraperResults) {
+      message += `, ${scraperResults} scraper results`;
+    }
+    return { message, saved, skipped, failed, tabs: this.entries };
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { getTabSkipReason, runWithConcurrency, TAB_CAPTURE_PROGRESS_KEY };
+}
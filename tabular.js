@@ -0,0 +1,169 @@
+// tabular.js
+// CSV and XLSX output for scraper results whose `data` is an array of records.
+// Used by the background (direct downloads) and the extension pages (batch exports);
+// XLSX needs JSZip to be loaded first.
+
+const SCRAPER_OUTPUT_FORMATS = {
+  json: { extension: 'json', mimeType: 'application/json' },
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  xlsx: { extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+// Spreadsheet apps treat cells starting with these as formulas, which scraped text must never become
+const CSV_FORMULA_PREFIX = /^[=+@\t\r]|^-[^\d.]/;
+
+// Convert a scraper result to the requested format. Results without tabular data
+// fall back to JSON. Resolves with { content, extension, mimeType }, where content
+// is a string or (for XLSX) a Blob.
+async function buildScraperOutput(result, format, columns) {
+  if (format === 'csv' && isTabularResult(result)) {
+    return { ...SCRAPER_OUTPUT_FORMATS.csv, content: buildCSV(result.data, resultColumns(result.data, columns)) };
+  }
+  if (format === 'xlsx' && isTabularResult(result)) {
+    const content = await buildXLSX(result.data, resultColumns(result.data, columns), result.type);
+    return { ...SCRAPER_OUTPUT_FORMATS.xlsx, content };
+  }
+  return { ...SCRAPER_OUTPUT_FORMATS.json, content: JSON.stringify(result, null, 2) };
+}
+
+function isTabularResult(result) {
+  return !!result && Array.isArray(result.data) &&
+    result.data.every(row => row !== null && typeof row === 'object' && !Array.isArray(row));
+}
+
+// Declared columns first, then any other keys in the order they first appear
+function resultColumns(rows, declaredColumns) {
+  const columns = [...(declaredColumns || [])];
+  rows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!columns.includes(key)) {
+        columns.push(key);
+      }
+    });
+  });
+  return columns;
+}
+
+// Nested values don't fit in a cell, so they are written as JSON
+function cellText(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// ---- CSV ----
+
+// RFC 4180: CRLF line endings, fields quoted when they contain commas, quotes or line breaks
+function buildCSV(rows, columns) {
+  const lines = [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(csvField).join(','));
+  // The byte order mark makes Excel read the file as UTF-8
+  return '\ufeff' + lines.join('\r\n') + '\r\n';
+}
+
+function csvField(value) {
+  let text = cellText(value);
+  if (CSV_FORMULA_PREFIX.test(text)) {
+    text = "'" + text;
+  }
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+// ---- XLSX ----
+
+// A single-sheet workbook with a bold header row. Text uses inline strings, so
+// no shared string table is needed; finite numbers are written as numbers.
+async function buildXLSX(rows, columns, sheetName) {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', xmlDocument(
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    '</Types>'));
+  zip.file('_rels/.rels', xmlDocument(
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>'));
+  zip.file('xl/workbook.xml', xmlDocument(
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${escapeXML(xlsxSheetName(sheetName))}" sheetId="1" r:id="rId1"/></sheets>` +
+    '</workbook>'));
+  zip.file('xl/_rels/workbook.xml.rels', xmlDocument(
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+    '</Relationships>'));
+  zip.file('xl/styles.xml', xmlDocument(
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    '</styleSheet>'));
+
+  const sheetRows = [xlsxRow(1, columns, 1)]
+    .concat(rows.map((row, index) => xlsxRow(index + 2, columns.map(column => row[column]), 0)));
+  zip.file('xl/worksheets/sheet1.xml', xmlDocument(
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    '<sheetData>' + sheetRows.join('') + '</sheetData>' +
+    '</worksheet>'));
+
+  return zip.generateAsync({ type: 'blob', mimeType: SCRAPER_OUTPUT_FORMATS.xlsx.mimeType, compression: 'DEFLATE' });
+}
+
+function xlsxRow(rowNumber, values, styleIndex) {
+  const cells = values.map((value, index) => {
+    const reference = xlsxColumnName(index) + rowNumber;
+    const style = styleIndex ? ` s="${styleIndex}"` : '';
+    if (typeof value === 'number' && isFinite(value)) {
+      return `<c r="${reference}"${style}><v>${value}</v></c>`;
+    }
+    if (typeof value === 'boolean') {
+      return `<c r="${reference}"${style} t="b"><v>${value ? 1 : 0}</v></c>`;
+    }
+    return `<c r="${reference}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXML(cellText(value))}</t></is></c>`;
+  });
+  return `<row r="${rowNumber}">${cells.join('')}</row>`;
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function xlsxColumnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+// Sheet names are limited to 31 characters and can't contain []:*?/\
+function xlsxSheetName(name) {
+  return (name || 'Results').replace(/[\[\]:*?\/\\]/g, ' ').slice(0, 31) || 'Results';
+}
+
+function xmlDocument(body) {
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' + body;
+}
+
+// Escape text for XML, dropping control characters XML 1.0 doesn't allow
+function escapeXML(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { buildScraperOutput, buildCSV, buildXLSX, resultColumns, isTabularResult, xlsxColumnName };
+}
@@ -0,0 +1,457 @@
+// test/background.test.js
+// Message handlers in background.js, run against the fake chrome APIs
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { IDBFactory } = require('fake-indexeddb');
+const { setUpBackground, createFailingIndexedDB, HEADINGS_SCRAPER } = require('./helpers/backgroundHarness');
+
+const PAGE_URL = 'https://www.example.com/articles/1';
+const PAGE_HTML = '<html><head><title>Article</title></head><body><h1>Hello</h1><p>World</p></body></html>';
+const LINKEDIN_URL = 'https://www.linkedin.com/company/acme-corp/people/';
+const LINKEDIN_HTML = fs.readFileSync(path.join(__dirname, 'fixtures', 'linkedin-company-people', 'acme-corp-people.html'), 'utf8');
+
+async function addCaptures(background, count) {
+  for (let i = 1; i <= count; i++) {
+    await background.sendMessage({
+      action: 'addCapture',
+      capture: { filename: `page-${i}.html`, content: `<p>${i}</p>`, url: `https://example.com/${i}`, title: `Page ${i}` }
+    });
+  }
+}
+
+test('saveDOM in batch mode stores the page in the capture database', async (t) => {
+  const background = setUpBackground(t, { tabs: [{ url: PAGE_URL, html: PAGE_HTML }] });
+
+  const response = await background.sendMessage({ action: 'saveDOM', saveMode: 'batch', options: {} });
+  assert.deepStrictEqual(response, { status: 'success', message: 'Capture saved to batch' });
+
+  const { captures } = await background.sendMessage({ action: 'getCaptures' });
+  assert.strictEqual(captures.length, 1);
+  assert.strictEqual(captures[0].url, PAGE_URL);
+  assert.strictEqual(captures[0].title, 'Article');
+  assert.match(captures[0].filename, /^example\.com_.*\.html$/);
+  assert.match(captures[0].content, /<h1>Hello<\/h1>/);
+  assert.strictEqual(background.chrome.fake.downloads.length, 0);
+});
+
+test('saveDOM reports a failed screenshot and stores the error with the capture', async (t) => {
+  // jsdom pages have no layout, so the screenshot fails
+  const background = setUpBackground(t, { tabs: [{ url: PAGE_URL, html: PAGE_HTML }] });
+
+  const response = await background.sendMessage({ action: 'saveDOM', saveMode: 'batch', options: { screenshot: true } });
+  assert.strictEqual(response.message, 'Capture saved to batch');
+  assert.match(response.warning, /^Screenshot failed: ./);
+
+  const { captures } = await background.sendMessage({ action: 'getCaptures' });
+  assert.strictEqual('Screenshot failed: ' + captures[0].screenshotError, response.warning);
+  assert.deepStrictEqual(captures[0].attachments, []);
+});
+
+test('saveDOM in direct mode downloads the page as a data URL', async (t) => {
+  const background = setUpBackground(t, { tabs: [{ url: PAGE_URL, html: PAGE_HTML }] });
+
+  const response = await background.sendMessage({ action: 'saveDOM', options: {} });
+  assert.deepStrictEqual(response, { status: 'success' });
+
+  const [download] = background.chrome.fake.downloads;
+  assert.match(download.filename, /^example\.com_.*\.html$/);
+  assert.strictEqual(download.saveAs, true);
+  const [, base64] = download.url.split(',');
+  assert.match(Buffer.from(base64, 'base64').toString('utf8'), /<h1>Hello<\/h1>/);
+});
+
+test('saveDOM reports a failed download', async (t) => {
+  const background = setUpBackground(t, { tabs: [{ url: PAGE_URL, html: PAGE_HTML }] });
+  background.chrome.fake.failNext('downloads.download', 'Download blocked');
+
+  const response = await background.sendMessage({ action: 'saveDOM', options: {} });
+  assert.deepStrictEqual(response, { status: 'error', code: 'DOWNLOAD_FAILED', message: 'Download failed: Download blocked' });
+});
+
+test('saveDOM reports when there is no active tab', async (t) => {
+  const background = setUpBackground(t, { tabs: [] });
+
+  const response = await background.sendMessage({ action: 'saveDOM', saveMode: 'batch', options: {} });
+  assert.deepStrictEqual(response, { status: 'error', code: 'NO_ACTIVE_TAB', message: 'Could not get active tab.' });
+});
+
+test('saveDOM reports a failed tab query', async (t) => {
+  const background = setUpBackground(t, { tabs: [{ url: PAGE_URL, html: PAGE_HTML }] });
+  background.chrome.fake.failNext('tabs.query', 'No current window');
+
+  const response = await background.sendMessage({ action: 'saveDOM', saveMode: 'batch', options: {} });
+  assert.deepStrictEqual(response, { status: 'error', code: 'NO_ACTIVE_TAB', message: 'Could not get active tab.' });
+});
+
+test('saveDOM reports pages the extension cannot script', async (t) => {
+  // No HTML: like chrome:// pages, nothing can be injected
+  const background = setUpBackground(t, { tabs: [{ url: 'chrome://settings/' }] });
+
+  const response = await background.sendMessage({ action: 'saveDOM', saveMode: 'batch', options: {} });
+  assert.strictEqual(response.status, 'error');
+  assert.strictEqual(response.code, 'CAPTURE_FAILED');
+  assert.match(response.message, /^Failed to get DOM content\. Cannot access contents of url "chrome:\/\/settings\/"/);
+});
+
+test('saveDOM reports a capture database failure', async (t) => {
+  const background = setUpBackground(t, { tabs: [{ url: PAGE_URL, html: PAGE_HTML }], indexedDB: createFailingIndexedDB() });
+
+  const response = await background.sendMessage({ action: 'saveDOM', saveMode: 'batch', options: {} });
+  assert.deepStrictEqual(response, { status: 'error', code: 'STORAGE_FAILED', message: 'Failed to save capture: Database unavailable' });
+});
+
+test('messages from other extensions get no answer', async (t) => {
+  const background = setUpBackground(t);
+
+  assert.strictEqual(await background.sendMessage({ action: 'getCaptures' }, { id: 'other-extension' }), undefined);
+});
+
+test('fetchResource only fetches for a page while it is being captured', async (t) => {
+  const fetched = [];
+  const background = setUpBackground(t, {
+    tabs: [{ url: PAGE_URL, html: PAGE_HTML }],
+    fetch: async (url) => {
+      fetched.push(url);
+      throw new Error('Unexpected fetch');
+    }
+  });
+  const { id } = background.chrome.runtime;
+  const request = { action: 'fetchResource', url: 'https://www.example.com/account' };
+  const forbidden = { status: 'error', code: 'FORBIDDEN', message: 'Resources can only be fetched for a page being captured' };
+
+  // An extension page, and a page that is not being captured
+  assert.deepStrictEqual(await background.sendMessage(request, { id }), forbidden);
+  assert.deepStrictEqual(await background.sendMessage(request, { id, tab: { id: 1 } }), forbidden);
+  assert.deepStrictEqual(fetched, []);
+});
+
+test('exportZIP returns every capture, or the selected ones', async (t) => {
+  const background = setUpBackground(t);
+  await addCaptures(background, 3);
+
+  const all = await background.sendMessage({ action: 'exportZIP' });
+  assert.strictEqual(all.status, 'success');
+  assert.deepStrictEqual(all.captures.map(capture => capture.filename), ['page-1.html', 'page-2.html', 'page-3.html']);
+  assert.strictEqual(all.captures[0].content, '<p>1</p>');
+
+  const ids = [all.captures[0].id, all.captures[2].id];
+  const selected = await background.sendMessage({ action: 'exportZIP', ids });
+  assert.deepStrictEqual(selected.captures.map(capture => capture.filename), ['page-1.html', 'page-3.html']);
+});
+
+test('exportZIP reports an empty batch', async (t) => {
+  const background = setUpBackground(t);
+
+  const response = await background.sendMessage({ action: 'exportZIP' });
+  assert.deepStrictEqual(response, { status: 'error', code: 'NOT_FOUND', message: 'No captures available to export' });
+});
+
+test('exportZIP reports a capture database failure', async (t) => {
+  const background = setUpBackground(t, { indexedDB: createFailingIndexedDB() });
+
+  const response = await background.sendMessage({ action: 'exportZIP' });
+  assert.deepStrictEqual(response, { status: 'error', code: 'STORAGE_FAILED', message: 'Failed to export captures: Database unavailable' });
+});
+
+test('getCaptures returns captures with their count', async (t) => {
+  const background = setUpBackground(t);
+  await addCaptures(background, 2);
+
+  const response = await background.sendMessage({ action: 'getCaptures' });
+  assert.strictEqual(response.status, 'success');
+  assert.strictEqual(response.count, 2);
+  assert.strictEqual(response.captures[1].content, '<p>2</p>');
+});
+
+test('getCaptures with summaryOnly leaves out the content', async (t) => {
+  const background = setUpBackground(t);
+  await addCaptures(background, 1);
+
+  const response = await background.sendMessage({ action: 'getCaptures', summaryOnly: true });
+  assert.strictEqual(response.count, 1);
+  assert.strictEqual(response.captures[0].filename, 'page-1.html');
+  assert.strictEqual(response.captures[0].content, undefined);
+});
+
+test('getCaptures reports a capture database failure', async (t) => {
+  const background = setUpBackground(t, { indexedDB: createFailingIndexedDB() });
+
+  const response = await background.sendMessage({ action: 'getCaptures' });
+  assert.deepStrictEqual(response, { status: 'error', code: 'STORAGE_FAILED', message: 'Failed to get captures: Database unavailable' });
+});
+
+test('clearCaptures empties the batch', async (t) => {
+  const background = setUpBackground(t);
+  await addCaptures(background, 2);
+
+  const response = await background.sendMessage({ action: 'clearCaptures' });
+  assert.deepStrictEqual(response, { status: 'success', message: 'All captures cleared' });
+  assert.strictEqual((await background.sendMessage({ action: 'getCaptures' })).count, 0);
+});
+
+test('clearCaptures reports a capture database failure', async (t) => {
+  const background = setUpBackground(t, { indexedDB: createFailingIndexedDB() });
+
+  const response = await background.sendMessage({ action: 'clearCaptures' });
+  assert.deepStrictEqual(response, { status: 'error', code: 'STORAGE_FAILED', message: 'Failed to clear captures: Database unavailable' });
+});
+
+test('legacy captures in chrome.storage are moved to the capture database', async (t) => {
+  const legacy = [{ filename: 'old.html', content: '<p>Old</p>', url: 'https://example.com/old', title: 'Old' }];
+  const background = setUpBackground(t, { storage: { domCaptures: legacy } });
+
+  const { captures } = await background.sendMessage({ action: 'getCaptures' });
+  assert.deepStrictEqual(captures.map(capture => capture.filename), ['old.html']);
+  assert.deepStrictEqual(await background.chrome.storage.local.get('domCaptures'), {});
+});
+
+test('legacy captures are not copied twice when removing the old array failed', async (t) => {
+  const legacy = [{ filename: 'old.html', content: '<p>Old</p>', url: 'https://example.com/old', title: 'Old' }];
+  const indexedDB = new IDBFactory();
+  const first = setUpBackground(t, { storage: { domCaptures: legacy }, indexedDB });
+  first.chrome.fake.failNext('storage.local.remove', 'Storage is busy');
+  assert.strictEqual((await first.sendMessage({ action: 'getCaptures' })).count, 1);
+  assert.deepStrictEqual(await first.chrome.storage.local.get('domCaptures'), { domCaptures: legacy });
+
+  // The next start finds the old array again but only removes it
+  const second = setUpBackground(t, { storage: { domCaptures: legacy }, indexedDB });
+  assert.strictEqual((await second.sendMessage({ action: 'getCaptures' })).count, 1);
+  assert.deepStrictEqual(await second.chrome.storage.local.get('domCaptures'), {});
+});
+
+test('getAvailableScrapers lists built-in scrapers matching the active tab', async (t) => {
+  const background = setUpBackground(t, { tabs: [{ url: LINKEDIN_URL, html: LINKEDIN_HTML }] });
+
+  const response = await background.sendMessage({ action: 'getAvailableScrapers' });
+  assert.strictEqual(response.status, 'success');
+  assert.deepStrictEqual(response.scrapers.map(scraper => scraper.id), ['linkedin-company-people']);
+});
+
+test('getAvailableScrapers includes custom scrapers from storage', async (t) => {
+  const background = setUpBackground(t, {
+    tabs: [{ url: PAGE_URL, html: PAGE_HTML }],
+    storage: { customScrapers: [HEADINGS_SCRAPER] }
+  });
+
+  const response = await background.sendMessage({ action: 'getAvailableScrapers' });
+  assert.deepStrictEqual(response.scrapers, [{ id: 'example-headings', name: 'Example headings', description: '', paginated: false }]);
+});
+
+test('getAvailableScrapers returns no scrapers for other pages', async (t) => {
+  const background = setUpBackground(t, { tabs: [{ url: 'https://other.example.org/', html: PAGE_HTML }] });
+
+  const response = await background.sendMessage({ action: 'getAvailableScrapers' });
+  assert.deepStrictEqual(response, { status: 'success', scrapers: [] });
+});
+
+test('getAvailableScrapers reports when there is no active tab', async (t) => {
+  const background = setUpBackground(t, { tabs: [] });
+
+  const response = await background.sendMessage({ action: 'getAvailableScrapers' });
+  assert.deepStrictEqual(response, { status: 'error', code: 'NO_ACTIVE_TAB', message: 'Could not get active tab.' });
+});
+
+test('saveCustomScraper only replaces a scraper with the same id when asked to', async (t) => {
+  const background = setUpBackground(t, { storage: { customScrapers: [HEADINGS_SCRAPER] } });
+  const renamed = { ...HEADINGS_SCRAPER, name: 'Renamed headings' };
+
+  const response = await background.sendMessage({ action: 'saveCustomScraper', definition: renamed });
+  assert.deepStrictEqual(response, {
+    status: 'error',
+    code: 'INVALID_REQUEST',
+    message: 'A custom scraper with the id "example-headings" already exists',
+    details: { existingId: 'example-headings' }
+  });
+  assert.strictEqual(background.chrome.fake.storage.customScrapers[0].name, 'Example headings');
+
+  const replaced = await background.sendMessage({ action: 'saveCustomScraper', definition: renamed, overwrite: true });
+  assert.strictEqual(replaced.status, 'success');
+  assert.deepStrictEqual(background.chrome.fake.storage.customScrapers.map(definition => definition.name), ['Renamed headings']);
+});
+
+test('executeScraper runs a custom scraper in the page and downloads the result', async (t) => {
+  const background = setUpBackground(t, {
+    tabs: [{ url: PAGE_URL, html: PAGE_HTML }],
+    storage: { customScrapers: [HEADINGS_SCRAPER] }
+  });
+
+  const response = await background.sendMessage({ action: 'executeScraper', scraperId: 'example-headings', options: {} });
+  assert.strictEqual(response.status, 'success');
+  assert.deepStrictEqual(response.result.data, [{ heading: 'Hello' }]);
+  assert.strictEqual(response.result.validation.valid, true);
+
+  const [download] = background.chrome.fake.downloads;
+  assert.match(download.filename, /^example-headings_.*\.json$/);
+  const saved = JSON.parse(Buffer.from(download.url.split(',')[1], 'base64').toString('utf8'));
+  assert.deepStrictEqual(saved.data, [{ heading: 'Hello' }]);
+});
+
+test('executeScraper converts downloads to the chosen spreadsheet format', async (t) => {
+  const background = setUpBackground(t, {
+    tabs: [{ url: PAGE_URL, html: PAGE_HTML }],
+    storage: { customScrapers: [HEADINGS_SCRAPER] }
+  });
+
+  await background.sendMessage({ action: 'executeScraper', scraperId: 'example-headings', options: { scraperFormat: 'csv' } });
+  const [download] = background.chrome.fake.downloads;
+  assert.match(download.filename, /\.csv$/);
+  assert.strictEqual(Buffer.from(download.url.split(',')[1], 'base64').toString('utf8'), '\ufeffheading\r\nHello\r\n');
+});
+
+test('executeScraper follows a scraper\'s pagination until no new items appear', async (t) => {
+  const scraper = { ...HEADINGS_SCRAPER, pagination: { type: 'infiniteScroll', maxPages: 3 } };
+  const background = setUpBackground(t, {
+    tabs: [{ url: PAGE_URL, html: PAGE_HTML }],
+    storage: { customScrapers: [scraper] }
+  });
+  const injectedFiles = [];
+  const executeScript = background.chrome.scripting.executeScript;
+  background.chrome.scripting.executeScript = (injection, ...rest) => {
+    injectedFiles.push(...(injection.files || []));
+    return executeScript(injection, ...rest);
+  };
+
+  const response = await background.sendMessage({
+    action: 'executeScraper', scraperId: 'example-headings', saveMode: 'batch', options: {}
+  });
+  assert.strictEqual(response.status, 'success');
+  assert.strictEqual(response.result.count, 1);
+  assert.deepStrictEqual([response.result.pagination.pageCount, response.result.pagination.stoppedBy], [2, 'noNewItems']);
+  // Scrolling keeps the page, and with it the scraper registry injected for the first round
+  assert.strictEqual(injectedFiles.filter(file => file === 'scrapers.js').length, 1);
+});
+
+test('executeScraper saves LinkedIn results to the batch and its dataset', async (t) => {
+  const background = setUpBackground(t, { tabs: [{ url: LINKEDIN_URL, html: LINKEDIN_HTML }] });
+
+  const response = await background.sendMessage({
+    action: 'executeScraper', scraperId: 'linkedin-company-people', saveMode: 'batch', options: {}
+  });
+  assert.strictEqual(response.status, 'success');
+  assert.strictEqual(response.message, 'Scraper results saved to batch');
+  assert.strictEqual(response.result.count, 3);
+  // Built-in scrapers read the page once
+  assert.strictEqual(response.result.pagination, undefined);
+  assert.strictEqual(response.result.dataset.added, 3);
+  // One card in the fixture has no name, below the declared 90%
+  assert.strictEqual(response.result.validation.valid, false);
+
+  const { captures } = await background.sendMessage({ action: 'getCaptures' });
+  assert.strictEqual(captures[0].scraperId, 'linkedin-company-people');
+  assert.deepStrictEqual(captures[0].columns, ['name', 'url', 'blurb']);
+  assert.strictEqual(JSON.parse(captures[0].content).count, 3);
+});
+
+test('executeScraper reports an unknown scraper', async (t) => {
+  const background = setUpBackground(t, { tabs: [{ url: PAGE_URL, html: PAGE_HTML }] });
+
+  const response = await background.sendMessage({ action: 'executeScraper', scraperId: 'missing', options: {} });
+  assert.deepStrictEqual(response, { status: 'error', code: 'NOT_FOUND', message: 'Scraper not found' });
+});
+
+test('executeScraper reports pages the extension cannot script', async (t) => {
+  const background = setUpBackground(t, {
+    tabs: [{ url: PAGE_URL }],
+    storage: { customScrapers: [HEADINGS_SCRAPER] }
+  });
+
+  const response = await background.sendMessage({ action: 'executeScraper', scraperId: 'example-headings', options: {} });
+  assert.deepStrictEqual(response, { status: 'error', code: 'SCRAPER_FAILED', message: 'Failed to load scrapers.' });
+});
+
+test('executeScraper reports when there is no active tab', async (t) => {
+  const background = setUpBackground(t, { tabs: [], storage: { customScrapers: [HEADINGS_SCRAPER] } });
+
+  const response = await background.sendMessage({ action: 'executeScraper', scraperId: 'example-headings', options: {} });
+  assert.deepStrictEqual(response, { status: 'error', code: 'NO_ACTIVE_TAB', message: 'Could not get active tab.' });
+});
+
+test('requests failing validation are rejected before the handler runs', async (t) => {
+  const background = setUpBackground(t, { tabs: [{ url: PAGE_URL, html: PAGE_HTML }] });
+
+  const response = await background.sendMessage({ action: 'deleteCaptures', ids: [] });
+  assert.strictEqual(response.status, 'error');
+  assert.strictEqual(response.code, 'INVALID_REQUEST');
+  assert.match(response.message, /^Invalid deleteCaptures request: ids /);
+
+  const saveResponse = await background.sendMessage({ action: 'saveDOM', saveMode: 'later' });
+  assert.strictEqual(saveResponse.code, 'INVALID_REQUEST');
+  assert.strictEqual(background.chrome.fake.downloads.length, 0);
+});
+
+test('unknown actions get an error response', async (t) => {
+  const background = setUpBackground(t, {});
+
+  const response = await background.sendMessage({ action: 'doesNotExist' });
+  assert.deepStrictEqual(response, { status: 'error', code: 'UNKNOWN_ACTION', message: 'Unknown action: doesNotExist' });
+});
+
+// A window with two capturable pages, a browser page and an unloaded tab
+const WINDOW_TABS = [
+  { url: 'https://www.example.com/articles/2', html: '<html><head><title>Second</title></head><body><h1>Second</h1></body></html>' },
+  { url: 'chrome://settings/', active: false },
+  { url: PAGE_URL, html: PAGE_HTML, active: false, highlighted: true },
+  { url: 'https://www.example.com/old', active: false, discarded: true }
+];
+
+test('captureTabs saves every tab in the window and skips the ones it cannot capture', async (t) => {
+  const background = setUpBackground(t, { tabs: WINDOW_TABS });
+
+  const response = await background.sendMessage({ action: 'captureTabs', scope: 'window', options: {} });
+  assert.strictEqual(response.status, 'success');
+  assert.strictEqual(response.message, 'Saved 2 of 4 tabs (2 skipped)');
+  assert.deepStrictEqual(response.tabs.map(tab => tab.status), ['saved', 'skipped', 'saved', 'skipped']);
+  assert.strictEqual(response.tabs[1].reason, "Browser pages can't be captured");
+  assert.match(response.tabs[3].reason, /^Tab is unloaded/);
+
+  const { captures } = await background.sendMessage({ action: 'getCaptures' });
+  assert.deepStrictEqual(captures.map(capture => capture.title).sort(), ['Article', 'Second']);
+
+  // The popup reads progress from storage
+  const progress = background.chrome.fake.storage.tabCaptureProgress;
+  assert.strictEqual(progress.scope, 'window');
+  assert.ok(progress.finishedAt);
+  assert.deepStrictEqual(progress.tabs.map(tab => tab.status), ['saved', 'skipped', 'saved', 'skipped']);
+});
+
+test('captureTabs with the highlighted scope only saves highlighted tabs', async (t) => {
+  const background = setUpBackground(t, { tabs: WINDOW_TABS });
+
+  const response = await background.sendMessage({ action: 'captureTabs', scope: 'highlighted', options: {} });
+  assert.strictEqual(response.message, 'Saved 2 of 2 tabs');
+  assert.deepStrictEqual(response.tabs.map(tab => tab.url), ['https://www.example.com/articles/2', PAGE_URL]);
+});
+
+test('captureTabs reports a failing tab and carries on with the others', async (t) => {
+  // Not a restricted URL, but nothing can be injected into it
+  const background = setUpBackground(t, { tabs: [{ url: 'https://www.example.com/blocked', active: false }, { url: PAGE_URL, html: PAGE_HTML }] });
+
+  const response = await background.sendMessage({ action: 'captureTabs', scope: 'window', options: {} });
+  assert.strictEqual(response.message, 'Saved 1 of 2 tabs (1 failed)');
+  assert.strictEqual(response.tabs[0].status, 'failed');
+  assert.match(response.tabs[0].reason, /Cannot access contents of url/);
+  assert.strictEqual(response.tabs[1].status, 'saved');
+});
+
+test('captureTabs can also save the results of matching scrapers', async (t) => {
+  const background = setUpBackground(t, { tabs: WINDOW_TABS, storage: { customScrapers: [HEADINGS_SCRAPER] } });
+
+  const response = await background.sendMessage({ action: 'captureTabs', scope: 'window', options: {}, runScrapers: true });
+  assert.strictEqual(response.message, 'Saved 2 of 4 tabs (2 skipped), 2 scraper results');
+  assert.deepStrictEqual(response.tabs[2].scrapers, [{ id: 'example-headings', name: 'Example headings', count: 1 }]);
+  assert.deepStrictEqual(response.tabs[1].scrapers, []);
+
+  const { captures } = await background.sendMessage({ action: 'getCaptures' });
+  const scraperCaptures = captures.filter(capture => capture.scraperId === 'example-headings');
+  assert.deepStrictEqual(scraperCaptures.map(capture => JSON.parse(capture.content).data[0].heading).sort(), ['Hello', 'Second']);
+});
+
+test('captureTabs validates the scope', async (t) => {
+  const background = setUpBackground(t, { tabs: WINDOW_TABS });
+
+  const response = await background.sendMessage({ action: 'captureTabs', scope: 'everything' });
+  assert.strictEqual(response.code, 'INVALID_REQUEST');
+});
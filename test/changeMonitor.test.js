@@ -0,0 +1,137 @@
+// test/changeMonitor.test.js
+// Watched pages in changeMonitor.js: captures compared as they are saved,
+// driven through the background's message handlers
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { setUpBackground, PLANS_SCRAPER: SHARED_PLANS_SCRAPER } = require('./helpers/backgroundHarness');
+
+const PAGE_URL = 'https://www.example.com/pricing';
+
+function pricingPage(plans, updated = 'Updated 5 minutes ago') {
+  const rows = plans.map(([plan, price]) => `<div class="plan"><h2>${plan}</h2><span class="price">${price}</span></div>`).join('');
+  return `<html><head><title>Pricing</title></head><body><h1>Plans</h1>${rows}<p>${updated}</p></body></html>`;
+}
+
+// The shared plans scraper, keeping a dataset of plans across runs
+const PLANS_SCRAPER = { ...SHARED_PLANS_SCRAPER, uniqueBy: 'plan', dataset: {} };
+
+function setUp(t, html, options = {}) {
+  return setUpBackground(t, { tabs: [{ url: PAGE_URL, html }], ...options });
+}
+
+// Open the page again with new content, like a later visit
+function revisit(background, html) {
+  background.chrome.fake.addTab({ url: PAGE_URL, html });
+}
+
+async function saveToBatch(background) {
+  const response = await background.sendMessage({ action: 'saveDOM', saveMode: 'batch', options: {} });
+  assert.strictEqual(response.status, 'success');
+}
+
+async function getCaptures(background) {
+  return (await background.sendMessage({ action: 'getCaptures', summaryOnly: true })).captures;
+}
+
+test('saveWatch stores one watch per page address and checks its settings', async (t) => {
+  const background = setUp(t, pricingPage([]));
+
+  const first = await background.sendMessage({ action: 'saveWatch', watch: { url: PAGE_URL + '#plans' } });
+  assert.strictEqual(first.message, `Watching ${PAGE_URL} for changes`);
+  assert.deepStrictEqual(
+    [first.watch.id, first.watch.url, first.watch.compare, first.watch.minChanges, first.watch.notify],
+    [1, PAGE_URL, 'text', 1, true]
+  );
+
+  const again = await background.sendMessage({ action: 'saveWatch', watch: { url: PAGE_URL, compare: 'dom' } });
+  assert.deepStrictEqual([again.watch.id, again.watch.compare], [1, 'dom']);
+
+  const badPattern = await background.sendMessage({ action: 'saveWatch', watch: { url: PAGE_URL, ignorePattern: '(' } });
+  assert.strictEqual(badPattern.code, 'INVALID_REQUEST');
+  const badUrl = await background.sendMessage({ action: 'saveWatch', watch: { url: 'chrome://settings' } });
+  assert.strictEqual(badUrl.code, 'INVALID_REQUEST');
+
+  await background.sendMessage({ action: 'deleteWatch', id: 1 });
+  const { watches } = await background.sendMessage({ action: 'getWatches' });
+  assert.deepStrictEqual(watches, []);
+});
+
+test('captures of a watched page are compared with the previous one and changes notified', async (t) => {
+  const background = setUp(t, pricingPage([['Basic', '$5'], ['Pro', '$10']]));
+  await background.sendMessage({ action: 'saveWatch', watch: { url: PAGE_URL } });
+
+  await saveToBatch(background);
+  revisit(background, pricingPage([['Basic', '$5'], ['Pro', '$12']]));
+  await saveToBatch(background);
+  revisit(background, pricingPage([['Basic', '$5'], ['Pro', '$12']]));
+  await saveToBatch(background);
+
+  const [first, second, third] = await getCaptures(background);
+  assert.strictEqual(first.change.summary, 'First capture of this page');
+  assert.deepStrictEqual(
+    [second.change.previousId, second.change.mode, second.change.added, second.change.removed, second.change.significant, second.change.summary],
+    [first.id, 'text', 1, 1, true, '1 line added, 1 removed']
+  );
+  assert.deepStrictEqual([third.change.previousId, third.change.summary, third.change.significant], [second.id, 'No changes', false]);
+
+  const notifications = background.chrome.fake.notifications;
+  assert.deepStrictEqual(Array.from(notifications.keys()), [`captureChange:${second.id}`]);
+  assert.strictEqual(notifications.get(`captureChange:${second.id}`).title, 'Page changed: Pricing');
+
+  const { watches } = await background.sendMessage({ action: 'getWatches' });
+  assert.deepStrictEqual([watches[0].captureCount, watches[0].changeCount, watches[0].lastChange.captureId], [3, 1, second.id]);
+
+  // Clicking the notification opens the change in the capture manager
+  background.chrome.notifications.onClicked.dispatch(`captureChange:${second.id}`);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.ok(background.chrome.fake.tabs.some(tab => tab.url.endsWith(`manager.html?compare=${second.id}`)));
+  assert.strictEqual(notifications.size, 0);
+});
+
+test('lines matching the ignore pattern and changes below the threshold are not notified', async (t) => {
+  const background = setUp(t, pricingPage([['Basic', '$5']], 'Updated 5 minutes ago'));
+  await background.sendMessage({ action: 'saveWatch', watch: { url: PAGE_URL, ignorePattern: '^updated \\d+ minutes ago$', minChanges: 3 } });
+
+  await saveToBatch(background);
+  revisit(background, pricingPage([['Basic', '$5']], 'Updated 9 minutes ago'));
+  await saveToBatch(background);
+  revisit(background, pricingPage([['Basic', '$6']], 'Updated 1 minutes ago'));
+  await saveToBatch(background);
+
+  const captures = await getCaptures(background);
+  assert.deepStrictEqual(captures.map(capture => capture.change.summary), ['First capture of this page', 'No changes', '1 line added, 1 removed']);
+  assert.strictEqual(captures[2].change.significant, false);
+  assert.strictEqual(background.chrome.fake.notifications.size, 0);
+});
+
+test('scraper results are compared row by row on the dataset key', async (t) => {
+  const background = setUp(t, pricingPage([['Basic', '$5'], ['Pro', '$10'], ['Team', '$30']]), {
+    storage: { customScrapers: [PLANS_SCRAPER] }
+  });
+  await background.sendMessage({ action: 'saveWatch', watch: { url: PAGE_URL } });
+  const runScraper = () => background.sendMessage({ action: 'executeScraper', scraperId: 'example-plans', saveMode: 'batch', options: {} });
+
+  await runScraper();
+  revisit(background, pricingPage([['Basic', '$5'], ['Pro', '$12'], ['Enterprise', 'Call us']]));
+  await runScraper();
+  // A page capture in between is compared with page captures only
+  await saveToBatch(background);
+
+  const [, second, page] = await getCaptures(background);
+  assert.deepStrictEqual(
+    [second.change.mode, second.change.key, second.change.added, second.change.removed, second.change.changed],
+    ['data', 'plan', 1, 1, 1]
+  );
+  assert.strictEqual(second.change.summary, '1 row added, 1 removed, 1 changed');
+  assert.strictEqual(page.change.summary, 'First capture of this page');
+});
+
+test('captures of pages that are not watched are stored without a comparison', async (t) => {
+  const background = setUp(t, pricingPage([['Basic', '$5']]));
+  await background.sendMessage({ action: 'saveWatch', watch: { url: 'https://www.example.com/other' } });
+
+  await saveToBatch(background);
+  const [capture] = await getCaptures(background);
+  assert.strictEqual(capture.change, undefined);
+});
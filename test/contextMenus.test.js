@@ -0,0 +1,146 @@
+// test/contextMenus.test.js
+// Right-click menu entries in contextMenus.js, clicked through the fake chrome APIs
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { setUpBackground, PLANS_SCRAPER } = require('./helpers/backgroundHarness');
+
+const PAGE_URL = 'https://www.example.com/pricing';
+const PAGE_HTML = '<html><head><title>Pricing</title></head><body>' +
+  '<div class="plan"><h2>Basic</h2><span class="price">$5</span></div>' +
+  '<div class="plan" id="pro"><h2>Pro</h2><span class="price">$10</span> <a href="/pro">Details</a></div>' +
+  '</body></html>';
+
+function setUp(t, options = {}) {
+  return setUpBackground(t, {
+    tabs: [{ url: PAGE_URL, html: PAGE_HTML }],
+    storage: { customScrapers: [PLANS_SCRAPER] },
+    ...options
+  });
+}
+
+// Menu rebuilds and clicks run in the background without a response to wait for
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 50));
+}
+
+async function clickMenu(background, menuItemId, info = {}) {
+  const tab = (await background.chrome.tabs.query({ active: true }))[0];
+  background.chrome.contextMenus.onClicked.dispatch({ menuItemId, frameId: 0, ...info }, tab);
+  await settle();
+}
+
+function activePage(background) {
+  return background.chrome.fake.tabs.find(tab => tab.active).window;
+}
+
+async function getCaptures(background) {
+  return (await background.sendMessage({ action: 'getCaptures' })).captures;
+}
+
+test('the menu offers the scrapers matching the active page', async (t) => {
+  const background = setUp(t);
+  await settle();
+  const menus = background.chrome.fake.contextMenus;
+  assert.deepStrictEqual(Array.from(menus.keys()),
+    ['savePageToBatch', 'saveSelectionToBatch', 'saveElementToBatch', 'runScraper', 'runScraper:example-plans']);
+  assert.deepStrictEqual(menus.get('saveSelectionToBatch').contexts, ['selection']);
+  assert.strictEqual(menus.get('runScraper:example-plans').parentId, 'runScraper');
+
+  // Switching to a page no scraper matches drops the submenu
+  const other = background.chrome.fake.addTab({ url: 'https://www.example.org/', html: '<p>Other</p>' });
+  background.chrome.tabs.onActivated.dispatch({ tabId: other.id, windowId: other.windowId });
+  await settle();
+  assert.deepStrictEqual(Array.from(menus.keys()), ['savePageToBatch', 'saveSelectionToBatch', 'saveElementToBatch']);
+});
+
+test('the menu follows the active page of the focused window', async (t) => {
+  const background = setUp(t);
+  await settle();
+  const other = background.chrome.fake.addTab({ url: 'https://www.example.org/', html: '<p>Other</p>', windowId: 2 });
+  background.chrome.windows.onFocusChanged.dispatch(other.windowId);
+  await settle();
+  const menus = background.chrome.fake.contextMenus;
+  assert.strictEqual(menus.has('runScraper'), false);
+
+  // Leaving Chrome keeps the menu of the last focused window
+  background.chrome.windows.onFocusChanged.dispatch(background.chrome.windows.WINDOW_ID_NONE);
+  await settle();
+  assert.strictEqual(menus.has('runScraper'), false);
+
+  background.chrome.windows.onFocusChanged.dispatch(1);
+  await settle();
+  assert.strictEqual(menus.has('runScraper:example-plans'), true);
+});
+
+test('"Save page DOM to batch" stores the page like the popup button', async (t) => {
+  const background = setUp(t);
+  await clickMenu(background, 'savePageToBatch');
+
+  const [capture] = await getCaptures(background);
+  assert.deepStrictEqual([capture.url, capture.title, capture.type, capture.fragment], [PAGE_URL, 'Pricing', 'html', undefined]);
+  assert.match(capture.content, /<h2>Basic<\/h2>/);
+  assert.strictEqual(background.chrome.fake.notifications.get('contextMenuResult').title, 'Capture saved to batch');
+});
+
+test('"Save selected HTML" stores only the selection', async (t) => {
+  const background = setUp(t);
+  // Fragments of a watched page are not compared with whole-page captures
+  await background.sendMessage({ action: 'saveWatch', watch: { url: PAGE_URL } });
+  const window = activePage(background);
+  const range = window.document.createRange();
+  range.setStart(window.document.querySelector('#pro h2').firstChild, 0);
+  range.setEnd(window.document.querySelector('#pro a').firstChild, 7);
+  window.getSelection().addRange(range);
+
+  await clickMenu(background, 'saveSelectionToBatch', { selectionText: 'Pro $10 Details' });
+
+  const [capture] = await getCaptures(background);
+  assert.strictEqual(capture.content, '<h2>Pro</h2><span class="price">$10</span> <a href="/pro">Details</a>');
+  assert.deepStrictEqual([capture.fragment, capture.change], ['selection', undefined]);
+  assert.strictEqual(background.chrome.fake.notifications.get('contextMenuResult').title, 'Selected HTML saved to batch');
+});
+
+test('"Save this element" stores the right-clicked element', async (t) => {
+  const background = setUp(t);
+  const window = activePage(background);
+  window.document.querySelector('#pro .price').dispatchEvent(new window.MouseEvent('contextmenu', { bubbles: true }));
+
+  await clickMenu(background, 'saveElementToBatch');
+
+  const [capture] = await getCaptures(background);
+  assert.deepStrictEqual([capture.content, capture.fragment], ['<span class="price">$10</span>', 'element']);
+});
+
+test('"Save this element" asks for a reload on pages opened before the extension', async (t) => {
+  const background = setUp(t);
+  delete activePage(background).domSaverContextTarget;
+
+  await clickMenu(background, 'saveElementToBatch');
+
+  assert.deepStrictEqual(await getCaptures(background), []);
+  const notification = background.chrome.fake.notifications.get('contextMenuResult');
+  assert.deepStrictEqual([notification.title, notification.message],
+    ['Could not save from the page', 'Reload the page to save elements from it']);
+});
+
+test('"Run scraper" entries save the scraper results to the batch', async (t) => {
+  const background = setUp(t);
+  await settle();
+  await clickMenu(background, 'runScraper:example-plans');
+
+  const [capture] = await getCaptures(background);
+  assert.strictEqual(capture.scraperId, 'example-plans');
+  assert.deepStrictEqual(JSON.parse(capture.content).data, [{ plan: 'Basic', price: '$5' }, { plan: 'Pro', price: '$10' }]);
+  assert.strictEqual(background.chrome.fake.notifications.get('contextMenuResult').title, 'Example plans: Scraper results saved to batch');
+});
+
+test('"Run scraper" entries refuse pages the scraper does not match', async (t) => {
+  const background = setUp(t, { tabs: [{ url: 'https://www.example.org/', html: '<p>Other</p>' }] });
+  await clickMenu(background, 'runScraper:example-plans');
+
+  assert.deepStrictEqual(await getCaptures(background), []);
+  const notification = background.chrome.fake.notifications.get('contextMenuResult');
+  assert.deepStrictEqual([notification.title, notification.message],
+    ['Could not save from the page', 'Example plans does not apply to this page']);
+});
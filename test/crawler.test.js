@@ -0,0 +1,154 @@
+// test/crawler.test.js
+// URL list crawler in crawler.js, driven through the background's message handlers
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { setUpBackground, HEADINGS_SCRAPER } = require('./helpers/backgroundHarness');
+
+const PAGES = {
+  'https://www.example.com/articles/1': '<html><head><title>First</title></head><body><h1>One</h1></body></html>',
+  'https://www.example.com/articles/2': '<html><head><title>Second</title></head><body><h1>Two</h1></body></html>'
+};
+const URLS = Object.keys(PAGES);
+// Nothing waits between or after pages, to keep the tests quick
+const FAST_SETTINGS = { settleDelay: 0, pageDelay: 0, maxRetries: 0 };
+
+function setUp(t, options = {}) {
+  return setUpBackground(t, { pages: PAGES, ...options });
+}
+
+// Resolve with the stored queue once it matches, e.g. when the crawl has finished
+async function waitForQueue(background, predicate, timeout = 15000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const queue = background.chrome.fake.storage.crawlQueue;
+    if (queue && predicate(queue)) {
+      return JSON.parse(JSON.stringify(queue));
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('Crawl queue did not reach the expected state');
+}
+
+const isFinished = (queue) => queue.status === 'finished';
+
+test('addCrawlUrls reads plain lists and CSV files and skips URLs already queued', async (t) => {
+  const background = setUp(t);
+
+  const plain = await background.sendMessage({
+    action: 'addCrawlUrls',
+    text: `# research list\n${URLS[0]}\n\nnot a url\nftp://example.com/file\n${URLS[0]}\n`
+  });
+  assert.strictEqual(plain.message, 'Added 1 URLs to the queue, 1 already queued, 2 lines without a URL');
+  assert.deepStrictEqual(plain.invalid, ['not a url', 'ftp://example.com/file']);
+
+  const csv = await background.sendMessage({
+    action: 'addCrawlUrls',
+    text: `Name,URL\r\nFirst,${URLS[0]}\r\n"Second, again","${URLS[1]}"\r\n"Query","https://www.example.com/search?q=a,b"\r\n`
+  });
+  assert.strictEqual(csv.added, 2);
+  assert.strictEqual(csv.duplicates, 1);
+
+  const { queue, summary } = await background.sendMessage({ action: 'getCrawlQueue' });
+  assert.deepStrictEqual(queue.items.map(item => item.url), [URLS[0], URLS[1], 'https://www.example.com/search?q=a,b']);
+  assert.deepStrictEqual(summary, { total: 3, pending: 3, running: 0, done: 0, failed: 0 });
+});
+
+test('startCrawl opens each page in a background tab, saves it and closes the tab', async (t) => {
+  const background = setUp(t);
+  await background.sendMessage({ action: 'addCrawlUrls', text: URLS.join('\n') });
+
+  const response = await background.sendMessage({ action: 'startCrawl', settings: FAST_SETTINGS });
+  assert.strictEqual(response.status, 'success');
+  assert.ok(background.chrome.fake.alarms.has('crawlKeepAlive'));
+
+  const queue = await waitForQueue(background, isFinished);
+  assert.deepStrictEqual(queue.items.map(item => [item.status, item.title, item.captured]), [
+    ['done', 'First', true],
+    ['done', 'Second', true]
+  ]);
+  assert.strictEqual(background.chrome.fake.tabs.length, 0);
+  assert.ok(!background.chrome.fake.alarms.has('crawlKeepAlive'));
+
+  const { captures } = await background.sendMessage({ action: 'getCaptures' });
+  assert.deepStrictEqual(captures.map(capture => capture.url).sort(), URLS);
+  assert.match(captures.find(capture => capture.title === 'Second').content, /<h1>Two<\/h1>/);
+});
+
+test('the scrapers mode saves only the results of matching scrapers', async (t) => {
+  const background = setUp(t, { storage: { customScrapers: [HEADINGS_SCRAPER] } });
+  await background.sendMessage({ action: 'addCrawlUrls', text: URLS[0] });
+
+  await background.sendMessage({ action: 'startCrawl', settings: { ...FAST_SETTINGS, mode: 'scrapers' } });
+  const queue = await waitForQueue(background, isFinished);
+  assert.strictEqual(queue.items[0].captured, false);
+  assert.deepStrictEqual(queue.items[0].scrapers, [{ id: 'example-headings', name: 'Example headings', count: 1 }]);
+
+  const { captures } = await background.sendMessage({ action: 'getCaptures' });
+  assert.strictEqual(captures.length, 1);
+  assert.deepStrictEqual(JSON.parse(captures[0].content).data, [{ heading: 'One' }]);
+});
+
+test('pages that fail are reported and can be queued again', async (t) => {
+  const background = setUp(t);
+  // No HTML for this URL: nothing can be injected, like a page that failed to load
+  await background.sendMessage({ action: 'addCrawlUrls', text: `https://www.example.com/broken\n${URLS[0]}` });
+
+  await background.sendMessage({ action: 'startCrawl', settings: FAST_SETTINGS });
+  const queue = await waitForQueue(background, isFinished);
+  assert.strictEqual(queue.items[0].status, 'failed');
+  assert.strictEqual(queue.items[0].attempts, 1);
+  assert.match(queue.items[0].error, /Cannot access contents of url/);
+  assert.strictEqual(queue.items[1].status, 'done');
+  assert.strictEqual(background.chrome.fake.tabs.length, 0);
+
+  const retry = await background.sendMessage({ action: 'retryCrawlFailures' });
+  assert.strictEqual(retry.requeued, 1);
+  const { summary } = await background.sendMessage({ action: 'getCrawlQueue' });
+  assert.deepStrictEqual(summary, { total: 2, pending: 1, running: 0, done: 1, failed: 0 });
+});
+
+test('pausing lets the open page finish and keeps the rest queued', async (t) => {
+  const background = setUp(t);
+  await background.sendMessage({ action: 'addCrawlUrls', text: URLS.join('\n') });
+
+  await background.sendMessage({ action: 'startCrawl', settings: { ...FAST_SETTINGS, pageDelay: 1 } });
+  const paused = await background.sendMessage({ action: 'pauseCrawl' });
+  assert.strictEqual(paused.status, 'success');
+
+  const queue = await waitForQueue(background, (stored) => stored.items[0].status === 'done' && stored.items[1].status === 'pending');
+  assert.strictEqual(queue.status, 'paused');
+  assert.ok(!background.chrome.fake.alarms.has('crawlKeepAlive'));
+
+  const cleared = await background.sendMessage({ action: 'clearCrawlQueue', finishedOnly: true });
+  assert.strictEqual(cleared.removed, 1);
+});
+
+test('a crawl that was running when the service worker stopped carries on', async (t) => {
+  // The stored state of a worker that stopped while the first page was open in tab 7
+  const crawlQueue = {
+    status: 'running',
+    settings: { mode: 'page', concurrency: 1, ...FAST_SETTINGS },
+    items: [
+      { id: 1, url: URLS[0], status: 'running', attempts: 1, tabId: 7 },
+      { id: 2, url: URLS[1], status: 'pending', attempts: 0 }
+    ],
+    nextItemId: 3,
+    startedAt: '2024-01-01T00:00:00.000Z',
+    finishedAt: null
+  };
+  const background = setUp(t, { storage: { crawlQueue } });
+
+  const queue = await waitForQueue(background, isFinished);
+  assert.deepStrictEqual(queue.items.map(item => [item.status, item.attempts]), [['done', 2], ['done', 1]]);
+});
+
+test('startCrawl validates its settings and needs pages waiting', async (t) => {
+  const background = setUp(t);
+
+  const invalid = await background.sendMessage({ action: 'startCrawl', settings: { concurrency: 50 } });
+  assert.strictEqual(invalid.code, 'INVALID_REQUEST');
+
+  const empty = await background.sendMessage({ action: 'startCrawl', settings: FAST_SETTINGS });
+  assert.deepStrictEqual(empty, { status: 'error', code: 'NOT_FOUND', message: 'No pages waiting in the queue.' });
+});
@@ -0,0 +1,44 @@
+// test/cron.test.js
+// Cron expression parsing and next-run times in cron.js (local time)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCronExpression, getNextCronTime } = require('../cron.js');
+
+// Friday 1 March 2024, 10:07:30
+const AFTER = new Date(2024, 2, 1, 10, 7, 30);
+
+function nextRun(expression, after = AFTER) {
+  return getNextCronTime(expression, after);
+}
+
+test('getNextCronTime handles steps, ranges, lists and names', () => {
+  assert.deepStrictEqual(nextRun('*/15 * * * *'), new Date(2024, 2, 1, 10, 15));
+  assert.deepStrictEqual(nextRun('0 9 * * 1-5'), new Date(2024, 2, 4, 9, 0));
+  assert.deepStrictEqual(nextRun('30 8,18 * * *'), new Date(2024, 2, 1, 18, 30));
+  assert.deepStrictEqual(nextRun('0 6 * jun mon'), new Date(2024, 5, 3, 6, 0));
+  assert.deepStrictEqual(nextRun('@monthly'), new Date(2024, 3, 1, 0, 0));
+  // Sunday as 7
+  assert.deepStrictEqual(nextRun('0 0 * * 7'), new Date(2024, 2, 3, 0, 0));
+});
+
+test('getNextCronTime is strictly after the given time', () => {
+  const exact = new Date(2024, 2, 1, 10, 15);
+  assert.deepStrictEqual(nextRun('*/15 * * * *', exact), new Date(2024, 2, 1, 10, 30));
+});
+
+test('a day matching either restricted day field counts, as in cron', () => {
+  // The 13th, or any Friday: 1 March 2024 is a Friday
+  assert.deepStrictEqual(nextRun('0 12 13 * fri'), new Date(2024, 2, 1, 12, 0));
+  // Only the 29th of February, in the next leap year
+  assert.deepStrictEqual(nextRun('0 0 29 2 *'), new Date(2028, 1, 29, 0, 0));
+});
+
+test('invalid expressions are rejected with the field at fault', () => {
+  assert.throws(() => parseCronExpression('0 9 * *'), /needs 5 fields/);
+  assert.throws(() => parseCronExpression('60 * * * *'), /"60" is not a valid minute \(0-59\)/);
+  assert.throws(() => parseCronExpression('0 9 * * 5-1'), /Invalid range "5-1" in the day of week field/);
+  assert.throws(() => parseCronExpression('*/0 * * * *'), /Invalid step/);
+  assert.throws(() => parseCronExpression('0 9 * foo *'), /"foo" is not a valid month/);
+  assert.throws(() => nextRun('0 0 30 2 *'), /never fires/);
+});
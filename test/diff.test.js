@@ -0,0 +1,72 @@
+// test/diff.test.js
+// Text, markup and record diffs in diff.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { htmlToText, htmlToNodeLines, diffLines, diffRecords, describeChanges } = require('../diff.js');
+
+// Rebuild both sides from the hunks of a line diff
+function applyHunks(hunks) {
+  const before = [];
+  const after = [];
+  hunks.forEach(({ type, lines }) => {
+    if (type !== 'insert') {
+      before.push(...lines);
+    }
+    if (type !== 'delete') {
+      after.push(...lines);
+    }
+  });
+  return { before, after };
+}
+
+test('htmlToText keeps the visible text, one line per block', () => {
+  const html = '<html><head><title>Pricing</title><style>p { color: red }</style></head><body>' +
+    '<h1>Plans &amp; prices</h1><!-- promo --><p>Pro <b>$10</b>/month</p><script>track()</script>' +
+    '<ul><li>Basic</li><li>Team&nbsp;plan &#8364;5</li></ul></body></html>';
+  assert.deepStrictEqual(htmlToText(html), ['Plans & prices', 'Pro $10/month', 'Basic', 'Team plan €5']);
+});
+
+test('htmlToNodeLines lists start tags with sorted attributes and text runs', () => {
+  const html = '<!DOCTYPE html><div id="plan" class=\'card pro\' nonce="abc" hidden><img src="pro.png"/>Pro: &#36;10</div>';
+  assert.deepStrictEqual(htmlToNodeLines(html), ['<div class="card pro" hidden id="plan">', '<img src="pro.png" />', '"Pro: $10"']);
+});
+
+test('diffLines finds a shortest edit and counts added and removed lines', () => {
+  const before = ['a', 'b', 'c', 'a', 'b', 'b', 'a'];
+  const after = ['c', 'b', 'a', 'b', 'a', 'c'];
+  const diff = diffLines(before, after);
+  assert.strictEqual(diff.added + diff.removed, 5);
+  assert.deepStrictEqual(applyHunks(diff.hunks), { before, after });
+
+  const unchanged = diffLines(['x', 'y'], ['x', 'y']);
+  assert.deepStrictEqual(unchanged, { hunks: [{ type: 'equal', lines: ['x', 'y'] }], added: 0, removed: 0 });
+});
+
+test('diffLines reports unrelated long documents as replaced', () => {
+  const before = Array.from({ length: 3000 }, (_, index) => `old ${index}`);
+  const after = Array.from({ length: 3000 }, (_, index) => `new ${index}`);
+  const diff = diffLines(before, after);
+  assert.deepStrictEqual([diff.added, diff.removed], [3000, 3000]);
+  assert.deepStrictEqual(applyHunks(diff.hunks), { before, after });
+});
+
+test('diffRecords matches rows on the key and lists the changed fields', () => {
+  const before = [{ id: 1, price: 10 }, { id: 2, price: 20 }, { id: 3, price: 30 }];
+  const after = [{ id: 1, price: 10 }, { id: 2, price: 25 }, { id: 4, price: 40 }];
+  const diff = diffRecords(before, after, 'id');
+  assert.deepStrictEqual(diff.added, [{ id: 4, price: 40 }]);
+  assert.deepStrictEqual(diff.removed, [{ id: 3, price: 30 }]);
+  assert.deepStrictEqual(diff.changed, [{ key: '2', fields: ['price'], before: { id: 2, price: 20 }, after: { id: 2, price: 25 } }]);
+  assert.strictEqual(diff.unchanged, 1);
+
+  // Without a key, identical rows match and anything else is added or removed
+  const unkeyed = diffRecords([{ name: 'A' }, { name: 'A' }, { name: 'B' }], [{ name: 'A' }, { name: 'C' }], null);
+  assert.deepStrictEqual([unkeyed.added, unkeyed.removed, unkeyed.unchanged], [[{ name: 'C' }], [{ name: 'A' }, { name: 'B' }], 1]);
+});
+
+test('describeChanges summarizes the counts', () => {
+  assert.strictEqual(describeChanges({ added: 3, removed: 1 }, 'line'), '3 lines added, 1 removed');
+  assert.strictEqual(describeChanges({ removed: 1, changed: 2 }, 'row'), '1 row removed, 2 changed');
+  assert.strictEqual(describeChanges({}, 'row'), 'No changes');
+});
@@ -0,0 +1,117 @@
+// test/goldens.js
+// Regenerates scraper golden files.
+//
+//   npm run goldens
+//       Re-run every fixture and overwrite its golden file.
+//   npm run goldens -- dom_captures_....zip [more.zip] [--scraper <id>]
+//       Add the HTML captures in ZIP exports from the extension as fixtures for
+//       the scrapers matching their URLs, and write their golden files.
+
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('../jszip.js');
+const { CAPTURES_INDEX_FILENAME } = require('../exporters.js');
+const {
+  FIXTURES_DIR, scraperRegistry, loadFixtureIndex, saveFixtureIndex,
+  fixtureHtmlPath, runFixture, writeGolden
+} = require('./helpers/scraperHarness');
+
+async function main(args) {
+  const { zipPaths, scraperId } = parseArgs(args);
+  let fixtures = loadFixtureIndex();
+
+  if (zipPaths.length > 0) {
+    const imported = [];
+    for (const zipPath of zipPaths) {
+      imported.push(...await importCaptures(zipPath, scraperId));
+    }
+    const importedKeys = new Set(imported.map(fixtureKey));
+    fixtures = fixtures.filter(fixture => !importedKeys.has(fixtureKey(fixture))).concat(imported);
+    saveFixtureIndex(fixtures);
+    updateGoldens(imported);
+    console.log(`Imported ${imported.length} fixtures`);
+  } else {
+    updateGoldens(fixtures);
+  }
+}
+
+function parseArgs(args) {
+  const zipPaths = [];
+  let scraperId = null;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--scraper') {
+      scraperId = args[++i];
+    } else {
+      zipPaths.push(args[i]);
+    }
+  }
+  return { zipPaths, scraperId };
+}
+
+// Copy the HTML captures from an export into the fixtures directory, one fixture
+// per matching scraper, and return the new fixture index entries
+async function importCaptures(zipPath, scraperId) {
+  const zip = await JSZip.loadAsync(fs.readFileSync(zipPath));
+  const indexFile = zip.file(CAPTURES_INDEX_FILENAME);
+  if (!indexFile) {
+    throw new Error(`${zipPath} has no ${CAPTURES_INDEX_FILENAME}; export it again from the extension`);
+  }
+
+  const fixtures = [];
+  for (const capture of JSON.parse(await indexFile.async('string'))) {
+    if (capture.type !== 'html') {
+      continue;
+    }
+    if (!capture.url) {
+      console.warn(`Skipping ${capture.filename}: no page URL recorded`);
+      continue;
+    }
+    const scrapers = scraperRegistry.findMatchingScrapers(capture.url)
+      .filter(scraper => !scraperId || scraper.id === scraperId);
+    if (scrapers.length === 0) {
+      console.warn(`Skipping ${capture.filename}: no scraper matches ${capture.url}`);
+      continue;
+    }
+
+    const html = await zip.file(capture.filename).async('string');
+    scrapers.forEach(scraper => {
+      const fixture = {
+        name: fixtureName(capture.filename),
+        scraperId: scraper.id,
+        url: capture.url,
+        title: capture.title || '',
+        capturedAt: capture.timestamp
+      };
+      fs.mkdirSync(path.join(FIXTURES_DIR, scraper.id), { recursive: true });
+      fs.writeFileSync(fixtureHtmlPath(fixture), html);
+      console.log(`Added fixture ${scraper.id}/${fixture.name}`);
+      fixtures.push(fixture);
+    });
+  }
+  return fixtures;
+}
+
+function updateGoldens(fixtures) {
+  fixtures.forEach(fixture => {
+    const result = runFixture(fixture);
+    writeGolden(fixture, result);
+    console.log(`Wrote golden for ${fixture.scraperId}/${fixture.name} (${result.count} items)`);
+  });
+}
+
+// "Acme People_2024-01-01T00-00-00-000Z.html" -> "acme-people_2024-01-01t00-00-00-000z"
+function fixtureName(filename) {
+  return path.basename(filename, path.extname(filename))
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function fixtureKey(fixture) {
+  return `${fixture.scraperId}/${fixture.name}`;
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,143 @@
+// test/helpers/backgroundHarness.js
+// Loads background.js into a fresh Node VM context backed by the fake chrome APIs
+// and an in-memory IndexedDB, the way Chrome starts the service worker.
+//
+//   const background = loadBackground({ tabs: [{ url, html }] });
+//   const response = await background.sendMessage({ action: 'getCaptures' });
+//   background.close();
+//
+// Inside a test, setUpBackground(t, options) does the same and closes it after the test.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { createFakeChrome, closeFakeChrome } = require('./fakeChrome');
+
+const EXTENSION_DIR = path.join(__dirname, '..', '..');
+// Handlers that never answer would otherwise hang the test run
+const RESPONSE_TIMEOUT = 5000;
+
+// Declarative scrapers shared by the tests, stored like the settings page does.
+// Headings of the example articles:
+const HEADINGS_SCRAPER = {
+  id: 'example-headings',
+  name: 'Example headings',
+  urlPatterns: ['example.com/articles'],
+  rowSelector: 'h1',
+  fields: [{ name: 'heading', source: 'text', transforms: ['trim'] }]
+};
+
+// Plans on the example pricing page:
+const PLANS_SCRAPER = {
+  id: 'example-plans',
+  name: 'Example plans',
+  urlPatterns: ['example.com/pricing'],
+  rowSelector: '.plan',
+  fields: [
+    { name: 'plan', selector: 'h2', source: 'text', transforms: ['trim'] },
+    { name: 'price', selector: '.price', source: 'text', transforms: ['trim'] }
+  ]
+};
+
+function loadBackground({ tabs, storage, pages, indexedDB = new IDBFactory(), fetch } = {}) {
+  const chrome = createFakeChrome({ tabs, storage, pages });
+  const logs = [];
+  const context = vm.createContext({
+    chrome,
+    console: createRecordingConsole(logs),
+    indexedDB,
+    IDBKeyRange,
+    fetch,
+    Blob,
+    FileReader,
+    URL,
+    URLSearchParams,
+    TextEncoder,
+    TextDecoder,
+    atob,
+    btoa,
+    structuredClone,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval
+  });
+  context.self = context;
+  context.importScripts = (...files) => files.forEach(file => runExtensionScript(context, file));
+  runExtensionScript(context, 'background.js');
+
+  return {
+    chrome,
+    context,
+    logs,
+    sendMessage: (request, sender) => sendMessage(chrome, request, sender),
+    close: () => closeFakeChrome(chrome)
+  };
+}
+
+// Load a background for one test and close it afterwards
+function setUpBackground(t, options) {
+  const background = loadBackground(options);
+  t.after(() => background.close());
+  return background;
+}
+
+function runExtensionScript(context, file) {
+  vm.runInContext(fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8'), context, { filename: file });
+}
+
+// Deliver a message to the onMessage listeners like chrome.runtime.sendMessage and
+// resolve with the response (undefined if no listener answers). Messages are
+// JSON-serialized both ways, as Chrome does.
+function sendMessage(chrome, request, sender = { id: chrome.runtime.id }) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      reject(new Error(`No response to ${request.action} within ${RESPONSE_TIMEOUT} ms`));
+    }, RESPONSE_TIMEOUT);
+    const respond = (response) => {
+      clearTimeout(timer);
+      resolve(response === undefined ? undefined : JSON.parse(JSON.stringify(response)));
+    };
+    const message = JSON.parse(JSON.stringify(request));
+    const keepOpen = chrome.runtime.onMessage.dispatch(message, sender, respond).includes(true);
+    if (!keepOpen) {
+      respond(undefined);
+    }
+  });
+}
+
+// The background logs every step; keep the output for assertions instead of printing it
+function createRecordingConsole(logs) {
+  const record = (level) => (...args) => logs.push({ level, args });
+  return { log: record('log'), info: record('info'), warn: record('warn'), error: record('error'), debug: record('debug') };
+}
+
+// Minimal FileReader (Node has none) for the data URLs the background builds for downloads
+class FileReader {
+  readAsDataURL(blob) {
+    blob.arrayBuffer().then(buffer => {
+      this.result = `data:${blob.type || 'application/octet-stream'};base64,${Buffer.from(buffer).toString('base64')}`;
+      this.onload && this.onload();
+    }, error => {
+      this.error = error;
+      this.onerror && this.onerror();
+    });
+  }
+}
+
+// An IndexedDB whose open requests always fail, for storage error paths
+function createFailingIndexedDB(message = 'Database unavailable') {
+  return {
+    open() {
+      const request = {};
+      setTimeout(() => {
+        request.error = new Error(message);
+        request.onerror && request.onerror();
+      });
+      return request;
+    }
+  };
+}
+
+module.exports = { loadBackground, setUpBackground, createFailingIndexedDB, HEADINGS_SCRAPER, PLANS_SCRAPER };
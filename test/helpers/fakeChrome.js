@@ -0,0 +1,322 @@
+// test/helpers/fakeChrome.js
+// In-memory stand-ins for the chrome.* APIs the background service worker uses.
+//
+// Calls behave like Chrome's: they take a callback (with chrome.runtime.lastError
+// set while it runs when the call fails) or return a promise that rejects. Tabs
+// are plain objects; a tab with `html` gets a jsdom page that executeScript runs
+// injected files and functions in. Tabs opened with tabs.create load their HTML
+// from `pages`, a map of URL to HTML. The manifest's content scripts run in every page.
+//
+//   const chrome = createFakeChrome({ tabs: [{ url, title, html }], storage: { key: value }, pages: { url: html } });
+//   chrome.fake.failNext('downloads.download', 'Download blocked');
+//   chrome.fake.downloads  // every download started
+//   chrome.fake.contextMenus  // menu items by id
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const EXTENSION_DIR = path.join(__dirname, '..', '..');
+const MANIFEST = JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, 'manifest.json'), 'utf8'));
+
+function createFakeChrome({ tabs = [], storage = {}, pages = {} } = {}) {
+  const state = {
+    tabs: [],
+    storage: JSON.parse(JSON.stringify(storage)),
+    pages,
+    downloads: [],
+    alarms: new Map(),
+    notifications: new Map(),
+    contextMenus: new Map(),
+    failures: new Map(),
+    nextTabId: 1,
+    nextDownloadId: 1
+  };
+
+  const chrome = {
+    runtime: {
+      id: 'fake-extension-id',
+      lastError: undefined,
+      onMessage: createEvent(),
+      onStartup: createEvent(),
+      onInstalled: createEvent(),
+      getManifest: () => MANIFEST,
+      getURL: (file) => `chrome-extension://fake-extension-id/${file}`
+    },
+
+    storage: {
+      onChanged: createEvent(),
+      local: {
+        get: apiMethod('storage.local.get', (keys) => readStorage(state.storage, keys)),
+        set: apiMethod('storage.local.set', (items) => {
+          const changes = {};
+          Object.entries(items).forEach(([key, value]) => {
+            changes[key] = { oldValue: state.storage[key], newValue: clone(value) };
+            state.storage[key] = clone(value);
+          });
+          chrome.storage.onChanged.dispatch(changes, 'local');
+        }),
+        remove: apiMethod('storage.local.remove', (keys) => {
+          const changes = {};
+          [].concat(keys).forEach(key => {
+            if (key in state.storage) {
+              changes[key] = { oldValue: state.storage[key] };
+              delete state.storage[key];
+            }
+          });
+          chrome.storage.onChanged.dispatch(changes, 'local');
+        })
+      }
+    },
+
+    tabs: {
+      onActivated: createEvent(),
+      onUpdated: createEvent(),
+      query: apiMethod('tabs.query', (query) => state.tabs
+        .filter(tab => query.active === undefined || tab.active === query.active)
+        .filter(tab => query.highlighted === undefined || tab.highlighted === query.highlighted)
+        .filter(tab => query.windowId === undefined || tab.windowId === query.windowId)
+        .map(tabInfo)),
+      get: apiMethod('tabs.get', (tabId) => tabInfo(findTab(tabId))),
+      create: apiMethod('tabs.create', ({ url, active = true }) => addTab({ url, active, html: state.pages[url] || null })),
+      remove: apiMethod('tabs.remove', (tabId) => {
+        const tab = findTab(tabId);
+        if (tab.window) {
+          tab.window.close();
+        }
+        state.tabs.splice(state.tabs.indexOf(tab), 1);
+      }),
+      update: apiMethod('tabs.update', (tabId, properties) => {
+        const tab = findTab(tabId);
+        if (properties.url) {
+          loadPage(tab, properties.url, tab.pages && tab.pages[properties.url]);
+        }
+        return tabInfo(tab);
+      }),
+      captureVisibleTab: apiMethod('tabs.captureVisibleTab', () => 'data:image/png;base64,')
+    },
+
+    scripting: {
+      executeScript: apiMethod('scripting.executeScript', async (injection) => {
+        const tab = findTab(injection.target.tabId);
+        if (!tab.window) {
+          throw new Error(`Cannot access contents of url "${tab.url}".`);
+        }
+        if (injection.files) {
+          injection.files.forEach(file => {
+            tab.window.eval(fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8'));
+          });
+          return [{ frameId: 0, result: undefined }];
+        }
+        // Like Chrome, only the function's source is sent to the page, not its closure
+        const func = tab.window.eval(`(${injection.function || injection.func})`);
+        const result = await func(...JSON.parse(JSON.stringify(injection.args || [])));
+        return [{ frameId: 0, result: result === undefined ? undefined : clone(result) }];
+      })
+    },
+
+    windows: {
+      WINDOW_ID_NONE: -1,
+      onFocusChanged: createEvent()
+    },
+
+    alarms: {
+      onAlarm: createEvent(),
+      create: apiMethod('alarms.create', (name, info) => {
+        state.alarms.set(name, { name, ...info });
+      }),
+      clear: apiMethod('alarms.clear', (name) => state.alarms.delete(name)),
+      get: apiMethod('alarms.get', (name) => state.alarms.get(name))
+    },
+
+    notifications: {
+      onClicked: createEvent(),
+      create: apiMethod('notifications.create', (notificationId, options) => {
+        state.notifications.set(notificationId, options);
+        return notificationId;
+      }),
+      clear: apiMethod('notifications.clear', (notificationId) => state.notifications.delete(notificationId))
+    },
+
+    contextMenus: {
+      onClicked: createEvent(),
+      create: apiMethod('contextMenus.create', (properties) => {
+        if (state.contextMenus.has(properties.id)) {
+          throw new Error(`Cannot create item with duplicate id ${properties.id}`);
+        }
+        if (properties.parentId !== undefined && !state.contextMenus.has(properties.parentId)) {
+          throw new Error(`Cannot find menu item with id ${properties.parentId}`);
+        }
+        state.contextMenus.set(properties.id, clone(properties));
+        return properties.id;
+      }),
+      removeAll: apiMethod('contextMenus.removeAll', () => state.contextMenus.clear())
+    },
+
+    downloads: {
+      download: apiMethod('downloads.download', (options) => {
+        const download = { id: state.nextDownloadId++, ...options };
+        state.downloads.push(download);
+        return download.id;
+      })
+    },
+
+    // Test controls
+    fake: {
+      get downloads() {
+        return state.downloads;
+      },
+      get storage() {
+        return state.storage;
+      },
+      get tabs() {
+        return state.tabs;
+      },
+      get alarms() {
+        return state.alarms;
+      },
+      get notifications() {
+        return state.notifications;
+      },
+      get contextMenus() {
+        return state.contextMenus;
+      },
+      addTab,
+      // Make the next call to an API (e.g. "tabs.query") fail with the given message
+      failNext(api, message) {
+        state.failures.set(api, message);
+      }
+    }
+  };
+
+  // Wrap an implementation in Chrome's callback-or-promise calling convention
+  function apiMethod(name, implementation) {
+    return (...args) => {
+      const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+      const result = new Promise((resolve, reject) => {
+        if (state.failures.has(name)) {
+          const message = state.failures.get(name);
+          state.failures.delete(name);
+          reject(new Error(message));
+          return;
+        }
+        Promise.resolve().then(() => implementation(...args)).then(resolve, reject);
+      });
+      if (!callback) {
+        return result;
+      }
+      result.then(
+        value => callback(value),
+        error => {
+          chrome.runtime.lastError = { message: error.message };
+          try {
+            callback(undefined);
+          } finally {
+            chrome.runtime.lastError = undefined;
+          }
+        }
+      );
+      return undefined;
+    };
+  }
+
+  // The active tab of a window is always highlighted; other tabs can be highlighted too (multi-select)
+  function addTab({ url, title = '', html = null, windowId = 1, active = true, highlighted = active, discarded = false, pages = null }) {
+    if (active) {
+      state.tabs.filter(tab => tab.windowId === windowId).forEach(tab => {
+        tab.active = false;
+        tab.highlighted = false;
+      });
+    }
+    const tab = { id: state.nextTabId++, windowId, active, highlighted: active || highlighted, discarded, status: 'complete', pages };
+    loadPage(tab, url, html, title);
+    state.tabs.push(tab);
+    return tabInfo(tab);
+  }
+
+  // Point a tab at a URL, replacing its page. Without HTML the tab has no page to inject into.
+  function loadPage(tab, url, html, title) {
+    if (tab.window) {
+      tab.window.close();
+    }
+    tab.url = url;
+    tab.window = null;
+    if (html) {
+      // Page console output is dropped, like it would only show in the tab's devtools
+      const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole: new VirtualConsole() });
+      tab.window = dom.window;
+      (MANIFEST.content_scripts || []).forEach(contentScript => {
+        contentScript.js.forEach(file => tab.window.eval(fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8')));
+      });
+    }
+    tab.title = title || (tab.window ? tab.window.document.title : '');
+  }
+
+  function findTab(tabId) {
+    const tab = state.tabs.find(candidate => candidate.id === tabId);
+    if (!tab) {
+      throw new Error(`No tab with id: ${tabId}.`);
+    }
+    return tab;
+  }
+
+  tabs.forEach(addTab);
+  return chrome;
+}
+
+// chrome.*.onSomething: addListener plus a dispatch for tests
+function createEvent() {
+  const listeners = [];
+  return {
+    addListener: (listener) => listeners.push(listener),
+    removeListener: (listener) => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    },
+    hasListeners: () => listeners.length > 0,
+    dispatch: (...args) => listeners.map(listener => listener(...args)),
+    listeners
+  };
+}
+
+function readStorage(storage, keys) {
+  if (keys === undefined || keys === null) {
+    return clone(storage);
+  }
+  if (typeof keys === 'string' || Array.isArray(keys)) {
+    const items = {};
+    [].concat(keys).forEach(key => {
+      if (key in storage) {
+        items[key] = clone(storage[key]);
+      }
+    });
+    return items;
+  }
+  // An object gives defaults for missing keys
+  const items = {};
+  Object.entries(keys).forEach(([key, defaultValue]) => {
+    items[key] = key in storage ? clone(storage[key]) : defaultValue;
+  });
+  return items;
+}
+
+function tabInfo(tab) {
+  const { id, windowId, active, highlighted, discarded, status, url, title } = tab;
+  return { id, windowId, active, highlighted, discarded, status, url, title };
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function closeFakeChrome(chrome) {
+  chrome.fake.tabs.forEach(tab => {
+    if (tab.window) {
+      tab.window.close();
+    }
+  });
+}
+
+module.exports = { createFakeChrome, closeFakeChrome };
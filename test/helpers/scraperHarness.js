@@ -0,0 +1,79 @@
+// test/helpers/scraperHarness.js
+// Runs the extension's scrapers in Node against saved HTML fixtures, using jsdom
+// in place of the live page.
+//
+// Fixtures live in test/fixtures/<scraper-id>/<name>.html, each with the expected
+// output beside it in <name>.golden.json. test/fixtures/fixtures.json lists every
+// fixture with the URL and title of the page it was captured from.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { scraperRegistry } = require('../../scrapers.js');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const FIXTURE_INDEX_PATH = path.join(FIXTURES_DIR, 'fixtures.json');
+// Result fields that change on every run and are left out of goldens
+const VOLATILE_RESULT_FIELDS = ['extractedAt'];
+
+function loadFixtureIndex() {
+  if (!fs.existsSync(FIXTURE_INDEX_PATH)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(FIXTURE_INDEX_PATH, 'utf8'));
+}
+
+function saveFixtureIndex(fixtures) {
+  const sorted = [...fixtures].sort((a, b) => a.scraperId.localeCompare(b.scraperId) || a.name.localeCompare(b.name));
+  fs.writeFileSync(FIXTURE_INDEX_PATH, JSON.stringify(sorted, null, 2) + '\n');
+}
+
+function fixtureHtmlPath(fixture) {
+  return path.join(FIXTURES_DIR, fixture.scraperId, `${fixture.name}.html`);
+}
+
+function fixtureGoldenPath(fixture) {
+  return path.join(FIXTURES_DIR, fixture.scraperId, `${fixture.name}.golden.json`);
+}
+
+// Parse the fixture as if it were loaded from its original URL, so links resolve
+// the same way, and run the fixture's scraper on it
+function runFixture(fixture) {
+  const scraper = scraperRegistry.getScraper(fixture.scraperId);
+  if (!scraper) {
+    throw new Error(`Fixture ${fixture.name} uses unknown scraper ${fixture.scraperId}`);
+  }
+  const dom = new JSDOM(fs.readFileSync(fixtureHtmlPath(fixture), 'utf8'), { url: fixture.url });
+  try {
+    return normalizeResult(scraper.extract(dom.window.document, fixture.url, fixture.title));
+  } finally {
+    dom.window.close();
+  }
+}
+
+// A plain JSON copy of the result without run-specific fields
+function normalizeResult(result) {
+  const normalized = JSON.parse(JSON.stringify(result));
+  VOLATILE_RESULT_FIELDS.forEach(field => delete normalized[field]);
+  return normalized;
+}
+
+function readGolden(fixture) {
+  const goldenPath = fixtureGoldenPath(fixture);
+  return fs.existsSync(goldenPath) ? JSON.parse(fs.readFileSync(goldenPath, 'utf8')) : null;
+}
+
+function writeGolden(fixture, result) {
+  fs.writeFileSync(fixtureGoldenPath(fixture), JSON.stringify(result, null, 2) + '\n');
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  scraperRegistry,
+  loadFixtureIndex,
+  saveFixtureIndex,
+  fixtureHtmlPath,
+  runFixture,
+  readGolden,
+  writeGolden
+};
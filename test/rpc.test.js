@@ -0,0 +1,160 @@
+// test/rpc.test.js
+// MessageRouter dispatch and RpcClient calls in rpc.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateAgainstSchema } = require('../resultSchema.js');
+
+// The router validates with the global from resultSchema.js, as in the service worker
+global.validateAgainstSchema = validateAgainstSchema;
+const { RPC_ERRORS, RpcError, MessageRouter, RpcClient, rethrowAs } = require('../rpc.js');
+
+// Routes sendMessage to a router like chrome.runtime does, or fails like a
+// closed connection when no router is given
+function stubChrome(router) {
+  global.chrome = {
+    runtime: {
+      lastError: undefined,
+      sendMessage(message, callback) {
+        if (!router) {
+          global.chrome.runtime.lastError = { message: 'Could not establish connection. Receiving end does not exist.' };
+          callback(undefined);
+          global.chrome.runtime.lastError = undefined;
+          return;
+        }
+        router.dispatch(JSON.parse(JSON.stringify(message)), {}).then(callback);
+      }
+    }
+  };
+  test.after(() => {
+    delete global.chrome;
+  });
+}
+
+// Keep the router's error logging out of the test output
+function quietRouter() {
+  const router = new MessageRouter();
+  test.mock.method(console, 'warn', () => {});
+  test.mock.method(console, 'error', () => {});
+  return router;
+}
+
+test('dispatch passes the payload and sender to the handler and wraps the result', async () => {
+  const router = quietRouter();
+  router.register('echo', (payload, sender) => ({ payload, from: sender.id }));
+
+  const response = await router.dispatch({ action: 'echo', text: 'hi' }, { id: 'popup' });
+  assert.deepStrictEqual(response, { status: 'success', payload: { text: 'hi' }, from: 'popup' });
+});
+
+test('dispatch validates the payload against the registered schema', async () => {
+  const router = quietRouter();
+  let calls = 0;
+  router.register('getCapture', () => {
+    calls++;
+    return {};
+  }, { schema: { type: 'object', required: ['id'], properties: { id: { type: 'integer' } } } });
+
+  const response = await router.dispatch({ action: 'getCapture', id: 'seven' }, {});
+  assert.strictEqual(response.status, 'error');
+  assert.strictEqual(response.code, RPC_ERRORS.INVALID_REQUEST);
+  assert.match(response.message, /^Invalid getCapture request: id /);
+  assert.strictEqual(response.details[0].path, 'id');
+  assert.strictEqual(calls, 0);
+});
+
+test('dispatch keeps RpcError codes and maps other errors to INTERNAL', async () => {
+  const router = quietRouter();
+  router.register('missing', async () => {
+    throw new RpcError(RPC_ERRORS.NOT_FOUND, 'Capture not found');
+  });
+  router.register('storage', () => Promise.reject(new Error('quota exceeded'))
+    .catch(rethrowAs(RPC_ERRORS.STORAGE_FAILED, 'Failed to save capture: ')));
+  router.register('broken', () => {
+    throw new TypeError('x is undefined');
+  });
+
+  assert.deepStrictEqual(await router.dispatch({ action: 'missing' }, {}),
+    { status: 'error', code: 'NOT_FOUND', message: 'Capture not found' });
+  assert.deepStrictEqual(await router.dispatch({ action: 'storage' }, {}),
+    { status: 'error', code: 'STORAGE_FAILED', message: 'Failed to save capture: quota exceeded' });
+  assert.deepStrictEqual(await router.dispatch({ action: 'broken' }, {}),
+    { status: 'error', code: 'INTERNAL', message: 'x is undefined' });
+  assert.deepStrictEqual(await router.dispatch({ action: 'nope' }, {}),
+    { status: 'error', code: 'UNKNOWN_ACTION', message: 'Unknown action: nope' });
+});
+
+test('register refuses a second handler for an action', () => {
+  const router = quietRouter();
+  router.register('ping', () => ({}));
+  assert.throws(() => router.register('ping', () => ({})), /already registered for ping/);
+});
+
+test('listen answers action messages and ignores others', async () => {
+  const router = quietRouter();
+  test.mock.method(console, 'log', () => {});
+  router.register('ping', () => ({ pong: true }));
+  const listeners = [];
+  router.listen({ addListener: (listener) => listeners.push(listener) }, 'extension-id');
+  const sender = { id: 'extension-id' };
+
+  assert.strictEqual(listeners[0]({ type: 'not-an-action' }, sender, () => {}), false);
+  const response = await new Promise(resolve => {
+    assert.strictEqual(listeners[0]({ action: 'ping' }, sender, resolve), true);
+  });
+  assert.deepStrictEqual(response, { status: 'success', pong: true });
+});
+
+test('listen ignores messages from other extensions', () => {
+  const router = quietRouter();
+  router.register('ping', () => ({ pong: true }));
+  const listeners = [];
+  router.listen({ addListener: (listener) => listeners.push(listener) }, 'extension-id');
+
+  const sendResponse = () => assert.fail('Answered another extension');
+  assert.strictEqual(listeners[0]({ action: 'ping' }, { id: 'other-extension' }, sendResponse), false);
+  assert.strictEqual(listeners[0]({ action: 'ping' }, {}, sendResponse), false);
+});
+
+test('call resolves with the result fields of a success response', async () => {
+  const router = quietRouter();
+  router.register('getCaptures', ({ summaryOnly }) => ({ captures: [], count: 0, summaryOnly }));
+  stubChrome(router);
+
+  const result = await new RpcClient().call('getCaptures', { summaryOnly: true });
+  assert.deepStrictEqual(result, { captures: [], count: 0, summaryOnly: true });
+});
+
+test('call rejects with the RpcError from an error response', async () => {
+  const router = quietRouter();
+  router.register('exportZIP', () => {
+    throw new RpcError(RPC_ERRORS.NOT_FOUND, 'No captures available to export');
+  });
+  stubChrome(router);
+
+  await assert.rejects(new RpcClient().call('exportZIP'), (error) => {
+    assert.ok(error instanceof RpcError);
+    assert.strictEqual(error.code, RPC_ERRORS.NOT_FOUND);
+    assert.strictEqual(error.message, 'No captures available to export');
+    return true;
+  });
+});
+
+test('call rejects with TIMEOUT when the handler takes too long', async () => {
+  const router = quietRouter();
+  router.register('slow', () => new Promise(resolve => setTimeout(() => resolve({}), 200)));
+  stubChrome(router);
+
+  await assert.rejects(new RpcClient().call('slow', {}, { timeout: 20 }), { code: RPC_ERRORS.TIMEOUT });
+  // A timeout of 0 waits as long as the handler takes
+  assert.deepStrictEqual(await new RpcClient().call('slow', {}, { timeout: 0 }), {});
+});
+
+test('call rejects with DISCONNECTED when the background cannot be reached', async () => {
+  stubChrome(null);
+
+  await assert.rejects(new RpcClient().call('getCaptures'), {
+    code: RPC_ERRORS.DISCONNECTED,
+    message: 'Could not establish connection. Receiving end does not exist.'
+  });
+});
@@ -0,0 +1,174 @@
+// test/scheduler.test.js
+// Scheduled captures in scheduler.js, driven through the background's message
+// handlers and alarms
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { setUpBackground, HEADINGS_SCRAPER: ARTICLE_HEADINGS_SCRAPER } = require('./helpers/backgroundHarness');
+const { getNextCronTime } = require('../cron.js');
+
+const PAGE_URL = 'https://www.example.com/pricing';
+const PAGES = {
+  [PAGE_URL]: '<html><head><title>Pricing</title></head><body><h1>Basic</h1><h1>Pro</h1></body></html>'
+};
+
+// The shared headings scraper, matching the pricing page too
+const HEADINGS_SCRAPER = { ...ARTICLE_HEADINGS_SCRAPER, urlPatterns: ['example.com'] };
+
+// Nothing waits after the page has loaded, to keep the tests quick
+const DAILY_PAGE_JOB = { url: PAGE_URL, action: 'page', schedule: { type: 'interval', minutes: 1440 }, settleDelay: 0 };
+
+function setUp(t, options = {}) {
+  return setUpBackground(t, { pages: PAGES, ...options });
+}
+
+function fireAlarm(background, name) {
+  background.chrome.alarms.onAlarm.dispatch({ name, scheduledTime: Date.now() });
+}
+
+// Resolve with the stored job once it matches, e.g. when its run has finished
+async function waitForJob(background, id, predicate, timeout = 10000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const stored = background.chrome.fake.storage.scheduledJobs;
+    const job = stored && stored.jobs.find(candidate => candidate.id === id);
+    if (job && predicate(job)) {
+      return JSON.parse(JSON.stringify(job));
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('Scheduled job did not reach the expected state');
+}
+
+const hasFinished = (job) => job.lastRun && job.lastRun.status !== 'running';
+
+test('saveScheduledJob stores the job and sets an alarm for its next run', async (t) => {
+  const background = setUp(t);
+
+  const before = Date.now();
+  const interval = await background.sendMessage({ action: 'saveScheduledJob', job: { ...DAILY_PAGE_JOB, name: ' Pricing ' } });
+  assert.strictEqual(interval.message, 'Saved "Pricing"');
+  assert.strictEqual(interval.job.id, 1);
+  assert.ok(interval.job.nextRunAt >= before + 1440 * 60000 && interval.job.nextRunAt <= Date.now() + 1440 * 60000);
+  assert.strictEqual(background.chrome.fake.alarms.get('scheduledJob:1').when, interval.job.nextRunAt);
+
+  const cron = await background.sendMessage({
+    action: 'saveScheduledJob',
+    job: { url: PAGE_URL, action: 'page', schedule: { type: 'cron', expression: '0 9 * * 1-5' } }
+  });
+  assert.strictEqual(cron.job.name, PAGE_URL);
+  assert.strictEqual(cron.job.settleDelay, 2);
+  assert.strictEqual(cron.job.nextRunAt, getNextCronTime('0 9 * * 1-5', before).getTime());
+
+  // Disabling a job clears its alarm
+  const { id, name, url, action, schedule } = cron.job;
+  await background.sendMessage({ action: 'saveScheduledJob', job: { id, name, url, action, schedule, enabled: false } });
+  assert.ok(!background.chrome.fake.alarms.has('scheduledJob:2'));
+
+  const { jobs } = await background.sendMessage({ action: 'getScheduledJobs' });
+  assert.deepStrictEqual(jobs.map(job => [job.id, job.enabled, job.nextRunAt !== null]), [[1, true, true], [2, false, false]]);
+});
+
+test('saveScheduledJob rejects bad addresses, schedules and scrapers', async (t) => {
+  const background = setUp(t);
+
+  const badUrl = await background.sendMessage({ action: 'saveScheduledJob', job: { ...DAILY_PAGE_JOB, url: 'ftp://example.com/file' } });
+  assert.strictEqual(badUrl.code, 'INVALID_REQUEST');
+
+  const badCron = await background.sendMessage({
+    action: 'saveScheduledJob',
+    job: { ...DAILY_PAGE_JOB, schedule: { type: 'cron', expression: '0 25 * * *' } }
+  });
+  assert.deepStrictEqual(badCron, { status: 'error', code: 'INVALID_REQUEST', message: 'Invalid schedule: "25" is not a valid hour (0-23)' });
+
+  const noMinutes = await background.sendMessage({ action: 'saveScheduledJob', job: { ...DAILY_PAGE_JOB, schedule: { type: 'interval' } } });
+  assert.strictEqual(noMinutes.code, 'INVALID_REQUEST');
+
+  const tooOften = await background.sendMessage({ action: 'saveScheduledJob', job: { ...DAILY_PAGE_JOB, schedule: { type: 'interval', minutes: 0.5 } } });
+  assert.strictEqual(tooOften.code, 'INVALID_REQUEST');
+
+  const unknownScraper = await background.sendMessage({ action: 'saveScheduledJob', job: { ...DAILY_PAGE_JOB, action: 'scraper', scraperId: 'missing' } });
+  assert.strictEqual(unknownScraper.code, 'NOT_FOUND');
+
+  const { jobs } = await background.sendMessage({ action: 'getScheduledJobs' });
+  assert.strictEqual(jobs.length, 0);
+});
+
+test('an alarm runs the job in a background tab, saves the page and sets the next alarm', async (t) => {
+  const background = setUp(t);
+  const { job } = await background.sendMessage({ action: 'saveScheduledJob', job: DAILY_PAGE_JOB });
+
+  fireAlarm(background, 'scheduledJob:1');
+  const ran = await waitForJob(background, job.id, hasFinished);
+  assert.strictEqual(ran.lastRun.status, 'success');
+  assert.strictEqual(ran.lastRun.message, 'Saved "Pricing"');
+  assert.strictEqual(ran.runCount, 1);
+  assert.ok(ran.nextRunAt >= Date.parse(ran.lastRun.startedAt) + 1440 * 60000);
+  assert.strictEqual(background.chrome.fake.alarms.get('scheduledJob:1').when, ran.nextRunAt);
+  assert.strictEqual(background.chrome.fake.tabs.length, 0);
+
+  const { captures } = await background.sendMessage({ action: 'getCaptures' });
+  assert.strictEqual(captures.length, 1);
+  assert.strictEqual(captures[0].url, PAGE_URL);
+  assert.match(captures[0].content, /<h1>Pro<\/h1>/);
+});
+
+test('runScheduledJob runs a scraper job now without moving its schedule', async (t) => {
+  const background = setUp(t, { storage: { customScrapers: [HEADINGS_SCRAPER] } });
+  const { job } = await background.sendMessage({
+    action: 'saveScheduledJob',
+    job: { ...DAILY_PAGE_JOB, action: 'scraper', scraperId: 'example-headings' }
+  });
+
+  const response = await background.sendMessage({ action: 'runScheduledJob', id: job.id });
+  assert.strictEqual(response.status, 'success');
+  assert.strictEqual(response.message, 'Example headings: 2 items');
+  assert.strictEqual(response.job.nextRunAt, job.nextRunAt);
+
+  const { captures } = await background.sendMessage({ action: 'getCaptures' });
+  assert.strictEqual(captures.length, 1);
+  assert.deepStrictEqual(JSON.parse(captures[0].content).data, [{ heading: 'Basic' }, { heading: 'Pro' }]);
+});
+
+test('a failing run is recorded on the job and the schedule carries on', async (t) => {
+  const background = setUp(t);
+  // No HTML for this URL: nothing can be injected, like a page that failed to load
+  const { job } = await background.sendMessage({ action: 'saveScheduledJob', job: { ...DAILY_PAGE_JOB, url: 'https://www.example.com/broken' } });
+
+  fireAlarm(background, 'scheduledJob:1');
+  const ran = await waitForJob(background, job.id, hasFinished);
+  assert.strictEqual(ran.lastRun.status, 'failed');
+  assert.match(ran.lastRun.message, /Cannot access contents of url/);
+  assert.ok(background.chrome.fake.alarms.has('scheduledJob:1'));
+  assert.strictEqual(background.chrome.fake.tabs.length, 0);
+});
+
+test('deleteScheduledJob removes the job and its alarm', async (t) => {
+  const background = setUp(t);
+  const { job } = await background.sendMessage({ action: 'saveScheduledJob', job: DAILY_PAGE_JOB });
+
+  const response = await background.sendMessage({ action: 'deleteScheduledJob', id: job.id });
+  assert.strictEqual(response.status, 'success');
+  assert.ok(!background.chrome.fake.alarms.has('scheduledJob:1'));
+
+  const missing = await background.sendMessage({ action: 'runScheduledJob', id: job.id });
+  assert.strictEqual(missing.code, 'NOT_FOUND');
+});
+
+test('a new service worker restores missing alarms and closes interrupted runs', async (t) => {
+  const nextRunAt = Date.now() - 60000;
+  const scheduledJobs = {
+    jobs: [{
+      id: 4, name: 'Pricing', url: PAGE_URL, action: 'page', scraperId: null,
+      schedule: { type: 'interval', minutes: 60 }, settleDelay: 0, enabled: true, nextRunAt,
+      lastRun: { status: 'running', startedAt: new Date(nextRunAt).toISOString() }, runCount: 3
+    }],
+    nextJobId: 5
+  };
+  const background = setUp(t, { storage: { scheduledJobs } });
+
+  const job = await waitForJob(background, 4, hasFinished);
+  assert.deepStrictEqual([job.lastRun.status, job.lastRun.message], ['failed', 'Interrupted']);
+  // Missed while the browser was closed: Chrome runs it as soon as the alarm is set
+  assert.strictEqual(background.chrome.fake.alarms.get('scheduledJob:4').when, nextRunAt);
+});
@@ -0,0 +1,26 @@
+// test/scrapers.test.js
+// Runs every scraper over its HTML fixtures and compares the output with the
+// golden files. After an intended change, regenerate the goldens with
+// `npm run goldens` and review the diff.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { scraperRegistry, loadFixtureIndex, runFixture, readGolden } = require('./helpers/scraperHarness');
+
+const fixtures = loadFixtureIndex();
+
+fixtures.forEach(fixture => {
+  test(`${fixture.scraperId} extracts ${fixture.name} as in its golden file`, () => {
+    const golden = readGolden(fixture);
+    assert.ok(golden, `No golden file for ${fixture.name}; run npm run goldens`);
+    assert.deepStrictEqual(runFixture(fixture), golden);
+  });
+});
+
+test('every built-in scraper has at least one fixture', () => {
+  const covered = new Set(fixtures.map(fixture => fixture.scraperId));
+  const missing = scraperRegistry.getAllScrapers()
+    .filter(scraper => !scraper.declarative && !covered.has(scraper.id))
+    .map(scraper => scraper.id);
+  assert.deepStrictEqual(missing, []);
+});
@@ -0,0 +1,72 @@
+// test/tabular.test.js
+// CSV and XLSX output for scraper results in tabular.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('../jszip.js');
+const { buildScraperOutput, buildCSV, buildXLSX, resultColumns, xlsxColumnName } = require('../tabular.js');
+
+// tabular.js expects JSZip as a global, as in the extension
+global.JSZip = JSZip;
+
+const RESULT = {
+  type: 'Example headings',
+  data: [
+    { heading: 'Hello', rank: 1 },
+    { heading: 'Plans, "prices"\nand more', rank: 2, tags: ['new'] }
+  ]
+};
+
+test('buildCSV starts with a byte order mark and ends lines with CRLF', () => {
+  const csv = buildCSV([{ name: 'Ada' }], ['name']);
+  assert.strictEqual(csv, '﻿name\r\nAda\r\n');
+});
+
+test('buildCSV quotes fields with commas, quotes or line breaks and writes nested values as JSON', () => {
+  const csv = buildCSV(RESULT.data, resultColumns(RESULT.data));
+  assert.strictEqual(csv, '﻿heading,rank,tags\r\nHello,1,\r\n"Plans, ""prices""\nand more",2,"[""new""]"\r\n');
+});
+
+test('buildCSV escapes cells a spreadsheet would run as formulas', () => {
+  const values = ['=SUM(A1:A2)', '+1', '@cmd', '\tTab', '\rReturn', '-x', '-5', '-.5', 'a=b'];
+  const csv = buildCSV(values.map(value => ({ value })), ['value']);
+  assert.deepStrictEqual(csv.slice(1).split('\r\n').slice(1, -1), [
+    "'=SUM(A1:A2)", "'+1", "'@cmd", "'\tTab", '"\'\rReturn"', "'-x", '-5', '-.5', 'a=b'
+  ]);
+});
+
+test('resultColumns puts declared columns first, then the rest in order of appearance', () => {
+  assert.deepStrictEqual(resultColumns(RESULT.data, ['rank']), ['rank', 'heading', 'tags']);
+});
+
+test('buildScraperOutput falls back to JSON for results without records', async () => {
+  const result = { type: 'Summary', data: { total: 3 } };
+  const output = await buildScraperOutput(result, 'csv');
+  assert.deepStrictEqual(output, {
+    extension: 'json', mimeType: 'application/json', content: JSON.stringify(result, null, 2)
+  });
+});
+
+test('buildScraperOutput writes CSV with the declared columns', async () => {
+  const output = await buildScraperOutput(RESULT, 'csv', ['rank']);
+  assert.strictEqual(output.extension, 'csv');
+  assert.strictEqual(output.mimeType, 'text/csv');
+  assert.match(output.content, /^﻿rank,heading,tags\r\n1,Hello,\r\n/);
+});
+
+test('xlsxColumnName counts columns like a spreadsheet', () => {
+  assert.deepStrictEqual([0, 25, 26, 51, 701, 702].map(xlsxColumnName), ['A', 'Z', 'AA', 'AZ', 'ZZ', 'AAA']);
+});
+
+test('buildXLSX writes one sheet with a bold header row, numbers and inline strings', async () => {
+  const blob = await buildXLSX(RESULT.data, resultColumns(RESULT.data), RESULT.type);
+  assert.strictEqual(blob.type, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+  const zip = await JSZip.loadAsync(Buffer.from(await blob.arrayBuffer()));
+  assert.match(await zip.file('xl/workbook.xml').async('string'), /<sheet name="Example headings" sheetId="1" r:id="rId1"\/>/);
+  const sheet = await zip.file('xl/worksheets/sheet1.xml').async('string');
+  assert.match(sheet, /<row r="1"><c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">heading<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="B2"><v>1<\/v><\/c>/);
+  assert.match(sheet, /<c r="A3" t="inlineStr"><is><t xml:space="preserve">Plans, &quot;prices&quot;\nand more<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="C3" t="inlineStr"><is><t xml:space="preserve">\[&quot;new&quot;\]<\/t><\/is><\/c>/);
+});
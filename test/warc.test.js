@@ -0,0 +1,128 @@
+// test/warc.test.js
+// WARC 1.1 records written by warc.js, read back from the exported file
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { buildCapturesWarc, base32Encode } = require('../warc.js');
+
+const PAGE_URL = 'https://www.example.com/articles/1';
+const CSS = 'h1 { color: red }';
+const PNG_BYTES = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+
+const CAPTURE = {
+  filename: 'example.com_2024-01-01T00-00-00-000Z.html',
+  type: 'html',
+  mimeType: 'text/html',
+  url: PAGE_URL,
+  timestamp: '2024-01-01T00:00:00.000Z',
+  content: '<html><body><h1>Héllo</h1></body></html>',
+  resources: [
+    { url: 'https://www.example.com/style.css', contentType: 'text/css; charset=iso-8859-1', text: CSS },
+    { url: 'https://www.example.com/logo.png', contentType: 'image/png', dataUrl: 'data:image/png;base64,' + PNG_BYTES.toString('base64') }
+  ],
+  attachments: [
+    { filename: 'example.com_2024-01-01T00-00-00-000Z.png', mimeType: 'image/png', content: 'data:image/png;base64,' + PNG_BYTES.toString('base64') }
+  ]
+};
+
+// Split a WARC file into records of { headers, block }
+function parseWarc(bytes) {
+  const records = [];
+  let offset = 0;
+  while (offset < bytes.length) {
+    const headerEnd = bytes.indexOf('\r\n\r\n', offset);
+    const [version, ...lines] = bytes.subarray(offset, headerEnd).toString('utf8').split('\r\n');
+    assert.strictEqual(version, 'WARC/1.1');
+    const headers = Object.fromEntries(lines.map(line => {
+      const colon = line.indexOf(': ');
+      return [line.slice(0, colon), line.slice(colon + 2)];
+    }));
+    const blockStart = headerEnd + 4;
+    const blockEnd = blockStart + Number(headers['Content-Length']);
+    records.push({ headers, block: bytes.subarray(blockStart, blockEnd) });
+    assert.strictEqual(bytes.subarray(blockEnd, blockEnd + 4).toString(), '\r\n\r\n');
+    offset = blockEnd + 4;
+  }
+  return records;
+}
+
+async function buildRecords(captures) {
+  const blob = await buildCapturesWarc(captures, { filename: 'export.warc', software: 'DOM Saver/1.0' });
+  assert.strictEqual(blob.type, 'application/warc');
+  return parseWarc(Buffer.from(await blob.arrayBuffer()));
+}
+
+function sha1(bytes) {
+  return 'sha1:' + base32Encode(crypto.createHash('sha1').update(bytes).digest());
+}
+
+test('base32Encode pads to whole 8-character groups', () => {
+  assert.strictEqual(base32Encode(Buffer.from('f')), 'MY======');
+  assert.strictEqual(base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI======');
+});
+
+test('every record has a length and block digest matching its block', async () => {
+  const records = await buildRecords([CAPTURE]);
+  assert.strictEqual(records.length, 5);
+  records.forEach(({ headers, block }) => {
+    assert.match(headers['WARC-Record-ID'], /^<urn:uuid:[0-9a-f-]{36}>$/);
+    assert.strictEqual(headers['WARC-Block-Digest'], sha1(block));
+  });
+  // Multi-byte characters count in bytes
+  assert.strictEqual(Number(records[1].headers['Content-Length']), Buffer.byteLength(CAPTURE.content));
+});
+
+test('the warcinfo record comes first and describes the file', async () => {
+  const [warcinfo] = await buildRecords([CAPTURE]);
+  assert.strictEqual(warcinfo.headers['WARC-Type'], 'warcinfo');
+  assert.strictEqual(warcinfo.headers['WARC-Filename'], 'export.warc');
+  assert.strictEqual(warcinfo.headers['Content-Type'], 'application/warc-fields');
+  assert.match(warcinfo.block.toString(), /^software: DOM Saver\/1\.0\r\n/);
+});
+
+test('the page is a resource record whose payload is its block', async () => {
+  const page = (await buildRecords([CAPTURE]))[1];
+  assert.strictEqual(page.headers['WARC-Type'], 'resource');
+  assert.strictEqual(page.headers['WARC-Target-URI'], PAGE_URL);
+  assert.strictEqual(page.headers['WARC-Date'], CAPTURE.timestamp);
+  assert.strictEqual(page.headers['Content-Type'], 'text/html; charset=utf-8');
+  assert.strictEqual(page.headers['WARC-Payload-Digest'], page.headers['WARC-Block-Digest']);
+  assert.strictEqual(page.block.toString(), CAPTURE.content);
+});
+
+test('subresources are HTTP response records with a digest of the body alone', async () => {
+  const [, , css, png] = await buildRecords([CAPTURE]);
+  assert.strictEqual(css.headers['WARC-Type'], 'response');
+  assert.strictEqual(css.headers['WARC-Target-URI'], 'https://www.example.com/style.css');
+  assert.strictEqual(css.headers['Content-Type'], 'application/http; msgtype=response');
+  assert.strictEqual(css.headers['WARC-Concurrent-To'], undefined);
+  // Text is written as UTF-8 whatever charset the server declared
+  assert.strictEqual(css.block.toString(),
+    `HTTP/1.1 200 OK\r\nContent-Type: text/css; charset=utf-8\r\nContent-Length: ${CSS.length}\r\n\r\n${CSS}`);
+  assert.strictEqual(css.headers['WARC-Payload-Digest'], sha1(Buffer.from(CSS)));
+
+  assert.strictEqual(png.headers['WARC-Type'], 'response');
+  assert.deepStrictEqual(png.block.subarray(png.block.length - PNG_BYTES.length), PNG_BYTES);
+  assert.strictEqual(png.headers['WARC-Payload-Digest'], sha1(PNG_BYTES));
+});
+
+test('screenshots are resource records concurrent to their page', async () => {
+  const records = await buildRecords([CAPTURE]);
+  const screenshot = records[4];
+  assert.strictEqual(screenshot.headers['WARC-Type'], 'resource');
+  assert.strictEqual(screenshot.headers['WARC-Target-URI'], `urn:dom-saver:${CAPTURE.attachments[0].filename}:${PAGE_URL}`);
+  assert.strictEqual(screenshot.headers['WARC-Concurrent-To'], records[1].headers['WARC-Record-ID']);
+  assert.deepStrictEqual(screenshot.block, PNG_BYTES);
+});
+
+test('scraper results are metadata records about their page', async () => {
+  const content = JSON.stringify({ data: [{ heading: 'Hello' }] });
+  const [, metadata] = await buildRecords([{
+    filename: 'headings.json', type: 'json', mimeType: 'application/json', url: PAGE_URL, content
+  }]);
+  assert.strictEqual(metadata.headers['WARC-Type'], 'metadata');
+  assert.strictEqual(metadata.headers['Content-Type'], 'application/json; charset=utf-8');
+  assert.strictEqual(metadata.headers['WARC-Payload-Digest'], undefined);
+  assert.strictEqual(metadata.block.toString(), content);
+});
@@ -0,0 +1,12 @@
+// timing.js
+// Timing helpers shared by the background scripts (screenshot.js, pagination.js,
+// crawler.js). Loaded into the background service worker before them.
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { delay };
+}
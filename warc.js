@@ -0,0 +1,230 @@
+// warc.js
+// WARC 1.1 export of stored captures, for web-archive tooling and replay
+
+const WARC_VERSION = 'WARC/1.1';
+const WARC_SPEC_URL = 'https://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/';
+const CRLF = '\r\n';
+
+class WarcWriter {
+  constructor() {
+    this.parts = [];
+    this.encoder = new TextEncoder();
+  }
+
+  // Describe the file and the software that wrote it. Must be the first record.
+  async addWarcinfo(filename, fields) {
+    const body = Object.entries(fields).map(([name, value]) => `${name}: ${value}`).join(CRLF) + CRLF;
+    return this.addRecord({
+      'WARC-Type': 'warcinfo',
+      'WARC-Filename': filename,
+      'Content-Type': 'application/warc-fields'
+    }, body);
+  }
+
+  // A resource record holds a file exactly as captured, without HTTP headers
+  addResource({ targetUri, date, contentType, body, concurrentTo }) {
+    const headers = {
+      'WARC-Type': 'resource',
+      'WARC-Target-URI': targetUri,
+      'WARC-Date': date,
+      'Content-Type': contentType
+    };
+    if (concurrentTo) {
+      headers['WARC-Concurrent-To'] = `<${concurrentTo}>`;
+    }
+    return this.addRecord(headers, body);
+  }
+
+  // A response record holds a fetched subresource as an HTTP response. Only the
+  // body and its content type were kept, so a minimal status line and headers are
+  // written; the payload digest covers the body alone.
+  async addResponse({ targetUri, date, contentType, body }) {
+    const payload = typeof body === 'string' ? this.encoder.encode(body) : body;
+    const httpHeaders = ['HTTP/1.1 200 OK', `Content-Type: ${contentType}`, `Content-Length: ${payload.byteLength}`]
+      .join(CRLF) + CRLF + CRLF;
+    return this.addRecord({
+      'WARC-Type': 'response',
+      'WARC-Target-URI': targetUri,
+      'WARC-Date': date,
+      'Content-Type': 'application/http; msgtype=response',
+      'WARC-Payload-Digest': await sha1Digest(payload)
+    }, concatBytes(this.encoder.encode(httpHeaders), payload));
+  }
+
+  // A metadata record holds data about another record, such as scraper results for a page
+  addMetadata({ targetUri, date, contentType, body, refersTo }) {
+    const headers = {
+      'WARC-Type': 'metadata',
+      'WARC-Target-URI': targetUri,
+      'WARC-Date': date,
+      'Content-Type': contentType
+    };
+    if (refersTo) {
+      headers['WARC-Refers-To'] = `<${refersTo}>`;
+    }
+    return this.addRecord(headers, body);
+  }
+
+  // Write one record and resolve with its WARC-Record-ID (without angle brackets)
+  async addRecord(fields, body) {
+    const block = typeof body === 'string' ? this.encoder.encode(body) : body;
+    const recordId = `urn:uuid:${crypto.randomUUID()}`;
+    const headers = {
+      'WARC-Record-ID': `<${recordId}>`,
+      'WARC-Date': formatWarcDate(new Date()),
+      ...stripUndefined(fields),
+      'WARC-Block-Digest': await sha1Digest(block),
+      'Content-Length': String(block.byteLength)
+    };
+    // Resource blocks are their own payload
+    if (headers['WARC-Type'] === 'resource') {
+      headers['WARC-Payload-Digest'] = headers['WARC-Block-Digest'];
+    }
+
+    const headerText = [WARC_VERSION]
+      .concat(Object.entries(headers).map(([name, value]) => `${name}: ${value}`))
+      .join(CRLF) + CRLF + CRLF;
+
+    this.parts.push(this.encoder.encode(headerText), block, this.encoder.encode(CRLF + CRLF));
+    return recordId;
+  }
+
+  toBlob() {
+    return new Blob(this.parts, { type: 'application/warc' });
+  }
+}
+
+// Build a WARC file from stored captures. Each capture becomes a resource record
+// (scraper JSON becomes a metadata record about its page), followed by response
+// records for its subresources and resource records for companion files such as
+// screenshots, which were taken in the same capture event.
+async function buildCapturesWarc(captures, { filename, software }) {
+  const writer = new WarcWriter();
+  await writer.addWarcinfo(filename, {
+    software,
+    format: 'WARC File Format 1.1',
+    conformsTo: WARC_SPEC_URL,
+    description: `${captures.length} captures exported from the browser`
+  });
+
+  for (const capture of captures) {
+    const date = formatWarcDate(new Date(capture.timestamp || Date.now()));
+    const targetUri = capture.url || `urn:dom-saver:capture:${capture.filename}`;
+    const contentType = warcContentType(capture.mimeType || 'text/html');
+
+    let recordId;
+    if (capture.type === 'json') {
+      recordId = await writer.addMetadata({ targetUri, date, contentType, body: capture.content || '' });
+    } else {
+      recordId = await writer.addResource({ targetUri, date, contentType, body: capture.content || '' });
+    }
+
+    for (const resource of capture.resources || []) {
+      await writer.addResponse({
+        targetUri: resource.url,
+        date,
+        contentType: resource.dataUrl
+          ? resource.contentType || dataURLMimeType(resource.dataUrl)
+          : warcContentType(resource.contentType),
+        body: resource.dataUrl ? dataURLToBytes(resource.dataUrl) : resource.text || ''
+      });
+    }
+
+    for (const attachment of capture.attachments || []) {
+      await writer.addResource({
+        targetUri: `urn:dom-saver:${attachment.filename}:${targetUri}`,
+        date,
+        contentType: attachment.mimeType,
+        body: dataURLToBytes(attachment.content),
+        concurrentTo: recordId
+      });
+    }
+  }
+
+  return writer.toBlob();
+}
+
+// ---- Helpers ----
+
+// WARC 1.1 dates are W3C-DTF in UTC, with fractional seconds allowed
+function formatWarcDate(date) {
+  return date.toISOString();
+}
+
+// Content type for a string body. Strings are always written as UTF-8, whatever
+// charset the original response declared, so say so for replay tools.
+function warcContentType(mimeType) {
+  const type = (mimeType || 'application/octet-stream').replace(/;\s*charset=[^;]*/i, '').trim();
+  if (/^(text\/|application\/(json|javascript|xml))/i.test(type)) {
+    return `${type}; charset=utf-8`;
+  }
+  return type;
+}
+
+function concatBytes(...arrays) {
+  const bytes = new Uint8Array(arrays.reduce((length, array) => length + array.byteLength, 0));
+  let offset = 0;
+  for (const array of arrays) {
+    bytes.set(array, offset);
+    offset += array.byteLength;
+  }
+  return bytes;
+}
+
+function dataURLMimeType(dataUrl) {
+  const match = /^data:([^;,]*)/.exec(dataUrl || '');
+  return match && match[1] ? match[1] : 'application/octet-stream';
+}
+
+function dataURLToBytes(dataUrl) {
+  const comma = dataUrl.indexOf(',');
+  const header = dataUrl.slice(0, comma);
+  const data = dataUrl.slice(comma + 1);
+  if (/;base64$/i.test(header)) {
+    return Uint8Array.from(atob(data), char => char.charCodeAt(0));
+  }
+  return new TextEncoder().encode(decodeURIComponent(data));
+}
+
+// "sha1:" followed by the base32 digest, as used by most WARC tools
+async function sha1Digest(bytes) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-1', bytes));
+  return 'sha1:' + base32Encode(digest);
+}
+
+function base32Encode(bytes) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += alphabet[(value << (5 - bits)) & 31];
+  }
+  while (output.length % 8 !== 0) {
+    output += '=';
+  }
+  return output;
+}
+
+function stripUndefined(fields) {
+  const result = {};
+  for (const [name, value] of Object.entries(fields)) {
+    if (value !== undefined && value !== null) {
+      result[name] = value;
+    }
+  }
+  return result;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { WarcWriter, buildCapturesWarc, base32Encode };
+}